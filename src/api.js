@@ -0,0 +1,87 @@
+const core = require('@actions/core');
+const { DEFAULT_HOSTS, DEFAULT_CONCURRENCY } = require('./config');
+const { createHttpClient } = require('./http');
+const { createCache } = require('./cache');
+const { assembleReleaseNotesModel } = require('./model');
+const { createDrupalProvider, assignUpdates } = require('./providers');
+const { createComposerProvider } = require('./composer-provider');
+const { renderMarkdown } = require('./render');
+const { compileTemplate, loadTemplate } = require('./template');
+
+/**
+ * Fetches the release notes of Drupal package updates
+ * Packages that are not Drupal projects are skipped unless another provider
+ * supports them, and core metapackages moving together are merged into
+ * drupal/core. Packages whose notes cannot be fetched are kept with a failure
+ * status rather than rejecting.
+ * @example
+ * const { collectReleaseNotes, renderMarkdown } = require('dependabot-drupal-mrn');
+ * const model = await collectReleaseNotes([{ name: 'drupal/token', from: '1.13.0', to: '1.15.0' }]);
+ * console.log(renderMarkdown(model));
+ * @param {Array<{name: string, from: string, to: string}>} packages - The updated Composer packages,
+ *   optionally with Dependabot's updateLevel, dependencyType and directory
+ * @param {Object} [options] - Fetch options
+ * @param {Object} [options.hosts] - Hosts overriding DEFAULT_HOSTS, e.g. { apiUrl: 'http://localhost:8080' }
+ * @param {Object} [options.logger] - Receives progress and problems through its debug(), info(),
+ *   warning() and error() methods; @actions/core by default, which writes workflow commands
+ * @param {Object} [options.http] - HTTP client with retries and timeouts, see createHttpClient()
+ * @param {Object} [options.cache] - Response cache, see createCache(); disabled by default
+ * @param {number} [options.concurrency] - How many packages are fetched in parallel
+ * @param {boolean} [options.checkSecurity] - Whether to look up security releases (default true)
+ * @param {boolean} [options.checkRequirements] - Whether to compare the Composer requirements (default true)
+ * @param {boolean} [options.perRelease] - Whether to fetch the changelog of each release separately (default false)
+ * @param {Array<Object>} [options.providers] - Providers for packages other than drupal/*, e.g.
+ *   createComposerProvider(); the Drupal provider always takes precedence, see ReleaseNotesProvider
+ * @returns {Promise<Object>} The release notes model, see assembleReleaseNotesModel()
+ */
+async function collectReleaseNotes(packages, {
+  hosts = {},
+  logger = core,
+  http = createHttpClient({ logger }),
+  cache = createCache({ logger }),
+  concurrency = DEFAULT_CONCURRENCY,
+  checkSecurity = true,
+  checkRequirements = true,
+  perRelease = false,
+  providers = []
+} = {}) {
+  const options = {
+    hosts: { ...DEFAULT_HOSTS, ...hosts },
+    http,
+    cache,
+    concurrency,
+    checkSecurity,
+    checkRequirements,
+    perRelease,
+    logger
+  };
+
+  const chain = [createDrupalProvider(), ...providers];
+  const assigned = assignUpdates(packages, chain);
+  const fetched = [];
+  for (const [i, provider] of chain.entries()) {
+    fetched.push(assigned[i].length > 0 ? await provider.fetchReleaseNotes(assigned[i], options) : []);
+  }
+
+  if (http.getRetryCount() > 0) {
+    logger.info(`API requests were retried ${http.getRetryCount()} time(s)`);
+  }
+  if (cache.enabled) {
+    const { hits, misses } = cache.getStats();
+    logger.info(`Response cache: ${hits} hit(s), ${misses} miss(es)`);
+  }
+
+  const [drupalPackages, ...otherPackages] = fetched;
+  return assembleReleaseNotesModel(drupalPackages, otherPackages.flat());
+}
+
+module.exports = {
+  collectReleaseNotes,
+  createComposerProvider,
+  renderMarkdown,
+  compileTemplate,
+  loadTemplate,
+  createHttpClient,
+  createCache,
+  DEFAULT_HOSTS
+};
@@ -0,0 +1,120 @@
+const core = require('@actions/core');
+const { collectReleaseNotes, renderMarkdown, compileTemplate, createHttpClient } = require('./api');
+
+jest.mock('@actions/core');
+
+// Mock global fetch
+global.fetch = jest.fn();
+
+describe('library API', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    global.fetch.mockImplementation(async url => ({
+      ok: true,
+      status: 200,
+      json: async () => (url.includes('/project?')
+        ? { tags: [{ name: '8.x-1.13' }, { name: '8.x-1.15' }] }
+        : {
+          changes: [{ type: 'Bug', changes: [{ nid: '1', link: 'https://www.drupal.org/i/1', type: 'Bug', summary: '#1 by berdir: Fix tokens' }] }],
+          changeRecords: []
+        })
+    }));
+  });
+
+  it('should collect the release notes model without GitHub', async () => {
+    const model = await collectReleaseNotes([
+      { name: 'drupal/token', from: '1.13.0', to: '1.15.0' },
+      { name: 'symfony/console', from: '6.4.0', to: '6.4.1' }
+    ], {
+      hosts: { apiUrl: 'http://localhost:8080' },
+      http: createHttpClient({ retries: 0 }),
+      checkSecurity: false,
+      checkRequirements: false
+    });
+
+    expect(global.fetch).toHaveBeenCalledWith('http://localhost:8080/changelog?project=token&from=8.x-1.13&to=8.x-1.15&format=json', expect.anything());
+    expect(model.packagesFailed).toBe(0);
+    expect(model.packages).toHaveLength(1);
+    expect(model.packages[0]).toMatchObject({
+      name: 'drupal/token',
+      status: 'ok',
+      fromTag: '8.x-1.13',
+      toTag: '8.x-1.15',
+      releaseNotesUrl: 'https://www.drupal.org/project/token/releases/8.x-1.15',
+      contributors: [{ name: 'berdir', url: 'https://www.drupal.org/u/berdir' }]
+    });
+  });
+
+  it('should render the model as markdown', async () => {
+    const model = await collectReleaseNotes([{ name: 'drupal/token', from: '1.13.0', to: '1.15.0' }], {
+      http: createHttpClient({ retries: 0 }),
+      checkSecurity: false,
+      checkRequirements: false
+    });
+
+    expect(renderMarkdown(model)).toContain('### drupal/token\n\n**1.13.0 → [1.15.0](https://www.drupal.org/project/token/releases/8.x-1.15)**');
+    expect(renderMarkdown(model, { template: compileTemplate('{{#packages}}{{name}}: {{summary}}{{/packages}}') }))
+      .toBe('drupal/token: 1 change');
+  });
+
+  it('should pass other packages to the given providers', async () => {
+    const provider = {
+      name: 'custom',
+      supports: update => update.name.startsWith('symfony/') || update.name.startsWith('drupal/'),
+      fetchReleaseNotes: jest.fn(async updates => updates.map(update => ({ provider: 'custom', ...update, status: 'error' })))
+    };
+
+    const model = await collectReleaseNotes([
+      { name: 'drupal/token', from: '1.13.0', to: '1.15.0' },
+      { name: 'symfony/console', from: '6.4.0', to: '6.4.1' },
+      { name: 'php', from: '8.2', to: '8.3' }
+    ], {
+      http: createHttpClient({ retries: 0 }),
+      concurrency: 2,
+      checkSecurity: false,
+      checkRequirements: false,
+      providers: [provider]
+    });
+
+    expect(provider.fetchReleaseNotes).toHaveBeenCalledWith(
+      [{ name: 'symfony/console', from: '6.4.0', to: '6.4.1' }],
+      expect.objectContaining({ concurrency: 2, hosts: expect.objectContaining({ githubApiUrl: 'https://api.github.com' }) })
+    );
+    expect(model.packages.map(pkg => pkg.name)).toEqual(['drupal/token']);
+    expect(model.otherPackages).toEqual([{ provider: 'custom', name: 'symfony/console', from: '6.4.0', to: '6.4.1', status: 'error' }]);
+    expect(model.packagesFailed).toBe(1);
+  });
+
+  it('should render the packages of a provider returning only the required fields', async () => {
+    const provider = {
+      name: 'custom',
+      supports: update => update.name.startsWith('acme/'),
+      fetchReleaseNotes: async updates => updates.map(({ name, from, to }) => ({ name, from, to, status: 'ok' }))
+    };
+
+    const model = await collectReleaseNotes([{ name: 'acme/widget', from: '1.0.0', to: '1.1.0' }], {
+      http: createHttpClient({ retries: 0 }),
+      providers: [provider]
+    });
+
+    expect(renderMarkdown(model)).toContain('### Other packages\n\n#### acme/widget\n\n**1.0.0 → 1.1.0**');
+  });
+
+  it('should log through the given logger', async () => {
+    global.fetch.mockResolvedValue({ ok: false, status: 503, json: async () => ({}) });
+    const logger = { debug: jest.fn(), info: jest.fn(), warning: jest.fn(), error: jest.fn() };
+
+    const model = await collectReleaseNotes([{ name: 'drupal/token', from: '1.13.0', to: '1.15.0' }], {
+      logger,
+      http: createHttpClient({ retries: 0, logger }),
+      checkSecurity: false,
+      checkRequirements: false
+    });
+
+    expect(model.packagesFailed).toBe(1);
+    expect(logger.info).toHaveBeenCalledWith('Fetching release notes for token from 1.13.0 to 1.15.0');
+    expect(logger.warning).toHaveBeenCalledWith('Failed to fetch project tags for token: 503');
+    expect(core.info).not.toHaveBeenCalled();
+    expect(core.warning).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,164 @@
+const { compareVersions } = require('./release-history');
+
+// Core compatibility prefix of legacy tags, e.g. "8.x-" in 8.x-1.15
+const LEGACY_PREFIX_PATTERN = /^\d+\.x-/;
+
+/**
+ * Reads the major version of a release tag
+ * @param {string} tag - A tag such as 8.x-1.15 or 2.0.3
+ * @returns {number|null} The major version, or null for tags that are not releases
+ */
+function majorVersion(tag) {
+  if (compareVersions(tag, tag) === null) {
+    return null;
+  }
+  return Number(tag.replace(LEGACY_PREFIX_PATTERN, '').match(/^v?(\d+)/)[1]);
+}
+
+/**
+ * Names the branch of a release tag, as drupal.org does
+ * @param {string} tag - A tag such as 8.x-1.15 or 2.0.3
+ * @returns {string} The branch, e.g. "8.x-1.x" or "2.x"
+ */
+function branchOf(tag) {
+  const prefix = (tag.match(LEGACY_PREFIX_PATTERN) || [''])[0];
+  return `${prefix}${majorVersion(tag)}.x`;
+}
+
+/**
+ * Lists the release tags relevant to an update, oldest first
+ * Releases for other Drupal core versions, e.g. 7.x-2.0, are ignored.
+ * @param {string} fromTag - Tag of the installed version
+ * @param {string} toTag - Tag of the new version
+ * @param {Array<string>} tags - The project's tags
+ * @returns {Array<string>} The sorted release tags
+ */
+function releaseTags(fromTag, toTag, tags) {
+  const prefixes = [fromTag, toTag].map(tag => (tag.match(LEGACY_PREFIX_PATTERN) || [''])[0]);
+  return tags
+    .filter(tag => majorVersion(tag) !== null)
+    .filter(tag => !LEGACY_PREFIX_PATTERN.test(tag) || prefixes.includes(tag.match(LEGACY_PREFIX_PATTERN)[0]))
+    .sort(compareVersions);
+}
+
+/**
+ * Plans the changelog segments of an update that crosses major branches
+ * Changelogs of diverging branches cannot be compared directly. Instead, the
+ * old branch is followed up to its latest release, and every newer major
+ * branch from its first release, up to the new version on the last one.
+ * @param {string} fromTag - Tag of the installed version
+ * @param {string} toTag - Tag of the new version
+ * @param {Array<string>} tags - The project's tags
+ * @returns {Array<{from: string, to: string, branch: string, newMajor: boolean}>|null} The
+ *   segments in release order, or null when the update stays on one major branch
+ */
+function planChangelogSegments(fromTag, toTag, tags) {
+  const fromMajor = majorVersion(fromTag);
+  const toMajor = majorVersion(toTag);
+  if (fromMajor === null || toMajor === null || toMajor <= fromMajor) {
+    return null;
+  }
+
+  const releases = releaseTags(fromTag, toTag, tags);
+
+  const segments = [];
+  const rest = releases.filter(tag => majorVersion(tag) === fromMajor && compareVersions(tag, fromTag) > 0);
+  if (rest.length > 0) {
+    segments.push({ from: fromTag, to: rest[rest.length - 1], branch: branchOf(fromTag), newMajor: false });
+  }
+
+  for (let major = fromMajor + 1; major <= toMajor; major++) {
+    const branchReleases = releases.filter(tag => majorVersion(tag) === major && compareVersions(tag, toTag) <= 0);
+    if (branchReleases.length === 0) {
+      continue;
+    }
+    const to = major === toMajor ? toTag : branchReleases[branchReleases.length - 1];
+    segments.push({ from: branchReleases[0], to, branch: branchOf(to), newMajor: true });
+  }
+
+  return segments.length > 0 ? segments : null;
+}
+
+/**
+ * Plans one changelog step per release of an update
+ * Each release is compared with the release before it on the same branch.
+ * The first release of a new major branch has no predecessor to compare
+ * with, so its step has no `from`.
+ * @param {string} fromTag - Tag of the installed version
+ * @param {string} toTag - Tag of the new version
+ * @param {Array<string>} tags - The project's tags
+ * @returns {Array<{from: string|null, to: string, newMajor: boolean}>|null} The steps
+ *   in release order, or null when the releases cannot be determined from the tags
+ */
+function planReleaseSteps(fromTag, toTag, tags) {
+  const releases = releaseTags(fromTag, toTag, tags);
+  if (!releases.includes(toTag) || compareVersions(fromTag, toTag) === null || compareVersions(fromTag, toTag) >= 0) {
+    return null;
+  }
+
+  const segments = planChangelogSegments(fromTag, toTag, tags) || [{ from: fromTag, to: toTag, newMajor: false }];
+  const steps = [];
+  for (const segment of segments) {
+    const major = majorVersion(segment.to);
+    let previous = segment.from;
+    if (segment.newMajor) {
+      steps.push({ from: null, to: segment.from, newMajor: true });
+    }
+    for (const tag of releases) {
+      if (majorVersion(tag) === major && compareVersions(tag, segment.from) > 0 && compareVersions(tag, segment.to) <= 0) {
+        steps.push({ from: previous, to: tag, newMajor: false });
+        previous = tag;
+      }
+    }
+  }
+  return steps;
+}
+
+/**
+ * Tells whether an item was already seen, by its identifying field
+ * Items without one are never considered duplicates.
+ * @param {Set<string>} seen - Keys of the items seen so far; the item's key is added
+ * @param {string|undefined} key - The item's issue nid or URL
+ * @returns {boolean} Whether the item is a duplicate
+ */
+function isDuplicate(seen, key) {
+  if (!key) {
+    return false;
+  }
+  if (seen.has(key)) {
+    return true;
+  }
+  seen.add(key);
+  return false;
+}
+
+/**
+ * Combines the changelogs of several segments into one
+ * Change groups of the same type are joined in order of first appearance.
+ * Fixes backported to several branches are listed once: changes are matched
+ * by issue nid or link, change records by URL.
+ * @param {Array<Object>} changelogs - drupal-mrn changelog responses
+ * @returns {{changes: Array<Object>, changeRecords: Array<Object>}} The combined changelog
+ */
+function mergeChangelogs(changelogs) {
+  const groups = new Map();
+  const changeRecords = [];
+  const seenChanges = new Set();
+  const seenRecords = new Set();
+  for (const changelog of changelogs) {
+    for (const typeGroup of changelog.changes || []) {
+      const changes = (typeGroup.changes || []).filter(change => !isDuplicate(seenChanges, change.nid || change.link));
+      const existing = groups.get(typeGroup.type);
+      if (existing) {
+        existing.changes.push(...changes);
+      } else {
+        groups.set(typeGroup.type, { ...typeGroup, changes });
+      }
+    }
+    changeRecords.push(...(changelog.changeRecords || [])
+      .filter(record => !isDuplicate(seenRecords, record.url || record.link)));
+  }
+  return { changes: [...groups.values()], changeRecords };
+}
+
+module.exports = { planChangelogSegments, planReleaseSteps, mergeChangelogs, majorVersion, branchOf };
@@ -0,0 +1,110 @@
+const { planChangelogSegments, planReleaseSteps, mergeChangelogs, majorVersion, branchOf } = require('./branches');
+
+describe('majorVersion', () => {
+  it('should read the major version of release tags', () => {
+    expect(majorVersion('8.x-1.15')).toBe(1);
+    expect(majorVersion('2.0.0-beta3')).toBe(2);
+    expect(majorVersion('8.x-1.x-dev')).toBeNull();
+  });
+});
+
+describe('branchOf', () => {
+  it('should name legacy and semantic branches', () => {
+    expect(branchOf('8.x-1.15')).toBe('8.x-1.x');
+    expect(branchOf('2.0.3')).toBe('2.x');
+  });
+});
+
+describe('planChangelogSegments', () => {
+  const tags = ['8.x-1.13', '8.x-1.14', '8.x-1.15', '2.0.0-beta1', '2.0.0', '2.0.1', '2.1.0', '3.0.0', '7.x-2.0'];
+
+  it('should not split updates within one major branch', () => {
+    expect(planChangelogSegments('8.x-1.13', '8.x-1.15', tags)).toBeNull();
+    expect(planChangelogSegments('2.0.0', '2.1.0', tags)).toBeNull();
+  });
+
+  it('should follow the old branch, then the new one from its first release', () => {
+    expect(planChangelogSegments('8.x-1.13', '2.0.1', tags)).toEqual([
+      { from: '8.x-1.13', to: '8.x-1.15', branch: '8.x-1.x', newMajor: false },
+      { from: '2.0.0-beta1', to: '2.0.1', branch: '2.x', newMajor: true }
+    ]);
+  });
+
+  it('should skip the old branch when already on its latest release', () => {
+    expect(planChangelogSegments('8.x-1.15', '2.0.0-beta1', tags)).toEqual([
+      { from: '2.0.0-beta1', to: '2.0.0-beta1', branch: '2.x', newMajor: true }
+    ]);
+  });
+
+  it('should add a segment per skipped major branch', () => {
+    expect(planChangelogSegments('8.x-1.14', '3.0.0', tags)).toEqual([
+      { from: '8.x-1.14', to: '8.x-1.15', branch: '8.x-1.x', newMajor: false },
+      { from: '2.0.0-beta1', to: '2.1.0', branch: '2.x', newMajor: true },
+      { from: '3.0.0', to: '3.0.0', branch: '3.x', newMajor: true }
+    ]);
+  });
+});
+
+describe('planReleaseSteps', () => {
+  const tags = ['8.x-1.13', '8.x-1.14', '8.x-1.15', '2.0.0', '2.0.1', '7.x-1.14'];
+
+  it('should compare each release with the one before it', () => {
+    expect(planReleaseSteps('8.x-1.13', '8.x-1.15', tags)).toEqual([
+      { from: '8.x-1.13', to: '8.x-1.14', newMajor: false },
+      { from: '8.x-1.14', to: '8.x-1.15', newMajor: false }
+    ]);
+  });
+
+  it('should start new major branches with their first release', () => {
+    expect(planReleaseSteps('8.x-1.14', '2.0.1', tags)).toEqual([
+      { from: '8.x-1.14', to: '8.x-1.15', newMajor: false },
+      { from: null, to: '2.0.0', newMajor: true },
+      { from: '2.0.0', to: '2.0.1', newMajor: false }
+    ]);
+  });
+
+  it('should give up when the new version is not tagged or not newer', () => {
+    expect(planReleaseSteps('8.x-1.13', '8.x-1.16', tags)).toBeNull();
+    expect(planReleaseSteps('8.x-1.15', '8.x-1.13', tags)).toBeNull();
+  });
+});
+
+describe('mergeChangelogs', () => {
+  it('should join change groups by type and concatenate change records', () => {
+    expect(mergeChangelogs([
+      { changes: [{ type: 'Bug', changes: [{ nid: '1' }] }], changeRecords: [{ title: 'A' }] },
+      { changes: [{ type: 'Feature', changes: [{ nid: '2' }] }, { type: 'Bug', changes: [{ nid: '3' }] }] }
+    ])).toEqual({
+      changes: [
+        { type: 'Bug', changes: [{ nid: '1' }, { nid: '3' }] },
+        { type: 'Feature', changes: [{ nid: '2' }] }
+      ],
+      changeRecords: [{ title: 'A' }]
+    });
+  });
+  it('should list changes and change records backported to several branches once', () => {
+    expect(mergeChangelogs([
+      {
+        changes: [{ type: 'Bug', changes: [{ nid: '1' }, { nid: '2' }] }],
+        changeRecords: [{ title: 'A', url: 'https://www.drupal.org/node/10' }]
+      },
+      {
+        changes: [{ type: 'Bug', changes: [{ nid: '2' }, { link: 'https://www.drupal.org/i/4' }] }, { type: 'Task', changes: [{ nid: '1' }] }],
+        changeRecords: [{ title: 'A', url: 'https://www.drupal.org/node/10' }, { title: 'B', link: 'https://www.drupal.org/node/11' }]
+      },
+      {
+        changes: [{ type: 'Bug', changes: [{ link: 'https://www.drupal.org/i/4' }] }],
+        changeRecords: [{ title: 'B', url: 'https://www.drupal.org/node/11' }]
+      }
+    ])).toEqual({
+      changes: [
+        { type: 'Bug', changes: [{ nid: '1' }, { nid: '2' }, { link: 'https://www.drupal.org/i/4' }] },
+        { type: 'Task', changes: [] }
+      ],
+      changeRecords: [
+        { title: 'A', url: 'https://www.drupal.org/node/10' },
+        { title: 'B', link: 'https://www.drupal.org/node/11' }
+      ]
+    });
+  });
+});
@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const core = require('@actions/core');
+
+// Project tag lists change whenever a release is published
+const DEFAULT_TAGS_TTL = 3600000;
+
+/**
+ * Creates a JSON file cache for API responses
+ * Each entry is stored in its own file named after a hash of its key, so the
+ * directory can be persisted between workflow runs with actions/cache. Read
+ * and write failures are logged and treated as cache misses, never as errors.
+ * Without a directory the cache is disabled and every lookup misses.
+ * @param {Object} [options] - Cache options
+ * @param {string} [options.directory] - Directory holding the cache files
+ * @param {number} [options.tagsTtl] - How long project tags stay fresh, in milliseconds
+ * @param {Object} [options.logger] - Receives cache hits and failures; @actions/core by default
+ * @returns {{get: Function, set: Function, getStats: Function, enabled: boolean, tagsTtl: number}} The cache
+ */
+function createCache({ directory = '', tagsTtl = DEFAULT_TAGS_TTL, logger = core } = {}) {
+  const stats = { hits: 0, misses: 0 };
+
+  function fileFor(key) {
+    const hash = crypto.createHash('sha256').update(key).digest('hex');
+    return path.join(directory, `${hash}.json`);
+  }
+
+  /**
+   * Reads a fresh entry from the cache
+   * @param {string} key - The cache key
+   * @returns {Promise<*>} The cached value, or null on a miss or expired entry
+   */
+  async function get(key) {
+    if (!directory) {
+      return null;
+    }
+    try {
+      const entry = JSON.parse(await fs.readFile(fileFor(key), 'utf8'));
+      if (entry.key === key && (entry.expiresAt === null || entry.expiresAt > Date.now())) {
+        stats.hits++;
+        logger.debug(`Cache hit for ${key}`);
+        return entry.value;
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warning(`Could not read cache entry for ${key}: ${error.message}`);
+      }
+    }
+    stats.misses++;
+    return null;
+  }
+
+  /**
+   * Stores an entry in the cache
+   * @param {string} key - The cache key
+   * @param {*} value - A JSON serializable value
+   * @param {number} [ttl] - Lifetime in milliseconds; entries without one never expire
+   * @returns {Promise<void>}
+   */
+  async function set(key, value, ttl) {
+    if (!directory) {
+      return;
+    }
+    const entry = {
+      key,
+      expiresAt: ttl === undefined ? null : Date.now() + ttl,
+      value
+    };
+    try {
+      await fs.mkdir(directory, { recursive: true });
+      await fs.writeFile(fileFor(key), JSON.stringify(entry));
+    } catch (error) {
+      logger.warning(`Could not write cache entry for ${key}: ${error.message}`);
+    }
+  }
+
+  return {
+    get,
+    set,
+    getStats: () => ({ ...stats }),
+    enabled: Boolean(directory),
+    tagsTtl
+  };
+}
+
+module.exports = { createCache, DEFAULT_TAGS_TTL };
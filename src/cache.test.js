@@ -0,0 +1,74 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createCache } = require('./cache');
+const core = require('@actions/core');
+
+jest.mock('@actions/core');
+
+describe('createCache', () => {
+  let directory;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'drupal-mrn-cache-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should store and read entries across cache instances', async () => {
+    await createCache({ directory }).set('https://api.drupal-mrn.dev/project?project=token', ['8.x-1.15']);
+
+    const cache = createCache({ directory });
+
+    expect(await cache.get('https://api.drupal-mrn.dev/project?project=token')).toEqual(['8.x-1.15']);
+    expect(cache.getStats()).toEqual({ hits: 1, misses: 0 });
+  });
+
+  it('should miss unknown keys', async () => {
+    const cache = createCache({ directory });
+
+    expect(await cache.get('missing')).toBeNull();
+    expect(cache.getStats()).toEqual({ hits: 0, misses: 1 });
+    expect(core.warning).not.toHaveBeenCalled();
+  });
+
+  it('should expire entries after their TTL', async () => {
+    const cache = createCache({ directory });
+    await cache.set('fresh', 'value', 60000);
+    await cache.set('stale', 'value', 0);
+
+    expect(await cache.get('fresh')).toBe('value');
+    expect(await cache.get('stale')).toBeNull();
+  });
+
+  it('should create the cache directory when needed', async () => {
+    const nested = path.join(directory, 'nested', 'cache');
+    const cache = createCache({ directory: nested });
+
+    await cache.set('key', { changes: [] });
+
+    expect(await cache.get('key')).toEqual({ changes: [] });
+  });
+
+  it('should treat corrupt entries as misses', async () => {
+    const cache = createCache({ directory });
+    await cache.set('key', 'value');
+    for (const file of fs.readdirSync(directory)) {
+      fs.writeFileSync(path.join(directory, file), '{not json');
+    }
+
+    expect(await cache.get('key')).toBeNull();
+    expect(core.warning).toHaveBeenCalledWith(expect.stringContaining('Could not read cache entry for key'));
+  });
+
+  it('should do nothing without a directory', async () => {
+    const cache = createCache();
+    await cache.set('key', 'value');
+
+    expect(cache.enabled).toBe(false);
+    expect(await cache.get('key')).toBeNull();
+  });
+});
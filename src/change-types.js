@@ -0,0 +1,53 @@
+// Stands for every type not listed elsewhere in the configured order
+const OTHER_TYPES = '*';
+
+/**
+ * Normalizes a change type name for matching
+ * @param {string} type - The type name
+ * @returns {string} The lowercased, trimmed name
+ */
+function typeKey(type) {
+  return type.trim().toLowerCase();
+}
+
+/**
+ * Arranges the change type groups of a changelog for display
+ * Listed types are shown in the configured order, and "*" places all
+ * unlisted types in changelog order. Without an order every type is shown in
+ * changelog order. Excluded types, and unlisted ones when the order has no
+ * "*", are returned separately so they can be summarized instead of dropped.
+ * @param {Array<{type: string, changes: Array<Object>}>} typeGroups - Change groups in changelog order
+ * @param {Object} [options] - Options from readChangeTypeOptions()
+ * @param {Array<string>} [options.order] - Types to show, in display order
+ * @param {Array<string>} [options.exclude] - Types to leave out
+ * @param {Object} [options.names] - Headings keyed by lowercased type
+ * @returns {{types: Array<Object>, other: Array<Object>}} The groups to show, renamed,
+ *   and the groups left out
+ */
+function arrangeChangeTypes(typeGroups, { order = [], exclude = [], names = {} } = {}) {
+  const positions = (order.length > 0 ? order : [OTHER_TYPES]).map(typeKey);
+  const excluded = new Set(exclude.map(typeKey));
+  const positionOf = typeGroup => {
+    const position = positions.indexOf(typeKey(typeGroup.type));
+    return position === -1 ? positions.indexOf(OTHER_TYPES) : position;
+  };
+
+  const shown = [];
+  const other = [];
+  for (const typeGroup of typeGroups) {
+    const position = positionOf(typeGroup);
+    if (position === -1 || excluded.has(typeKey(typeGroup.type))) {
+      other.push(typeGroup);
+    } else {
+      shown.push({ position, typeGroup });
+    }
+  }
+
+  // Array#sort is stable, so types sharing the "*" position keep their order
+  const types = shown
+    .sort((a, b) => a.position - b.position)
+    .map(({ typeGroup }) => ({ ...typeGroup, type: names[typeKey(typeGroup.type)] || typeGroup.type }));
+  return { types, other };
+}
+
+module.exports = { arrangeChangeTypes };
@@ -0,0 +1,47 @@
+const { arrangeChangeTypes } = require('./change-types');
+
+/**
+ * Builds a change group with `count` placeholder changes
+ */
+function group(type, count = 1) {
+  return { type, changes: Array.from({ length: count }, (_, i) => ({ nid: String(i), summary: `${type} ${i}` })) };
+}
+
+describe('arrangeChangeTypes', () => {
+  const changes = [group('Task', 2), group('Bug'), group('Misc'), group('Feature')];
+
+  it('should keep every type in changelog order by default', () => {
+    const { types, other } = arrangeChangeTypes(changes);
+
+    expect(types.map(typeGroup => typeGroup.type)).toEqual(['Task', 'Bug', 'Misc', 'Feature']);
+    expect(other).toEqual([]);
+  });
+
+  it('should only show listed types, in the configured order', () => {
+    const { types, other } = arrangeChangeTypes(changes, { order: ['feature', 'BUG'] });
+
+    expect(types.map(typeGroup => typeGroup.type)).toEqual(['Feature', 'Bug']);
+    expect(other.map(typeGroup => typeGroup.type)).toEqual(['Task', 'Misc']);
+  });
+
+  it('should place unlisted types at the wildcard', () => {
+    const { types } = arrangeChangeTypes(changes, { order: ['Feature', '*', 'Task'] });
+
+    expect(types.map(typeGroup => typeGroup.type)).toEqual(['Feature', 'Bug', 'Misc', 'Task']);
+  });
+
+  it('should leave out excluded types', () => {
+    const { types, other } = arrangeChangeTypes(changes, { order: ['*'], exclude: ['task', 'Misc'] });
+
+    expect(types.map(typeGroup => typeGroup.type)).toEqual(['Bug', 'Feature']);
+    expect(other.map(typeGroup => typeGroup.type)).toEqual(['Task', 'Misc']);
+    expect(other[0].changes).toHaveLength(2);
+  });
+
+  it('should rename types', () => {
+    const { types } = arrangeChangeTypes(changes, { names: { bug: 'Bug fixes' }, exclude: ['Task'] });
+
+    expect(types.map(typeGroup => typeGroup.type)).toEqual(['Bug fixes', 'Misc', 'Feature']);
+    expect(types[0].changes).toEqual(changes[1].changes);
+  });
+});
@@ -0,0 +1,381 @@
+const core = require('@actions/core');
+const { DEFAULT_HOSTS } = require('./config');
+const { createHttpClient } = require('./http');
+const { createCache } = require('./cache');
+const { mapWithConcurrency } = require('./pool');
+const { projectForPackage, mergePackages } = require('./packages');
+const { fetchReleaseHistory, securityStatus } = require('./release-history');
+const { fetchRequirementChanges } = require('./composer-metadata');
+const { planChangelogSegments, planReleaseSteps, mergeChangelogs } = require('./branches');
+
+/**
+ * Fetches project tags from drupal-mrn API
+ * @param {string} project - The Drupal project name
+ * @param {Object} [options] - Request options
+ * @param {Object} [options.hosts] - Configured hosts, see readHosts()
+ * @param {Object} [options.http] - HTTP client, see createHttpClient()
+ * @param {Object} [options.cache] - Response cache, see createCache()
+ * @param {Object} [options.logger] - Receives failures; @actions/core by default
+ * @returns {Promise<Array<string>>} Array of tag names
+ */
+async function fetchProjectTags(project, {
+  hosts = DEFAULT_HOSTS,
+  http = createHttpClient(),
+  cache = createCache(),
+  logger = core
+} = {}) {
+  const apiUrl = `${hosts.apiUrl}/project?${new URLSearchParams({ project })}`;
+  const cached = await cache.get(apiUrl);
+  if (cached) {
+    return cached;
+  }
+  try {
+    const response = await http.fetch(apiUrl);
+    if (!response.ok) {
+      let errorDetails = `Status: ${response.status}`;
+      try {
+        const errorBody = await response.text();
+        if (errorBody) {
+          errorDetails += `, Response: ${errorBody.substring(0, 200)}`;
+        }
+      } catch (e) {
+        // Ignore errors reading response body
+      }
+      logger.warning(`Failed to fetch project tags for ${project}: ${response.status}`);
+      logger.warning(`API URL: ${apiUrl}`);
+      logger.warning(`Error details: ${errorDetails}`);
+      return [];
+    }
+    const data = await response.json();
+    const tags = (data.tags || []).map(tag => tag.name);
+    await cache.set(apiUrl, tags, cache.tagsTtl);
+    return tags;
+  } catch (error) {
+    logger.warning(`Error fetching project tags for ${project}: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Finds the Git tag of a Semver version in a project's tag list
+ * Handles legacy Drupal versioning, where Composer reports tags such as
+ * 8.x-1.38 or 7.x-2.0-beta3 as 1.38.0 and 2.0.0-beta3. When several legacy
+ * prefixes have a matching tag, 8.x is preferred, then the newest core.
+ * @param {string} version - The Semver version (e.g. "1.38.0" or "1.0.0-rc1")
+ * @param {Array<string>} tags - Array of available tag names
+ * @returns {string|null} The matching tag name, or null if there is none
+ */
+function findVersionTag(version, tags) {
+  // First, check if the version exists as-is (for modern projects)
+  if (tags.includes(version)) {
+    return version;
+  }
+
+  // Legacy tags have no patch version, so only X.Y.0 can map to one
+  const semverMatch = version.match(/^(\d+)\.(\d+)\.0(?:-(alpha|beta|rc)\.?(\d+))?$/i);
+  if (!semverMatch) {
+    return null;
+  }
+  const [, major, minor, stability, stabilityVersion] = semverMatch;
+  const suffix = stability ? `-${stability.toLowerCase()}${stabilityVersion}` : '';
+  const legacyVersion = `${major}.${minor}${suffix}`;
+
+  const candidates = tags
+    .map(tag => tag.match(/^(\d+)\.x-(.+)$/))
+    .filter(match => match && match[2] === legacyVersion)
+    .sort((a, b) => {
+      if (a[1] === '8' || b[1] === '8') {
+        return a[1] === '8' ? -1 : 1;
+      }
+      return Number(b[1]) - Number(a[1]);
+    });
+
+  return candidates.length > 0 ? candidates[0][0] : null;
+}
+
+/**
+ * Maps a Semver version to the actual Git tag name
+ * Handles legacy Drupal versioning (e.g., 1.38.0 -> 8.x-1.38), see findVersionTag()
+ * @param {string} version - The Semver version (e.g., "1.38.0")
+ * @param {Array<string>} tags - Array of available tag names
+ * @returns {string} The mapped tag name or original version if no match found
+ */
+function mapVersionToTag(version, tags) {
+  return findVersionTag(version, tags) || version;
+}
+
+/**
+ * Attaches changelog data to a package result
+ * @param {Object} result - The package with mapped tags
+ * @param {Object} data - The drupal-mrn changelog response
+ * @returns {Object} The result with status 'ok', or 'empty' without changes
+ */
+function releaseNotesResult(result, data) {
+  if (data && data.changes && data.changes.length > 0) {
+    return { ...result, status: 'ok', data };
+  }
+  return { ...result, status: 'empty', data };
+}
+
+/**
+ * Checks that a list is missing or holds only objects
+ * @param {*} value - The value to check
+ * @returns {boolean} Whether the value can be read as a list of objects
+ */
+function isListOfObjects(value) {
+  return value == null || (Array.isArray(value) && value.every(item => item !== null && typeof item === 'object'));
+}
+
+/**
+ * Checks that a drupal-mrn changelog response has the shape the model reads
+ * @param {*} data - The changelog response
+ * @returns {string|null} What is wrong with the response, or null when it is valid
+ */
+function invalidChangelogReason(data) {
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+    return 'the response is not an object';
+  }
+  if (!isListOfObjects(data.changes)) {
+    return '"changes" is not a list of change groups';
+  }
+  if (!(data.changes || []).every(typeGroup => isListOfObjects(typeGroup.changes))) {
+    return 'a change group has no list of changes';
+  }
+  if (!isListOfObjects(data.changeRecords)) {
+    return '"changeRecords" is not a list of change records';
+  }
+  return null;
+}
+
+/**
+ * Fetches the drupal-mrn changelog between two tags
+ * @param {string} project - The Drupal project name
+ * @param {string} from - Tag of the older release
+ * @param {string} to - Tag of the newer release
+ * @param {Object} options - Request options
+ * @param {Object} options.hosts - Configured hosts, see readHosts()
+ * @param {Object} options.http - HTTP client, see createHttpClient()
+ * @param {Object} options.cache - Response cache, see createCache()
+ * @param {Object} [options.logger] - Receives failures; @actions/core by default
+ * @returns {Promise<Object>} A status ('ok', 'empty', 'unavailable' or 'error')
+ *   with the changelog data or the error
+ */
+async function fetchChangelog(project, from, to, { hosts, http, cache, logger = core }) {
+  const apiUrl = `${hosts.apiUrl}/changelog?${new URLSearchParams({
+    project,
+    from,
+    to,
+    format: 'json'
+  })}`;
+
+  // A published changelog between two tags never changes
+  const cached = await cache.get(apiUrl);
+  if (cached) {
+    return releaseNotesResult({}, cached);
+  }
+
+  try {
+    const response = await http.fetch(apiUrl);
+
+    if (!response.ok) {
+      let errorDetails = `Status: ${response.status}`;
+      try {
+        const errorBody = await response.text();
+        if (errorBody) {
+          errorDetails += `, Response: ${errorBody.substring(0, 200)}`;
+        }
+      } catch (e) {
+        // Ignore errors reading response body
+      }
+      logger.warning(`API returned ${response.status} for ${project}`);
+      logger.warning(`API URL: ${apiUrl}`);
+      logger.warning(`Error details: ${errorDetails}`);
+      return { status: 'unavailable' };
+    }
+
+    const data = await response.json();
+    const invalid = invalidChangelogReason(data);
+    if (invalid) {
+      logger.error(`Invalid release notes for ${project}: ${invalid}`);
+      return { status: 'error', error: `Invalid changelog response: ${invalid}` };
+    }
+    await cache.set(apiUrl, data);
+    return releaseNotesResult({}, data);
+  } catch (error) {
+    logger.error(`Error fetching release notes for ${project}: ${error.message}`);
+    return { status: 'error', error: error.message };
+  }
+}
+
+/**
+ * Fetches the changelogs of consecutive ranges of an update, in order
+ * Ranges without an older tag, or within a single release, start a new major
+ * branch: drupal-mrn has no earlier release on the branch to compare with,
+ * so they get the status 'first-release' and are linked instead.
+ * @param {string} project - The Drupal project name
+ * @param {Array<{from: string|null, to: string}>} ranges - The ranges
+ * @param {Object} options - Request options, see fetchChangelog()
+ * @returns {Promise<Array<Object>>} The ranges with a status and changelog data, see fetchChangelog()
+ */
+async function fetchChangelogs(project, ranges, options) {
+  const fetched = [];
+  for (const range of ranges) {
+    const changelog = !range.from || range.from === range.to
+      ? { status: 'first-release', data: { changes: [], changeRecords: [] } }
+      : await fetchChangelog(project, range.from, range.to, options);
+    fetched.push({ ...range, ...changelog });
+  }
+  return fetched;
+}
+
+/**
+ * Attaches the combined changelogs of several ranges to a package result
+ * An update to the first release of a new major version is 'ok' even without
+ * changes, so its release notes are still pointed out.
+ * @param {Object} result - The package with mapped tags
+ * @param {Array<Object>} fetched - Ranges from fetchChangelogs()
+ * @param {string} key - Where the fetched ranges are kept, e.g. 'segments'
+ * @returns {Object} The result with the combined changelog and the ranges, or
+ *   the status of the first range when none could be fetched
+ */
+function combineChangelogs(result, fetched, key) {
+  const succeeded = fetched.filter(range => ['ok', 'empty', 'first-release'].includes(range.status));
+  if (succeeded.length === 0) {
+    const { status, error } = fetched[0];
+    return error ? { ...result, status, error } : { ...result, status };
+  }
+  const combined = releaseNotesResult(result, mergeChangelogs(succeeded.map(range => range.data)));
+  const status = fetched.some(range => range.status === 'first-release') ? 'ok' : combined.status;
+  return { ...combined, status, [key]: fetched };
+}
+
+/**
+ * Fetches the changelog for a single package between two versions
+ * Failures are captured in the result so one package cannot break the others.
+ * @param {Object} pkg - The package ({ name, project, from, to })
+ * @param {Object} options - Request options
+ * @param {Object} options.hosts - Configured hosts, see readHosts()
+ * @param {Object} options.http - HTTP client, see createHttpClient()
+ * @param {Object} options.cache - Response cache, see createCache()
+ * @param {boolean} [options.checkSecurity] - Whether to look up security releases
+ * @param {boolean} [options.checkRequirements] - Whether to compare the Composer requirements
+ * @param {boolean} [options.perRelease] - Whether to fetch the changelog of each release separately
+ * @param {Object} [options.logger] - Receives progress and failures; @actions/core by default
+ * @returns {Promise<Object>} The package with mapped tags, a status
+ *   ('ok', 'empty', 'missing-tag', 'unavailable' or 'error') and the changelog
+ *   data, the missing tags or the error. With checkSecurity, `security`
+ *   holds the security status from the drupal.org release history; with
+ *   checkRequirements, `requirements` holds the changed Composer requirements.
+ *   Updates to a new major version also list the fetched branch `segments`,
+ *   see planChangelogSegments(), and combine their changelogs in `data`.
+ *   With perRelease, the changelog of each release is listed in `releases`
+ *   instead, see planReleaseSteps().
+ */
+async function fetchPackageReleaseNotes(pkg, {
+  hosts,
+  http,
+  cache,
+  checkSecurity = false,
+  checkRequirements = false,
+  perRelease = false,
+  logger = core
+}) {
+  const options = { hosts, http, cache, logger };
+  logger.info(`Fetching release notes for ${pkg.project} from ${pkg.from} to ${pkg.to}`);
+
+  // Fetch project tags to map Semver versions to actual Git tags
+  const tags = await fetchProjectTags(pkg.project, options);
+  const mappedFrom = mapVersionToTag(pkg.from, tags);
+  const mappedTo = mapVersionToTag(pkg.to, tags);
+  const result = { ...pkg, mappedFrom, mappedTo };
+
+  if (mappedFrom !== pkg.from || mappedTo !== pkg.to) {
+    logger.info(`Mapped versions for ${pkg.project}: ${pkg.from} → ${mappedFrom}, ${pkg.to} → ${mappedTo}`);
+  }
+
+  // Security releases matter even when the changelog cannot be fetched
+  if (checkSecurity) {
+    const releases = await fetchReleaseHistory(pkg.project, mappedTo, options);
+    if (releases) {
+      result.security = securityStatus(releases, mappedFrom, mappedTo);
+    }
+  }
+
+  if (checkRequirements) {
+    const requirements = await fetchRequirementChanges(pkg, options);
+    if (requirements) {
+      result.requirements = requirements;
+    }
+  }
+
+  // Without a tag list there is nothing to check against; otherwise do not
+  // query the changelog for tags that do not exist
+  if (tags.length > 0) {
+    const missingTags = [pkg.from, pkg.to].filter(version => !findVersionTag(version, tags));
+    if (missingTags.length > 0) {
+      logger.warning(`No release tag found for ${pkg.project} ${missingTags.join(', ')}`);
+      return { ...result, status: 'missing-tag', missingTags };
+    }
+  }
+
+  const steps = perRelease && tags.length > 0 ? planReleaseSteps(mappedFrom, mappedTo, tags) : null;
+  if (steps) {
+    logger.info(`Fetching the changelog of ${steps.length} ${steps.length === 1 ? 'release' : 'releases'} of ${pkg.project}`);
+    return combineChangelogs(result, await fetchChangelogs(pkg.project, steps, options), 'releases');
+  }
+
+  const segments = tags.length > 0 ? planChangelogSegments(mappedFrom, mappedTo, tags) : null;
+  if (!segments) {
+    return { ...result, ...(await fetchChangelog(pkg.project, mappedFrom, mappedTo, options)) };
+  }
+
+  // Diverging branches cannot be compared, so follow each branch on its own
+  logger.info(`${pkg.project} moves to a new major version, fetching the changelog of ${segments.map(segment => `${segment.from} → ${segment.to}`).join(', ')}`);
+  return combineChangelogs(result, await fetchChangelogs(pkg.project, segments, options), 'segments');
+}
+
+/**
+ * Fetches the release notes of the Drupal packages among a set of updates
+ * Non-Drupal packages are skipped, and core metapackages moving together
+ * are merged into a single result.
+ * @param {Array<{name: string, from: string, to: string}>} updates - The updated Composer packages
+ * @param {Object} options - Request options
+ * @param {Object} options.hosts - Configured hosts, see readHosts()
+ * @param {Object} options.http - HTTP client, see createHttpClient()
+ * @param {Object} options.cache - Response cache, see createCache()
+ * @param {number} options.concurrency - How many packages are fetched in parallel
+ * @param {boolean} [options.checkSecurity] - Whether to look up security releases
+ * @param {boolean} [options.checkRequirements] - Whether to compare the Composer requirements
+ * @param {boolean} [options.perRelease] - Whether to fetch the changelog of each release separately
+ * @param {Object} [options.logger] - Receives progress and failures; @actions/core by default
+ * @returns {Promise<Array<Object>>} One result per package, in update order,
+ *   see fetchPackageReleaseNotes()
+ */
+async function fetchReleaseNotes(updates, { hosts, http, cache, concurrency, checkSecurity, checkRequirements, perRelease, logger }) {
+  // Filter to only drupal/ packages
+  const updatedPackages = [];
+  for (const update of updates) {
+    const project = projectForPackage(update.name);
+    if (project) {
+      updatedPackages.push({ ...update, project });
+    }
+  }
+
+  // Core metapackages moving together share a single section
+  const drupalPackages = mergePackages(updatedPackages);
+
+  // Fetch release notes for all packages in parallel, keeping package order
+  return mapWithConcurrency(
+    drupalPackages,
+    concurrency,
+    pkg => fetchPackageReleaseNotes(pkg, { hosts, http, cache, checkSecurity, checkRequirements, perRelease, logger })
+  );
+}
+
+module.exports = {
+  fetchReleaseNotes,
+  fetchPackageReleaseNotes,
+  fetchProjectTags,
+  findVersionTag,
+  mapVersionToTag
+};
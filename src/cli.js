@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+const {
+  collectReleaseNotes,
+  createComposerProvider,
+  renderMarkdown,
+  loadTemplate,
+  createHttpClient,
+  createCache
+} = require('./api');
+const {
+  readBoolean,
+  readHosts,
+  readHttpOptions,
+  readConcurrency,
+  readCacheOptions,
+  readChangeTypeOptions,
+  readTeamMembers
+} = require('./config');
+const { stripVersionPrefix } = require('./release-history');
+
+// Formats the release notes can be printed in
+const FORMATS = ['markdown', 'json'];
+
+const USAGE = `Usage: dependabot-drupal-mrn [--format markdown|json] <package> <from> <to> [<package> <from> <to> ...]
+
+Prints the drupal.org release notes of Drupal package updates, for example:
+
+  npx dependabot-drupal-mrn drupal/token 1.13.0 1.15.0 drupal/core 10.2.1 10.2.3
+
+The same environment variables as the action configure hosts, retries,
+caching, the security and requirement checks and the markdown template,
+e.g. DRUPAL_MRN_API_URL, CACHE_DIR or TEMPLATE_FILE. Set COMPOSER_PACKAGES=true
+to include other Composer packages, with GITHUB_TOKEN for the GitHub API.
+`;
+
+/**
+ * Parses the command-line arguments
+ * @param {Array<string>} args - The arguments without the node and script paths
+ * @returns {{format: string, help: boolean, updates: Array<{name: string, from: string, to: string}>}} The options
+ */
+function parseArgs(args) {
+  const options = { format: 'markdown', help: false, updates: [] };
+  const positional = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else if (arg === '--format' || arg.startsWith('--format=')) {
+      if (arg === '--format' && i + 1 >= args.length) {
+        throw new Error('Option "--format" requires a value');
+      }
+      const value = arg === '--format' ? args[++i] : arg.slice('--format='.length);
+      if (!FORMATS.includes(value)) {
+        throw new Error(`Invalid format "${value}". Expected one of: ${FORMATS.join(', ')}`);
+      }
+      options.format = value;
+    } else if (arg.startsWith('-')) {
+      throw new Error(`Unknown option "${arg}"`);
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  if (positional.length % 3 !== 0) {
+    throw new Error('Expected package, from version and to version for each update');
+  }
+  for (let i = 0; i < positional.length; i += 3) {
+    const [name, from, to] = positional.slice(i, i + 3);
+    options.updates.push({ name, from: stripVersionPrefix(from), to: stripVersionPrefix(to) });
+  }
+
+  return options;
+}
+
+/**
+ * Creates a logger writing progress and problems to stderr
+ * @param {Function} stderr - Writes to stderr
+ * @returns {Object} The logger, see collectReleaseNotes()
+ */
+function createLogger(stderr) {
+  return {
+    debug: () => {},
+    info: message => stderr(`${message}\n`),
+    warning: message => stderr(`Warning: ${message}\n`),
+    error: message => stderr(`Error: ${message}\n`)
+  };
+}
+
+/**
+ * Runs the command-line tool
+ * @param {Array<string>} args - The arguments without the node and script paths
+ * @param {Object} [io] - Where to print
+ * @param {Function} [io.stdout] - Writes the release notes
+ * @param {Function} [io.stderr] - Writes usage, progress and errors
+ * @returns {Promise<number>} The process exit code
+ */
+async function main(args, {
+  stdout = text => process.stdout.write(text),
+  stderr = text => process.stderr.write(text)
+} = {}) {
+  let options;
+  try {
+    options = parseArgs(args);
+  } catch (error) {
+    stderr(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (options.help || options.updates.length === 0) {
+    (options.help ? stdout : stderr)(USAGE);
+    return options.help ? 0 : 2;
+  }
+
+  try {
+    const hosts = readHosts();
+    const template = await loadTemplate((process.env.TEMPLATE_FILE || '').trim());
+    const changeTypes = readChangeTypeOptions();
+    const teamMembers = readTeamMembers();
+    const logger = createLogger(stderr);
+    const model = await collectReleaseNotes(options.updates, {
+      hosts,
+      logger,
+      http: createHttpClient({ ...readHttpOptions(), logger }),
+      cache: createCache({ ...readCacheOptions(), logger }),
+      concurrency: readConcurrency(),
+      checkSecurity: readBoolean(process.env, 'SECURITY_CHECK', true),
+      checkRequirements: readBoolean(process.env, 'REQUIREMENTS_CHECK', true),
+      perRelease: readBoolean(process.env, 'PER_RELEASE', false),
+      providers: readBoolean(process.env, 'COMPOSER_PACKAGES', false)
+        ? [createComposerProvider({ token: process.env.GITHUB_TOKEN || '' })]
+        : []
+    });
+
+    if (model.packages.length === 0 && model.otherPackages.length === 0) {
+      stderr('No drupal/ packages given\n');
+      return 1;
+    }
+
+    if (options.format === 'json') {
+      stdout(`${JSON.stringify(model, null, 2)}\n`);
+    } else {
+      stdout(renderMarkdown(model, { hosts, template, changeTypes, teamMembers }));
+    }
+    return 0;
+  } catch (error) {
+    stderr(`${error.message}\n`);
+    return 1;
+  }
+}
+
+// Only run if this file is executed directly (not when imported for testing)
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = { main, parseArgs };
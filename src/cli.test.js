@@ -0,0 +1,125 @@
+const { main, parseArgs } = require('./cli');
+
+jest.mock('@actions/core');
+
+// Mock global fetch
+global.fetch = jest.fn();
+
+describe('parseArgs', () => {
+  it('should read package, from and to triples', () => {
+    expect(parseArgs(['drupal/token', '1.13.0', '1.15.0', 'drupal/core', 'v10.2.1', '10.2.3'])).toEqual({
+      format: 'markdown',
+      help: false,
+      updates: [
+        { name: 'drupal/token', from: '1.13.0', to: '1.15.0' },
+        { name: 'drupal/core', from: '10.2.1', to: '10.2.3' }
+      ]
+    });
+  });
+
+  it('should read the format', () => {
+    expect(parseArgs(['--format', 'json', 'drupal/token', '1.13.0', '1.15.0']).format).toBe('json');
+    expect(parseArgs(['drupal/token', '1.13.0', '1.15.0', '--format=markdown']).format).toBe('markdown');
+  });
+
+  it('should reject invalid arguments', () => {
+    expect(() => parseArgs(['--format', 'html'])).toThrow('Invalid format "html". Expected one of: markdown, json');
+    expect(() => parseArgs(['drupal/token', '1.13.0', '1.15.0', '--format'])).toThrow('Option "--format" requires a value');
+    expect(() => parseArgs(['--verbose'])).toThrow('Unknown option "--verbose"');
+    expect(() => parseArgs(['drupal/token', '1.13.0'])).toThrow('Expected package, from version and to version for each update');
+  });
+});
+
+describe('main', () => {
+  let stdout;
+  let stderr;
+  const io = {
+    stdout: text => { stdout += text; },
+    stderr: text => { stderr += text; }
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    stdout = '';
+    stderr = '';
+    process.env.MAX_RETRIES = '0';
+    process.env.SECURITY_CHECK = 'false';
+    process.env.REQUIREMENTS_CHECK = 'false';
+
+    global.fetch.mockImplementation(async url => ({
+      ok: true,
+      status: 200,
+      json: async () => (url.includes('/project?')
+        ? { tags: [{ name: '8.x-1.13' }, { name: '8.x-1.15' }] }
+        : {
+          changes: [{ type: 'Bug', changes: [{ nid: '1', link: 'https://www.drupal.org/i/1', type: 'Bug', summary: '#1: Fix tokens' }] }],
+          changeRecords: []
+        })
+    }));
+  });
+
+  afterEach(() => {
+    delete process.env.GITHUB_TOKEN;
+    delete process.env.MAX_RETRIES;
+    delete process.env.SECURITY_CHECK;
+    delete process.env.REQUIREMENTS_CHECK;
+  });
+
+  it('should print markdown release notes without a GitHub token', async () => {
+    delete process.env.GITHUB_TOKEN;
+
+    const code = await main(['drupal/token', '1.13.0', '1.15.0'], io);
+
+    expect(code).toBe(0);
+    expect(global.fetch).toHaveBeenCalledWith('https://api.drupal-mrn.dev/changelog?project=token&from=8.x-1.13&to=8.x-1.15&format=json', expect.anything());
+    expect(stdout).toMatch(/^## Drupal Release Notes\n\n### drupal\/token\n\n/);
+    expect(stdout).toContain('[#1](https://www.drupal.org/i/1): Fix tokens');
+    expect(stderr).toContain('Fetching release notes for token from 1.13.0 to 1.15.0\n');
+  });
+
+  it('should log to stderr rather than through workflow commands', async () => {
+    global.fetch.mockResolvedValue({ ok: false, status: 503, text: async () => '' });
+
+    await main(['drupal/token', '1.13.0', '1.15.0'], io);
+
+    expect(stderr).toContain('Warning: Failed to fetch project tags for token: 503\n');
+    expect(stdout).not.toContain('::warning::');
+    expect(require('@actions/core').warning).not.toHaveBeenCalled();
+  });
+
+  it('should print the JSON model', async () => {
+    const code = await main(['--format', 'json', 'drupal/token', '1.13.0', '1.15.0'], io);
+
+    expect(code).toBe(0);
+    const model = JSON.parse(stdout);
+    expect(model.packages[0]).toEqual(expect.objectContaining({ name: 'drupal/token', fromTag: '8.x-1.13', toTag: '8.x-1.15', status: 'ok' }));
+  });
+
+  it('should print usage for invalid arguments', async () => {
+    expect(await main([], io)).toBe(2);
+    expect(stderr).toContain('Usage: dependabot-drupal-mrn');
+
+    stderr = '';
+    expect(await main(['drupal/token', '1.13.0'], io)).toBe(2);
+    expect(stderr).toMatch(/^Expected package, from version and to version for each update\n\nUsage:/);
+    expect(stdout).toBe('');
+  });
+
+  it('should print usage on request', async () => {
+    expect(await main(['--help'], io)).toBe(0);
+    expect(stdout).toContain('Usage: dependabot-drupal-mrn');
+  });
+
+  it('should fail without Drupal packages', async () => {
+    expect(await main(['symfony/console', '6.4.0', '6.4.1'], io)).toBe(1);
+    expect(stderr).toBe('No drupal/ packages given\n');
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('should report configuration errors', async () => {
+    process.env.MAX_RETRIES = 'many';
+
+    expect(await main(['drupal/token', '1.13.0', '1.15.0'], io)).toBe(1);
+    expect(stderr).toBe('Invalid MAX_RETRIES: "many". Expected a non-negative integer\n');
+  });
+});
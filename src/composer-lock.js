@@ -0,0 +1,91 @@
+const fs = require('fs/promises');
+const core = require('@actions/core');
+const { compareVersions, stripVersionPrefix } = require('./release-history');
+
+/**
+ * Indexes the locked package versions of a composer.lock
+ * @param {Object|null} lock - Parsed composer.lock, or null when there is none
+ * @returns {Map<string, string>} Versions keyed by package name
+ */
+function lockedVersions(lock) {
+  const versions = new Map();
+  if (!lock) {
+    return versions;
+  }
+  for (const pkg of [...(lock.packages || []), ...(lock['packages-dev'] || [])]) {
+    if (pkg && pkg.name && pkg.version) {
+      versions.set(pkg.name, stripVersionPrefix(pkg.version));
+    }
+  }
+  return versions;
+}
+
+/**
+ * Lists the packages whose locked version differs between two composer.lock files
+ * Packages that were only added or only removed have no version range and are
+ * left out, as are downgrades: their changelog would be read backwards.
+ * @param {Object|null} baseLock - composer.lock of the PR base
+ * @param {Object|null} headLock - composer.lock of the PR head
+ * @returns {Array<{name: string, from: string, to: string}>} Changed packages, in head lock order
+ */
+function diffComposerLocks(baseLock, headLock) {
+  const baseVersions = lockedVersions(baseLock);
+  const changes = [];
+  for (const [name, to] of lockedVersions(headLock)) {
+    const from = baseVersions.get(name);
+    if (!from || from === to) {
+      continue;
+    }
+    if (compareVersions(to, from) < 0) {
+      core.info(`Skipping ${name}: downgraded from ${from} to ${to}`);
+      continue;
+    }
+    changes.push({ name, from, to });
+  }
+  return changes;
+}
+
+/**
+ * Looks up the locked version of a package
+ * @param {Object|null} lock - Parsed composer.lock
+ * @param {string} name - The package name
+ * @returns {string|null} The version without a v prefix, or null if it is not locked
+ */
+function lockedVersion(lock, name) {
+  return lockedVersions(lock).get(name) || null;
+}
+
+/**
+ * Reads a composer.lock from a local file or from the repository
+ * @param {Object} octokit - Authenticated Octokit client
+ * @param {Object} context - GitHub Actions context
+ * @param {Object} options - Where to read the lock file from
+ * @param {string} options.path - Path of the lock file in the repository
+ * @param {string} options.ref - Commit to read it at through the contents API
+ * @param {string} [options.file] - Local file to read instead of using the API
+ * @returns {Promise<Object|null>} The parsed lock file, or null if it does not exist at that ref
+ */
+async function readComposerLock(octokit, context, { path, ref, file }) {
+  if (file) {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  }
+
+  try {
+    // The raw media type also works for lock files over the 1 MB JSON content limit
+    const { data } = await octokit.rest.repos.getContent({
+      owner: context.repo.owner,
+      repo: context.repo.repo,
+      path,
+      ref,
+      mediaType: { format: 'raw' }
+    });
+    return JSON.parse(data);
+  } catch (error) {
+    if (error.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+module.exports = { diffComposerLocks, lockedVersion, readComposerLock };
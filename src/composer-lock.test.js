@@ -0,0 +1,128 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { diffComposerLocks, lockedVersion, readComposerLock } = require('./composer-lock');
+
+jest.mock('@actions/core');
+
+/**
+ * Builds a minimal composer.lock
+ */
+function lock(packages, packagesDev = []) {
+  return {
+    packages: Object.entries(packages).map(([name, version]) => ({ name, version })),
+    'packages-dev': Object.entries(packagesDev).map(([name, version]) => ({ name, version }))
+  };
+}
+
+describe('diffComposerLocks', () => {
+  it('should list packages whose version changed', () => {
+    const base = lock({ 'drupal/core': '10.2.0', 'drupal/token': '1.13.0', 'drupal/pathauto': '1.12.0' });
+    const head = lock({ 'drupal/core': '10.2.1', 'drupal/token': '1.15.0', 'drupal/pathauto': '1.12.0' });
+
+    expect(diffComposerLocks(base, head)).toEqual([
+      { name: 'drupal/core', from: '10.2.0', to: '10.2.1' },
+      { name: 'drupal/token', from: '1.13.0', to: '1.15.0' }
+    ]);
+  });
+
+  it('should include dev packages', () => {
+    const base = lock({}, { 'drupal/core-dev': '10.2.0' });
+    const head = lock({}, { 'drupal/core-dev': '10.2.1' });
+
+    expect(diffComposerLocks(base, head)).toEqual([
+      { name: 'drupal/core-dev', from: '10.2.0', to: '10.2.1' }
+    ]);
+  });
+
+  it('should skip added and removed packages', () => {
+    const base = lock({ 'drupal/token': '1.13.0' });
+    const head = lock({ 'drupal/pathauto': '1.12.0' });
+
+    expect(diffComposerLocks(base, head)).toEqual([]);
+  });
+
+  it('should strip a leading v from versions', () => {
+    const base = lock({ 'drush/drush': 'v12.4.0' });
+    const head = lock({ 'drush/drush': '12.5.0' });
+
+    expect(diffComposerLocks(base, head)).toEqual([
+      { name: 'drush/drush', from: '12.4.0', to: '12.5.0' }
+    ]);
+  });
+
+  it('should skip downgrades', () => {
+    const base = lock({ 'drupal/token': '1.15.0', 'drupal/core': '10.2.0' });
+    const head = lock({ 'drupal/token': '1.13.0', 'drupal/core': '10.2.1' });
+
+    expect(diffComposerLocks(base, head)).toEqual([
+      { name: 'drupal/core', from: '10.2.0', to: '10.2.1' }
+    ]);
+  });
+
+  it('should handle a missing base lock file', () => {
+    expect(diffComposerLocks(null, lock({ 'drupal/token': '1.15.0' }))).toEqual([]);
+  });
+});
+
+describe('lockedVersion', () => {
+  it('should look up locked versions', () => {
+    const head = lock({ 'drupal/core': 'v10.2.5' }, { 'drupal/devel': '5.1.0' });
+
+    expect(lockedVersion(head, 'drupal/core')).toBe('10.2.5');
+    expect(lockedVersion(head, 'drupal/devel')).toBe('5.1.0');
+    expect(lockedVersion(head, 'drupal/token')).toBeNull();
+    expect(lockedVersion(null, 'drupal/core')).toBeNull();
+  });
+});
+
+describe('readComposerLock', () => {
+  const context = { repo: { owner: 'test-owner', repo: 'test-repo' } };
+  let octokit;
+
+  beforeEach(() => {
+    octokit = { rest: { repos: { getContent: jest.fn() } } };
+  });
+
+  it('should read the lock file through the contents API', async () => {
+    octokit.rest.repos.getContent.mockResolvedValue({ data: JSON.stringify(lock({ 'drupal/token': '1.15.0' })) });
+
+    const result = await readComposerLock(octokit, context, { path: 'web/composer.lock', ref: 'abc123' });
+
+    expect(result).toEqual(lock({ 'drupal/token': '1.15.0' }));
+    expect(octokit.rest.repos.getContent).toHaveBeenCalledWith({
+      owner: 'test-owner',
+      repo: 'test-repo',
+      path: 'web/composer.lock',
+      ref: 'abc123',
+      mediaType: { format: 'raw' }
+    });
+  });
+
+  it('should return null when the lock file does not exist', async () => {
+    octokit.rest.repos.getContent.mockRejectedValue(Object.assign(new Error('Not Found'), { status: 404 }));
+
+    expect(await readComposerLock(octokit, context, { path: 'composer.lock', ref: 'abc123' })).toBeNull();
+  });
+
+  it('should rethrow other API errors', async () => {
+    octokit.rest.repos.getContent.mockRejectedValue(Object.assign(new Error('Bad credentials'), { status: 401 }));
+
+    await expect(readComposerLock(octokit, context, { path: 'composer.lock', ref: 'abc123' })).rejects.toThrow('Bad credentials');
+  });
+
+  it('should read a local file when given', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'composer-lock-'));
+    const file = path.join(directory, 'composer.lock');
+    fs.writeFileSync(file, JSON.stringify(lock({ 'drupal/token': '1.13.0' })));
+
+    try {
+      const result = await readComposerLock(octokit, context, { path: 'composer.lock', ref: 'abc123', file });
+
+      expect(result).toEqual(lock({ 'drupal/token': '1.13.0' }));
+      expect(octokit.rest.repos.getContent).not.toHaveBeenCalled();
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,180 @@
+const core = require('@actions/core');
+const { DEFAULT_HOSTS } = require('./config');
+const { createHttpClient } = require('./http');
+const { createCache } = require('./cache');
+const { CORE_PROJECT } = require('./packages');
+const { stripVersionPrefix } = require('./release-history');
+
+// Requirements shown on their own lines instead of in the dependency diff
+const CORE_PACKAGE = 'drupal/core';
+const PHP_PACKAGE = 'php';
+
+/**
+ * Expands Composer 2 metadata, where each version only lists what changed
+ * from the previous one and "__unset" removes a key
+ * @param {Array<Object>} versions - Minified version entries
+ * @returns {Array<Object>} Complete version entries
+ */
+function expandMinifiedVersions(versions) {
+  const expanded = [];
+  let previous = null;
+  for (const version of versions) {
+    const entry = previous ? { ...previous, ...version } : { ...version };
+    for (const [key, value] of Object.entries(entry)) {
+      if (value === '__unset') {
+        delete entry[key];
+      }
+    }
+    expanded.push(entry);
+    previous = entry;
+  }
+  return expanded;
+}
+
+/**
+ * Builds the Composer 2 metadata URL of a package
+ * Drupal core and non-Drupal packages are published on Packagist, contrib on
+ * packages.drupal.org.
+ * @param {string} name - The Composer package name
+ * @param {string|null} project - The drupal.org project, or null for non-Drupal packages
+ * @param {Object} hosts - Configured hosts, see readHosts()
+ * @returns {string} The metadata URL
+ */
+function metadataUrlFor(name, project, hosts) {
+  if (!project || project === CORE_PROJECT) {
+    return `${hosts.packagistUrl}/p2/${name}.json`;
+  }
+  return `${hosts.packagesUrl}/files/packages/8/p2/${name}.json`;
+}
+
+/**
+ * Fetches the published versions of a package from its Composer repository
+ * @param {string} name - The Composer package name
+ * @param {string|null} project - The drupal.org project, or null for non-Drupal packages
+ * @param {Object} [options] - Request options
+ * @param {Object} [options.hosts] - Configured hosts, see readHosts()
+ * @param {Object} [options.http] - HTTP client, see createHttpClient()
+ * @param {Object} [options.cache] - Response cache, see createCache()
+ * @param {Object} [options.logger] - Receives failures; @actions/core by default
+ * @returns {Promise<Array<Object>|null>} Expanded version entries, or null when unavailable
+ */
+async function fetchPackageVersions(name, project, {
+  hosts = DEFAULT_HOSTS,
+  http = createHttpClient(),
+  cache = createCache(),
+  logger = core
+} = {}) {
+  const url = metadataUrlFor(name, project, hosts);
+
+  const cached = await cache.get(url);
+  if (cached) {
+    return cached;
+  }
+
+  try {
+    const response = await http.fetch(url);
+    if (!response.ok) {
+      logger.warning(`Failed to fetch Composer metadata for ${name}: ${response.status}`);
+      return null;
+    }
+    const data = await response.json();
+    const versions = expandMinifiedVersions((data.packages && data.packages[name]) || []);
+    await cache.set(url, versions, cache.tagsTtl);
+    return versions;
+  } catch (error) {
+    logger.warning(`Error fetching Composer metadata for ${name}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Finds a version in the Composer metadata
+ * @param {Array<Object>} versions - Expanded version entries
+ * @param {string} version - The version, with or without a v prefix (e.g. "1.15.0")
+ * @returns {Object|null} The version entry, or null if the version is not listed
+ */
+function findVersionEntry(versions, version) {
+  const normalized = stripVersionPrefix(version);
+  return versions.find(candidate => stripVersionPrefix(candidate.version || '') === normalized) || null;
+}
+
+/**
+ * Finds the `require` section of a version in the Composer metadata
+ * @param {Array<Object>} versions - Expanded version entries
+ * @param {string} version - The version (e.g. "1.15.0")
+ * @returns {Object|null} The requirements, or null if the version is not listed
+ */
+function requiresOf(versions, version) {
+  const entry = findVersionEntry(versions, version);
+  if (!entry) {
+    return null;
+  }
+  return entry.require && typeof entry.require === 'object' ? entry.require : {};
+}
+
+/**
+ * Compares the requirements of two releases
+ * @param {Object} fromRequire - `require` of the installed release
+ * @param {Object} toRequire - `require` of the new release
+ * @returns {Object|null} The changed core and PHP constraints ({ from, to }) and the
+ *   added, removed and changed other requirements, or null when nothing changed
+ */
+function diffRequirements(fromRequire, toRequire) {
+  const constraintChange = name => (fromRequire[name] !== toRequire[name]
+    ? { from: fromRequire[name] || null, to: toRequire[name] || null }
+    : null);
+
+  const names = [...new Set([...Object.keys(fromRequire), ...Object.keys(toRequire)])]
+    .filter(name => name !== CORE_PACKAGE && name !== PHP_PACKAGE && !name.startsWith('ext-'))
+    .sort();
+  const added = names.filter(name => !(name in fromRequire)).map(name => ({ name, constraint: toRequire[name] }));
+  const removed = names.filter(name => !(name in toRequire)).map(name => ({ name, constraint: fromRequire[name] }));
+  const changed = names
+    .filter(name => name in fromRequire && name in toRequire && fromRequire[name] !== toRequire[name])
+    .map(name => ({ name, from: fromRequire[name], to: toRequire[name] }));
+
+  const requirements = {
+    core: constraintChange(CORE_PACKAGE),
+    php: constraintChange(PHP_PACKAGE),
+    added,
+    removed,
+    changed
+  };
+  if (!requirements.core && !requirements.php && added.length + removed.length + changed.length === 0) {
+    return null;
+  }
+  return requirements;
+}
+
+/**
+ * Fetches how the requirements of a package changed between two releases
+ * Core metapackages only pin each other, so core is compared through drupal/core.
+ * @param {Object} pkg - The package ({ name, project, from, to })
+ * @param {Object} options - Request options, see fetchPackageVersions()
+ * @returns {Promise<Object|null>} The requirement changes, see diffRequirements(), or
+ *   null when nothing changed or the metadata is unavailable
+ */
+async function fetchRequirementChanges(pkg, options) {
+  const name = pkg.project === CORE_PROJECT ? CORE_PACKAGE : pkg.name;
+  const versions = await fetchPackageVersions(name, pkg.project, options);
+  if (!versions) {
+    return null;
+  }
+
+  const fromRequire = requiresOf(versions, pkg.from);
+  const toRequire = requiresOf(versions, pkg.to);
+  if (!fromRequire || !toRequire) {
+    (options.logger || core).info(`No Composer metadata found for ${name} ${!fromRequire ? pkg.from : pkg.to}`);
+    return null;
+  }
+
+  return diffRequirements(fromRequire, toRequire);
+}
+
+module.exports = {
+  fetchRequirementChanges,
+  fetchPackageVersions,
+  findVersionEntry,
+  expandMinifiedVersions,
+  diffRequirements
+};
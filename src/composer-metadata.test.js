@@ -0,0 +1,107 @@
+const { fetchRequirementChanges, expandMinifiedVersions, diffRequirements } = require('./composer-metadata');
+const { createHttpClient } = require('./http');
+const core = require('@actions/core');
+
+jest.mock('@actions/core');
+
+// Mock global fetch
+global.fetch = jest.fn();
+
+describe('expandMinifiedVersions', () => {
+  it('should inherit keys from the previous version and drop unset ones', () => {
+    expect(expandMinifiedVersions([
+      { name: 'drupal/token', version: '1.15.0', require: { 'drupal/core': '^10.3 || ^11' }, suggest: { 'drupal/ctools': '*' } },
+      { version: '1.14.0', suggest: '__unset' },
+      { version: '1.13.0', require: { 'drupal/core': '^9.5 || ^10' } }
+    ])).toEqual([
+      { name: 'drupal/token', version: '1.15.0', require: { 'drupal/core': '^10.3 || ^11' }, suggest: { 'drupal/ctools': '*' } },
+      { name: 'drupal/token', version: '1.14.0', require: { 'drupal/core': '^10.3 || ^11' } },
+      { name: 'drupal/token', version: '1.13.0', require: { 'drupal/core': '^9.5 || ^10' } }
+    ]);
+  });
+});
+
+describe('diffRequirements', () => {
+  it('should separate core and PHP from other requirements', () => {
+    expect(diffRequirements(
+      { 'drupal/core': '^9.5 || ^10', php: '>=8.0', 'drupal/legacy': '*', 'symfony/yaml': '^5', 'ext-json': '*' },
+      { 'drupal/core': '^10.3 || ^11', php: '>=8.1', 'drupal/ctools': '^4.0', 'symfony/yaml': '^6.4' }
+    )).toEqual({
+      core: { from: '^9.5 || ^10', to: '^10.3 || ^11' },
+      php: { from: '>=8.0', to: '>=8.1' },
+      added: [{ name: 'drupal/ctools', constraint: '^4.0' }],
+      removed: [{ name: 'drupal/legacy', constraint: '*' }],
+      changed: [{ name: 'symfony/yaml', from: '^5', to: '^6.4' }]
+    });
+  });
+
+  it('should return null when nothing changed', () => {
+    expect(diffRequirements({ 'drupal/core': '^10' }, { 'drupal/core': '^10' })).toBeNull();
+  });
+});
+
+describe('fetchRequirementChanges', () => {
+  const http = createHttpClient({ retries: 0 });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    global.fetch.mockReset();
+  });
+
+  it('should read contrib metadata from packages.drupal.org', async () => {
+    global.fetch.mockResolvedValue({
+      ok: true,
+      status: 200,
+      json: async () => ({
+        minified: 'composer/2.0',
+        packages: {
+          'drupal/token': [
+            { name: 'drupal/token', version: '1.15.0', require: { 'drupal/core': '^10.3 || ^11' } },
+            { version: '1.13.0', require: { 'drupal/core': '^9.5 || ^10' } }
+          ]
+        }
+      })
+    });
+
+    const requirements = await fetchRequirementChanges(
+      { name: 'drupal/token', project: 'token', from: '1.13.0', to: '1.15.0' },
+      { http }
+    );
+
+    expect(global.fetch).toHaveBeenCalledWith('https://packages.drupal.org/files/packages/8/p2/drupal/token.json', expect.anything());
+    expect(requirements.core).toEqual({ from: '^9.5 || ^10', to: '^10.3 || ^11' });
+  });
+
+  it('should read core metadata for drupal/core from Packagist', async () => {
+    global.fetch.mockResolvedValue({
+      ok: true,
+      status: 200,
+      json: async () => ({
+        packages: {
+          'drupal/core': [
+            { name: 'drupal/core', version: '11.0.0', require: { php: '>=8.3.0' } },
+            { version: '10.3.1', require: { php: '>=8.1.0' } }
+          ]
+        }
+      })
+    });
+
+    const requirements = await fetchRequirementChanges(
+      { name: 'drupal/core-recommended', project: 'drupal', from: '10.3.1', to: '11.0.0' },
+      { http }
+    );
+
+    expect(global.fetch).toHaveBeenCalledWith('https://repo.packagist.org/p2/drupal/core.json', expect.anything());
+    expect(requirements.php).toEqual({ from: '>=8.1.0', to: '>=8.3.0' });
+  });
+
+  it('should return null for unknown versions or unavailable metadata', async () => {
+    global.fetch.mockResolvedValueOnce({ ok: true, status: 200, json: async () => ({ packages: { 'drupal/token': [] } }) });
+    expect(await fetchRequirementChanges({ name: 'drupal/token', project: 'token', from: '1.13.0', to: '1.15.0' }, { http })).toBeNull();
+    expect(core.info).toHaveBeenCalledWith('No Composer metadata found for drupal/token 1.13.0');
+
+    global.fetch.mockResolvedValueOnce({ ok: false, status: 404 });
+    expect(await fetchRequirementChanges({ name: 'drupal/nope', project: 'nope', from: '1.0.0', to: '1.1.0' }, { http })).toBeNull();
+    expect(core.warning).toHaveBeenCalledWith('Failed to fetch Composer metadata for drupal/nope: 404');
+  });
+});
@@ -0,0 +1,271 @@
+const core = require('@actions/core');
+const { fetchPackageVersions, findVersionEntry } = require('./composer-metadata');
+const { compareVersions, updateLevel } = require('./release-history');
+const { mapWithConcurrency } = require('./pool');
+
+// Composer packages have a vendor; platform requirements such as php or ext-json do not
+const PACKAGE_NAME_PATTERN = /^[a-z0-9_.-]+\/[a-z0-9_.-]+$/i;
+
+// Source URLs of GitHub repositories, e.g. https://github.com/symfony/console.git
+const GITHUB_SOURCE_PATTERN = /github\.com[/:]([\w.-]+)\/([\w.-]+?)(?:\.git)?\/?$/i;
+
+// Changelog files read when a repository publishes no GitHub releases for the update
+const CHANGELOG_FILES = ['CHANGELOG.md', 'CHANGES.md'];
+
+// Releases requested from GitHub, newest first; older ones are rarely part of an update
+const RELEASES_PER_PAGE = 100;
+
+// A version in a changelog heading, e.g. "[1.2.3] - 2024-01-01", "v2.0.0-beta1" or "7.1"
+const HEADING_VERSION_PATTERN = /(?:^|[\s[(])v?(\d+\.\d+(?:\.\d+)?(?:-(?:alpha|beta|rc)\.?\d+)?)(?=$|[\s\]):,])/i;
+
+/**
+ * Resolves the GitHub repository of a Composer package source
+ * @param {string} sourceUrl - The source URL from the Composer metadata
+ * @returns {{owner: string, repo: string, url: string}|null} The repository, or null when not hosted on GitHub
+ */
+function githubRepositoryOf(sourceUrl) {
+  const match = (sourceUrl || '').match(GITHUB_SOURCE_PATTERN);
+  if (!match) {
+    return null;
+  }
+  return { owner: match[1], repo: match[2], url: `https://github.com/${match[1]}/${match[2]}` };
+}
+
+/**
+ * Builds the headers of GitHub API requests
+ * @param {string} token - GitHub token; unauthenticated requests are rate limited more strictly
+ * @param {string} [accept] - The media type to request
+ * @returns {Object} The request headers
+ */
+function githubHeaders(token, accept = 'application/vnd.github+json') {
+  const headers = { Accept: accept, 'X-GitHub-Api-Version': '2022-11-28' };
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  return headers;
+}
+
+/**
+ * Fetches the published GitHub releases of a repository
+ * @param {Object} repository - The repository, see githubRepositoryOf()
+ * @param {Object} options - Request options
+ * @param {Object} options.hosts - Configured hosts, see readHosts()
+ * @param {Object} options.http - HTTP client, see createHttpClient()
+ * @param {Object} options.cache - Response cache, see createCache()
+ * @param {string} options.token - GitHub token
+ * @returns {Promise<Array<Object>>} The releases ({ tag, name, url, publishedAt, body }) in GitHub's order
+ * @throws {Error} When GitHub does not return the releases
+ */
+async function fetchGitHubReleases(repository, { hosts, http, cache, token }) {
+  const apiUrl = `${hosts.githubApiUrl}/repos/${repository.owner}/${repository.repo}/releases?per_page=${RELEASES_PER_PAGE}`;
+
+  // New releases are published over time, like project tags
+  const cached = await cache.get(apiUrl);
+  if (cached) {
+    return cached;
+  }
+
+  const response = await http.fetch(apiUrl, { headers: githubHeaders(token) });
+  if (!response.ok) {
+    throw new Error(`GitHub returned ${response.status} for the releases of ${repository.owner}/${repository.repo}`);
+  }
+  const releases = (await response.json())
+    .filter(release => !release.draft)
+    .map(release => ({
+      tag: release.tag_name,
+      name: release.name || release.tag_name,
+      url: release.html_url,
+      publishedAt: release.published_at || null,
+      body: release.body || ''
+    }));
+  await cache.set(apiUrl, releases, cache.tagsTtl);
+  return releases;
+}
+
+/**
+ * Selects the releases of an update, newest first
+ * @param {Array<Object>} releases - Releases from fetchGitHubReleases()
+ * @param {string} from - The installed version
+ * @param {string} to - The new version
+ * @returns {Array<Object>} The releases after `from` up to and including `to`
+ */
+function releasesInRange(releases, from, to) {
+  return releases
+    .filter(release => compareVersions(release.tag, from) > 0 && compareVersions(release.tag, to) <= 0)
+    .sort((a, b) => compareVersions(b.tag, a.tag));
+}
+
+/**
+ * Fetches the changelog file of a repository at a tag
+ * @param {Object} repository - The repository, see githubRepositoryOf()
+ * @param {string} ref - The tag to read the file at
+ * @param {Object} options - Request options, see fetchGitHubReleases()
+ * @returns {Promise<{file: string, url: string, text: string}|null>} The first
+ *   changelog file found, or null when the repository has none
+ * @throws {Error} When GitHub fails for another reason than a missing file
+ */
+async function fetchChangelogFile(repository, ref, { hosts, http, cache, token }) {
+  for (const file of CHANGELOG_FILES) {
+    const apiUrl = `${hosts.githubApiUrl}/repos/${repository.owner}/${repository.repo}/contents/${file}?${new URLSearchParams({ ref })}`;
+    const url = `${repository.url}/blob/${ref}/${file}`;
+
+    // A file at a tag never changes
+    const cached = await cache.get(apiUrl);
+    if (cached) {
+      return { file, url, text: cached.text };
+    }
+
+    const response = await http.fetch(apiUrl, { headers: githubHeaders(token, 'application/vnd.github.raw+json') });
+    if (response.status === 404) {
+      continue;
+    }
+    if (!response.ok) {
+      throw new Error(`GitHub returned ${response.status} for ${file} of ${repository.owner}/${repository.repo}`);
+    }
+    const text = await response.text();
+    await cache.set(apiUrl, { text });
+    return { file, url, text };
+  }
+  return null;
+}
+
+/**
+ * Extracts the changelog sections of the releases of an update
+ * Sections are delimited by the headings of the first level that names a
+ * version, in ATX (## 1.2.3) or setext (1.2.3 underlined with ---) style.
+ * @param {string} text - The changelog markdown
+ * @param {string} from - The installed version
+ * @param {string} to - The new version
+ * @returns {string} The sections after `from` up to and including `to`, in
+ *   file order with their headings, or an empty string if none match
+ */
+function changelogExcerpt(text, from, to) {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  const headings = [];
+  for (let i = 0; i < lines.length; i++) {
+    const atx = lines[i].match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (atx) {
+      headings.push({ start: i, bodyStart: i + 1, level: atx[1].length, title: atx[2] });
+    } else if (lines[i].trim() && !/^\s*(?:[-*+]|\d+\.)\s/.test(lines[i]) && /^(?:={3,}|-{3,})\s*$/.test(lines[i + 1] || '')) {
+      headings.push({ start: i, bodyStart: i + 2, level: lines[i + 1][0] === '=' ? 1 : 2, title: lines[i].trim() });
+      i++;
+    }
+  }
+
+  const versioned = headings
+    .map(heading => ({ ...heading, version: (heading.title.match(HEADING_VERSION_PATTERN) || [])[1] || null }));
+  const first = versioned.find(heading => heading.version);
+  if (!first) {
+    return '';
+  }
+
+  const sections = [];
+  for (const [i, heading] of versioned.entries()) {
+    if (heading.level !== first.level || !heading.version) {
+      continue;
+    }
+    if (!(compareVersions(heading.version, from) > 0 && compareVersions(heading.version, to) <= 0)) {
+      continue;
+    }
+    const next = versioned.slice(i + 1).find(candidate => candidate.level <= first.level);
+    // Drop surrounding blank lines, keeping the indentation of the first line
+    const body = lines.slice(heading.bodyStart, next ? next.start : lines.length).join('\n').replace(/^\s*\n/, '').trimEnd();
+    sections.push(`### ${heading.title}${body ? `\n\n${body}` : ''}`);
+  }
+  return sections.join('\n\n');
+}
+
+/**
+ * Fetches the release notes of one non-Drupal Composer package
+ * The source repository is read from the Packagist metadata. GitHub releases
+ * between the two versions are preferred; without any, the matching sections
+ * of the repository's changelog file are used.
+ * @param {Object} update - The update ({ name, from, to, updateLevel?, dependencyType?, directory? })
+ * @param {Object} options - Request options, see fetchGitHubReleases(), and the
+ *   `logger` receiving failures
+ * @returns {Promise<Object>} The package of the release notes model, with a status of
+ *   'ok', 'empty', 'unsupported' (not hosted on GitHub), 'unavailable' (not on Packagist) or 'error'
+ */
+async function fetchComposerPackage(update, options) {
+  const entry = {
+    provider: 'composer',
+    name: update.name,
+    from: update.from,
+    to: update.to,
+    fromTag: update.from,
+    toTag: update.to,
+    updateLevel: update.updateLevel || updateLevel(update.from, update.to),
+    dependencyType: update.dependencyType || null,
+    directory: update.directory || null,
+    status: 'unavailable',
+    repositoryUrl: null,
+    releaseNotesUrl: null,
+    compareUrl: null,
+    releases: [],
+    changelog: null
+  };
+
+  try {
+    const versions = await fetchPackageVersions(update.name, null, options);
+    if (!versions || versions.length === 0) {
+      return entry;
+    }
+
+    const fromEntry = findVersionEntry(versions, update.from);
+    const toEntry = findVersionEntry(versions, update.to);
+    entry.fromTag = fromEntry ? fromEntry.version : update.from;
+    entry.toTag = toEntry ? toEntry.version : update.to;
+
+    const source = ((toEntry || versions[0]).source || {}).url || '';
+    const repository = githubRepositoryOf(source);
+    if (!repository) {
+      entry.status = 'unsupported';
+      entry.repositoryUrl = /^https?:\/\//.test(source) ? source.replace(/\.git$/, '') : null;
+      return entry;
+    }
+    entry.repositoryUrl = repository.url;
+    entry.compareUrl = `${repository.url}/compare/${entry.fromTag}...${entry.toTag}`;
+
+    entry.releases = releasesInRange(await fetchGitHubReleases(repository, options), update.from, update.to);
+    if (entry.releases.length > 0) {
+      entry.status = 'ok';
+      entry.releaseNotesUrl = entry.releases[0].url;
+      return entry;
+    }
+
+    const changelogFile = await fetchChangelogFile(repository, entry.toTag, options);
+    const excerpt = changelogFile ? changelogExcerpt(changelogFile.text, update.from, update.to) : '';
+    if (excerpt) {
+      entry.status = 'ok';
+      entry.changelog = { file: changelogFile.file, url: changelogFile.url, excerpt };
+      entry.releaseNotesUrl = changelogFile.url;
+    } else {
+      entry.status = 'empty';
+      entry.releaseNotesUrl = `${repository.url}/releases`;
+    }
+    return entry;
+  } catch (error) {
+    options.logger.warning(`Error fetching release notes for ${update.name}: ${error.message}`);
+    return { ...entry, status: 'error', error: error.message };
+  }
+}
+
+/**
+ * Creates a provider of GitHub release notes for non-Drupal Composer packages
+ * @param {Object} [options] - Provider options
+ * @param {string} [options.token] - GitHub token for the GitHub API requests
+ * @returns {Object} The provider, see ReleaseNotesProvider in providers.js
+ */
+function createComposerProvider({ token = '' } = {}) {
+  return {
+    name: 'composer',
+    supports: update => PACKAGE_NAME_PATTERN.test(update.name),
+    fetchReleaseNotes: (updates, { hosts, http, cache, concurrency, logger = core }) => mapWithConcurrency(
+      updates,
+      concurrency,
+      update => fetchComposerPackage(update, { hosts, http, cache, token, logger })
+    )
+  };
+}
+
+module.exports = { createComposerProvider, changelogExcerpt, githubRepositoryOf };
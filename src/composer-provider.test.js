@@ -0,0 +1,221 @@
+const { createComposerProvider, changelogExcerpt, githubRepositoryOf } = require('./composer-provider');
+const { DEFAULT_HOSTS } = require('./config');
+const { createHttpClient } = require('./http');
+const { createCache } = require('./cache');
+
+jest.mock('@actions/core');
+
+// Mock global fetch
+global.fetch = jest.fn();
+
+/**
+ * Serves mocked responses by URL; other URLs answer 404
+ */
+function mockResponses(responses) {
+  global.fetch.mockImplementation(async url => {
+    if (!(url in responses)) {
+      return { ok: false, status: 404, json: async () => ({}), text: async () => '' };
+    }
+    const { status = 200, body } = responses[url];
+    return {
+      ok: status < 400,
+      status,
+      json: async () => body,
+      text: async () => (typeof body === 'string' ? body : JSON.stringify(body))
+    };
+  });
+}
+
+/**
+ * Builds Packagist Composer 2 metadata with a source repository
+ */
+function packagistMetadata(name, versions, sourceUrl) {
+  return {
+    body: {
+      packages: {
+        [name]: versions.map((version, i) => (i === 0
+          ? { name, version, source: { type: 'git', url: sourceUrl, reference: 'abc' } }
+          : { version }))
+      }
+    }
+  };
+}
+
+describe('githubRepositoryOf', () => {
+  it('should read GitHub repositories from source URLs', () => {
+    expect(githubRepositoryOf('https://github.com/symfony/console.git')).toEqual({
+      owner: 'symfony',
+      repo: 'console',
+      url: 'https://github.com/symfony/console'
+    });
+    expect(githubRepositoryOf('git@github.com:drush-ops/drush.git').url).toBe('https://github.com/drush-ops/drush');
+  });
+
+  it('should not match other hosts', () => {
+    expect(githubRepositoryOf('https://gitlab.com/acme/tool.git')).toBeNull();
+    expect(githubRepositoryOf(undefined)).toBeNull();
+  });
+});
+
+describe('changelogExcerpt', () => {
+  it('should extract the sections of the released versions', () => {
+    const changelog = [
+      '# Changelog',
+      '',
+      '## [Unreleased]',
+      '',
+      '## [1.3.0] - 2024-03-01',
+      '',
+      '### Added',
+      '- Feature C',
+      '',
+      '## [1.2.0] - 2024-02-01',
+      '- Feature B',
+      '',
+      '## [1.1.0] - 2024-01-01',
+      '- Feature A'
+    ].join('\n');
+
+    expect(changelogExcerpt(changelog, '1.1.0', '1.3.0')).toBe(
+      '### [1.3.0] - 2024-03-01\n\n### Added\n- Feature C\n\n### [1.2.0] - 2024-02-01\n\n- Feature B'
+    );
+  });
+
+  it('should understand setext headings', () => {
+    const changelog = 'CHANGELOG\n=========\n\n7.1\n---\n\n * Add a feature\n\n7.0\n---\n\n * Initial release\n';
+
+    expect(changelogExcerpt(changelog, '7.0.3', '7.1.1')).toBe('### 7.1\n\n * Add a feature');
+  });
+
+  it('should return nothing without matching sections', () => {
+    expect(changelogExcerpt('# Changelog\n\nNothing here', '1.0.0', '1.1.0')).toBe('');
+    expect(changelogExcerpt('## 2.0.0\n- Later', '1.0.0', '1.1.0')).toBe('');
+  });
+});
+
+describe('createComposerProvider', () => {
+  const options = () => ({
+    hosts: DEFAULT_HOSTS,
+    http: createHttpClient({ retries: 0 }),
+    cache: createCache(),
+    concurrency: 2
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should support Composer packages but not platform requirements', () => {
+    const provider = createComposerProvider();
+
+    expect(provider.name).toBe('composer');
+    expect(provider.supports({ name: 'symfony/console' })).toBe(true);
+    expect(provider.supports({ name: 'php' })).toBe(false);
+    expect(provider.supports({ name: 'ext-json' })).toBe(false);
+  });
+
+  it('should quote the GitHub releases of the update, newest first', async () => {
+    mockResponses({
+      'https://repo.packagist.org/p2/drush/drush.json': packagistMetadata('drush/drush', ['13.3.0', '13.2.0', '13.1.0'], 'https://github.com/drush-ops/drush.git'),
+      'https://api.github.com/repos/drush-ops/drush/releases?per_page=100': {
+        body: [
+          { tag_name: '13.4.0', name: '13.4.0', html_url: 'https://github.com/drush-ops/drush/releases/tag/13.4.0', body: 'Later', draft: true },
+          { tag_name: '13.2.0', name: '13.2.0', html_url: 'https://github.com/drush-ops/drush/releases/tag/13.2.0', body: 'Fix B', published_at: '2024-02-01T00:00:00Z' },
+          { tag_name: '13.3.0', name: 'Drush 13.3', html_url: 'https://github.com/drush-ops/drush/releases/tag/13.3.0', body: 'Fix C', published_at: '2024-03-01T00:00:00Z' },
+          { tag_name: '13.1.0', name: '13.1.0', html_url: 'https://github.com/drush-ops/drush/releases/tag/13.1.0', body: 'Fix A' }
+        ]
+      }
+    });
+
+    const [pkg] = await createComposerProvider({ token: 'secret' }).fetchReleaseNotes([
+      { name: 'drush/drush', from: '13.1.0', to: '13.3.0', dependencyType: 'direct:development' }
+    ], options());
+
+    expect(pkg).toMatchObject({
+      provider: 'composer',
+      name: 'drush/drush',
+      status: 'ok',
+      updateLevel: 'minor',
+      dependencyType: 'direct:development',
+      repositoryUrl: 'https://github.com/drush-ops/drush',
+      releaseNotesUrl: 'https://github.com/drush-ops/drush/releases/tag/13.3.0',
+      compareUrl: 'https://github.com/drush-ops/drush/compare/13.1.0...13.3.0',
+      changelog: null
+    });
+    expect(pkg.releases.map(release => [release.tag, release.name, release.body])).toEqual([
+      ['13.3.0', 'Drush 13.3', 'Fix C'],
+      ['13.2.0', '13.2.0', 'Fix B']
+    ]);
+    expect(global.fetch).toHaveBeenCalledWith(
+      'https://api.github.com/repos/drush-ops/drush/releases?per_page=100',
+      expect.objectContaining({ headers: expect.objectContaining({ Authorization: 'Bearer secret' }) })
+    );
+  });
+
+  it('should use the tags of v-prefixed versions', async () => {
+    mockResponses({
+      'https://repo.packagist.org/p2/symfony/console.json': packagistMetadata('symfony/console', ['v7.1.1', 'v7.1.0', 'v7.0.3'], 'https://github.com/symfony/console.git'),
+      'https://api.github.com/repos/symfony/console/releases?per_page=100': { body: [] },
+      'https://api.github.com/repos/symfony/console/contents/CHANGELOG.md?ref=v7.1.1': { body: '7.1\n---\n\n * Add a feature\n\n7.0\n---\n\n * Initial release\n' }
+    });
+
+    const [pkg] = await createComposerProvider().fetchReleaseNotes([{ name: 'symfony/console', from: '7.0.3', to: '7.1.1' }], options());
+
+    expect(pkg).toMatchObject({
+      status: 'ok',
+      fromTag: 'v7.0.3',
+      toTag: 'v7.1.1',
+      compareUrl: 'https://github.com/symfony/console/compare/v7.0.3...v7.1.1',
+      releaseNotesUrl: 'https://github.com/symfony/console/blob/v7.1.1/CHANGELOG.md',
+      changelog: {
+        file: 'CHANGELOG.md',
+        url: 'https://github.com/symfony/console/blob/v7.1.1/CHANGELOG.md',
+        excerpt: '### 7.1\n\n * Add a feature'
+      }
+    });
+    const [, releasesRequest] = global.fetch.mock.calls.find(([url]) => url.endsWith('/releases?per_page=100'));
+    expect(releasesRequest.headers.Authorization).toBeUndefined();
+  });
+
+  it('should try the next changelog file and report updates without notes as empty', async () => {
+    mockResponses({
+      'https://repo.packagist.org/p2/acme/tool.json': packagistMetadata('acme/tool', ['1.1.0', '1.0.0'], 'https://github.com/acme/tool'),
+      'https://api.github.com/repos/acme/tool/releases?per_page=100': { body: [] },
+      'https://api.github.com/repos/acme/tool/contents/CHANGES.md?ref=1.1.0': { body: '# Changes\n\nNo versions here' }
+    });
+
+    const [pkg] = await createComposerProvider().fetchReleaseNotes([{ name: 'acme/tool', from: '1.0.0', to: '1.1.0' }], options());
+
+    expect(pkg.status).toBe('empty');
+    expect(pkg.releaseNotesUrl).toBe('https://github.com/acme/tool/releases');
+    expect(global.fetch).toHaveBeenCalledWith('https://api.github.com/repos/acme/tool/contents/CHANGELOG.md?ref=1.1.0', expect.anything());
+    expect(global.fetch).toHaveBeenCalledWith('https://api.github.com/repos/acme/tool/contents/CHANGES.md?ref=1.1.0', expect.anything());
+  });
+
+  it('should link repositories hosted elsewhere', async () => {
+    mockResponses({
+      'https://repo.packagist.org/p2/acme/tool.json': packagistMetadata('acme/tool', ['1.1.0', '1.0.0'], 'https://gitlab.com/acme/tool.git')
+    });
+
+    const [pkg] = await createComposerProvider().fetchReleaseNotes([{ name: 'acme/tool', from: '1.0.0', to: '1.1.0' }], options());
+
+    expect(pkg.status).toBe('unsupported');
+    expect(pkg.repositoryUrl).toBe('https://gitlab.com/acme/tool');
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('should report packages missing from Packagist and GitHub failures', async () => {
+    mockResponses({
+      'https://repo.packagist.org/p2/acme/tool.json': packagistMetadata('acme/tool', ['1.1.0', '1.0.0'], 'https://github.com/acme/tool.git'),
+      'https://api.github.com/repos/acme/tool/releases?per_page=100': { status: 403, body: {} }
+    });
+
+    const [missing, failed] = await createComposerProvider().fetchReleaseNotes([
+      { name: 'acme/missing', from: '1.0.0', to: '1.1.0' },
+      { name: 'acme/tool', from: '1.0.0', to: '1.1.0' }
+    ], options());
+
+    expect(missing.status).toBe('unavailable');
+    expect(failed).toMatchObject({ status: 'error', error: 'GitHub returned 403 for the releases of acme/tool' });
+  });
+});
@@ -0,0 +1,232 @@
+// Hosts used for API requests and generated links
+const DEFAULT_HOSTS = {
+  apiUrl: 'https://api.drupal-mrn.dev',
+  drupalOrgUrl: 'https://www.drupal.org',
+  gitlabUrl: 'https://git.drupalcode.org',
+  updatesUrl: 'https://updates.drupal.org',
+  packagesUrl: 'https://packages.drupal.org',
+  packagistUrl: 'https://repo.packagist.org',
+  githubApiUrl: 'https://api.github.com'
+};
+
+// Environment variables that override each host
+const HOST_ENV_VARS = {
+  apiUrl: 'DRUPAL_MRN_API_URL',
+  drupalOrgUrl: 'DRUPAL_ORG_URL',
+  gitlabUrl: 'DRUPAL_GITLAB_URL',
+  updatesUrl: 'DRUPAL_UPDATES_URL',
+  packagesUrl: 'DRUPAL_PACKAGES_URL',
+  packagistUrl: 'PACKAGIST_URL',
+  githubApiUrl: 'GITHUB_RELEASES_API_URL'
+};
+
+/**
+ * Resolves the configured hosts, falling back to the public defaults
+ * @param {Object} [env] - Environment variables (defaults to process.env)
+ * @returns {{apiUrl: string, drupalOrgUrl: string, gitlabUrl: string, updatesUrl: string, packagesUrl: string, packagistUrl: string}}
+ *   Base URLs without trailing slashes
+ */
+function readHosts(env = process.env) {
+  const hosts = {};
+  for (const [key, envVar] of Object.entries(HOST_ENV_VARS)) {
+    const value = (env[envVar] || '').trim() || DEFAULT_HOSTS[key];
+    try {
+      new URL(value);
+    } catch (e) {
+      throw new Error(`Invalid URL in ${envVar}: "${value}"`);
+    }
+    hosts[key] = value.replace(/\/+$/, '');
+  }
+  return hosts;
+}
+
+/**
+ * Reads a non-negative number from an environment variable
+ * @param {Object} env - Environment variables
+ * @param {string} name - The environment variable name
+ * @param {boolean} integer - Whether only whole numbers are accepted
+ * @returns {number|undefined} The parsed number, or undefined when not set
+ */
+function readNumber(env, name, integer) {
+  const value = (env[name] || '').trim();
+  if (value === '') {
+    return undefined;
+  }
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0 || (integer && !Number.isInteger(number))) {
+    throw new Error(`Invalid ${name}: "${value}". Expected a non-negative ${integer ? 'integer' : 'number'}`);
+  }
+  return number;
+}
+
+/**
+ * Reads a boolean flag from an environment variable
+ * @param {Object} env - Environment variables
+ * @param {string} name - The environment variable name
+ * @param {boolean} defaultValue - Value used when the variable is not set
+ * @returns {boolean} The flag
+ */
+function readBoolean(env, name, defaultValue) {
+  const value = (env[name] || '').trim().toLowerCase();
+  if (value === '') {
+    return defaultValue;
+  }
+  if (value === 'true') {
+    return true;
+  }
+  if (value === 'false') {
+    return false;
+  }
+  throw new Error(`Invalid ${name}: "${env[name]}". Expected true or false`);
+}
+
+/**
+ * Resolves retry and timeout settings for API requests
+ * Timeouts are configured in seconds and returned in milliseconds. Unset
+ * values are omitted so the HTTP client defaults apply.
+ * @param {Object} [env] - Environment variables (defaults to process.env)
+ * @returns {{retries?: number, timeout?: number, totalTimeout?: number}} Options for createHttpClient()
+ */
+function readHttpOptions(env = process.env) {
+  const options = {};
+  const retries = readNumber(env, 'MAX_RETRIES', true);
+  const timeout = readNumber(env, 'REQUEST_TIMEOUT', false);
+  const totalTimeout = readNumber(env, 'TOTAL_TIMEOUT', false);
+  if (retries !== undefined) {
+    options.retries = retries;
+  }
+  if (timeout !== undefined) {
+    options.timeout = timeout * 1000;
+  }
+  if (totalTimeout !== undefined) {
+    options.totalTimeout = totalTimeout * 1000;
+  }
+  return options;
+}
+
+// Packages fetched in parallel unless CONCURRENCY says otherwise
+const DEFAULT_CONCURRENCY = 4;
+
+/**
+ * Resolves how many packages are fetched in parallel
+ * @param {Object} [env] - Environment variables (defaults to process.env)
+ * @returns {number} The concurrency limit, at least 1
+ */
+function readConcurrency(env = process.env) {
+  const concurrency = readNumber(env, 'CONCURRENCY', true);
+  if (concurrency === undefined) {
+    return DEFAULT_CONCURRENCY;
+  }
+  if (concurrency < 1) {
+    throw new Error(`Invalid CONCURRENCY: "${env.CONCURRENCY}". Expected at least 1`);
+  }
+  return concurrency;
+}
+
+/**
+ * Resolves the response cache settings
+ * The cache is disabled unless CACHE_DIR is set. The tag list TTL is
+ * configured in seconds and returned in milliseconds.
+ * @param {Object} [env] - Environment variables (defaults to process.env)
+ * @returns {{directory: string, tagsTtl?: number}} Options for createCache()
+ */
+function readCacheOptions(env = process.env) {
+  const options = { directory: (env.CACHE_DIR || '').trim() };
+  const tagsTtl = readNumber(env, 'CACHE_TAGS_TTL', false);
+  if (tagsTtl !== undefined) {
+    options.tagsTtl = tagsTtl * 1000;
+  }
+  return options;
+}
+
+// Names of the labels derived from the release notes, see labels.js
+const DEFAULT_LABELS = {
+  security: 'drupal:security',
+  changeRecords: 'drupal:change-records',
+  features: 'drupal:features',
+  bugfixOnly: 'drupal:bugfix-only',
+  major: 'drupal:major'
+};
+
+// Environment variables that rename each derived label
+const LABEL_ENV_VARS = {
+  security: 'LABEL_SECURITY',
+  changeRecords: 'LABEL_CHANGE_RECORDS',
+  features: 'LABEL_FEATURES',
+  bugfixOnly: 'LABEL_BUGFIX_ONLY',
+  major: 'LABEL_MAJOR'
+};
+
+/**
+ * Resolves the PR labeling settings
+ * Labeling is disabled unless LABELS is true. Blank label names fall back to
+ * the drupal:* defaults.
+ * @param {Object} [env] - Environment variables (defaults to process.env)
+ * @returns {{enabled: boolean, names: Object}} Whether to label PRs, and the label names keyed like DEFAULT_LABELS
+ */
+function readLabelOptions(env = process.env) {
+  const names = {};
+  for (const [key, envVar] of Object.entries(LABEL_ENV_VARS)) {
+    names[key] = (env[envVar] || '').trim() || DEFAULT_LABELS[key];
+  }
+  return { enabled: readBoolean(env, 'LABELS', false), names };
+}
+
+/**
+ * Reads a comma or newline separated list from an environment variable
+ * @param {Object} env - Environment variables
+ * @param {string} name - The environment variable name
+ * @returns {Array<string>} The trimmed, non-empty entries
+ */
+function readList(env, name) {
+  return (env[name] || '').split(/[,\n]/).map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Resolves which change types are listed, in which order and under which heading
+ * Type names are matched case-insensitively, so renames are keyed by the
+ * lowercased type.
+ * @param {Object} [env] - Environment variables (defaults to process.env)
+ * @returns {{order: Array<string>, exclude: Array<string>, names: Object}} Options for arrangeChangeTypes()
+ * @throws {Error} When a CHANGE_TYPE_NAMES entry is not a Type=Heading pair
+ */
+function readChangeTypeOptions(env = process.env) {
+  const names = {};
+  for (const entry of readList(env, 'CHANGE_TYPE_NAMES')) {
+    const separator = entry.indexOf('=');
+    const type = entry.slice(0, separator).trim();
+    const heading = entry.slice(separator + 1).trim();
+    if (separator === -1 || !type || !heading) {
+      throw new Error(`Invalid CHANGE_TYPE_NAMES entry: "${entry}". Expected Type=Heading`);
+    }
+    names[type.toLowerCase()] = heading;
+  }
+  return {
+    order: readList(env, 'CHANGE_TYPES'),
+    exclude: readList(env, 'EXCLUDE_CHANGE_TYPES'),
+    names
+  };
+}
+
+/**
+ * Resolves the drupal.org usernames of the team whose credits are highlighted
+ * @param {Object} [env] - Environment variables (defaults to process.env)
+ * @returns {Array<string>} The usernames from TEAM_MEMBERS
+ */
+function readTeamMembers(env = process.env) {
+  return readList(env, 'TEAM_MEMBERS');
+}
+
+module.exports = {
+  readBoolean,
+  readHosts,
+  readHttpOptions,
+  readConcurrency,
+  readCacheOptions,
+  readLabelOptions,
+  readChangeTypeOptions,
+  readTeamMembers,
+  DEFAULT_HOSTS,
+  DEFAULT_CONCURRENCY,
+  DEFAULT_LABELS
+};
@@ -0,0 +1,179 @@
+const {
+  readBoolean,
+  readHosts,
+  readHttpOptions,
+  readConcurrency,
+  readCacheOptions,
+  readLabelOptions,
+  readChangeTypeOptions,
+  readTeamMembers,
+  DEFAULT_HOSTS,
+  DEFAULT_CONCURRENCY
+} = require('./config');
+
+describe('readHosts', () => {
+  it('should default to the public hosts', () => {
+    expect(readHosts({})).toEqual({
+      apiUrl: 'https://api.drupal-mrn.dev',
+      drupalOrgUrl: 'https://www.drupal.org',
+      gitlabUrl: 'https://git.drupalcode.org',
+      updatesUrl: 'https://updates.drupal.org',
+      packagesUrl: 'https://packages.drupal.org',
+      packagistUrl: 'https://repo.packagist.org',
+      githubApiUrl: 'https://api.github.com'
+    });
+    expect(readHosts({})).toEqual(DEFAULT_HOSTS);
+  });
+
+  it('should read hosts from environment variables', () => {
+    expect(readHosts({
+      DRUPAL_MRN_API_URL: 'http://localhost:8080',
+      DRUPAL_ORG_URL: 'https://drupal.example.com',
+      DRUPAL_GITLAB_URL: 'https://gitlab.example.com',
+      DRUPAL_UPDATES_URL: 'https://updates.example.com',
+      DRUPAL_PACKAGES_URL: 'https://packages.example.com',
+      PACKAGIST_URL: 'https://packagist.example.com',
+      GITHUB_RELEASES_API_URL: 'https://github.example.com/api/v3'
+    })).toEqual({
+      apiUrl: 'http://localhost:8080',
+      drupalOrgUrl: 'https://drupal.example.com',
+      gitlabUrl: 'https://gitlab.example.com',
+      updatesUrl: 'https://updates.example.com',
+      packagesUrl: 'https://packages.example.com',
+      packagistUrl: 'https://packagist.example.com',
+      githubApiUrl: 'https://github.example.com/api/v3'
+    });
+  });
+
+  it('should strip trailing slashes and ignore blank values', () => {
+    expect(readHosts({ DRUPAL_MRN_API_URL: 'http://localhost:8080/mrn/', DRUPAL_ORG_URL: '  ' })).toEqual({
+      ...DEFAULT_HOSTS,
+      apiUrl: 'http://localhost:8080/mrn'
+    });
+  });
+
+  it('should reject invalid URLs', () => {
+    expect(() => readHosts({ DRUPAL_GITLAB_URL: 'git.example.com' }))
+      .toThrow('Invalid URL in DRUPAL_GITLAB_URL: "git.example.com"');
+  });
+});
+
+describe('readHttpOptions', () => {
+  it('should leave unset options to the client defaults', () => {
+    expect(readHttpOptions({})).toEqual({});
+  });
+
+  it('should convert timeouts from seconds to milliseconds', () => {
+    expect(readHttpOptions({ MAX_RETRIES: '5', REQUEST_TIMEOUT: '2.5', TOTAL_TIMEOUT: '120' })).toEqual({
+      retries: 5,
+      timeout: 2500,
+      totalTimeout: 120000
+    });
+  });
+
+  it('should reject invalid values', () => {
+    expect(() => readHttpOptions({ MAX_RETRIES: '1.5' }))
+      .toThrow('Invalid MAX_RETRIES: "1.5". Expected a non-negative integer');
+    expect(() => readHttpOptions({ REQUEST_TIMEOUT: '-1' }))
+      .toThrow('Invalid REQUEST_TIMEOUT: "-1". Expected a non-negative number');
+  });
+});
+
+describe('readConcurrency', () => {
+  it('should default to fetching several packages in parallel', () => {
+    expect(readConcurrency({})).toBe(DEFAULT_CONCURRENCY);
+  });
+
+  it('should read the limit from the environment', () => {
+    expect(readConcurrency({ CONCURRENCY: '8' })).toBe(8);
+  });
+
+  it('should reject a limit below 1', () => {
+    expect(() => readConcurrency({ CONCURRENCY: '0' })).toThrow('Invalid CONCURRENCY: "0". Expected at least 1');
+  });
+});
+
+describe('readCacheOptions', () => {
+  it('should disable the cache by default', () => {
+    expect(readCacheOptions({})).toEqual({ directory: '' });
+  });
+
+  it('should read the directory and tag TTL', () => {
+    expect(readCacheOptions({ CACHE_DIR: ' .drupal-mrn-cache ', CACHE_TAGS_TTL: '600' })).toEqual({
+      directory: '.drupal-mrn-cache',
+      tagsTtl: 600000
+    });
+  });
+});
+
+describe('readBoolean', () => {
+  it('should use the default when unset', () => {
+    expect(readBoolean({}, 'SECURITY_CHECK', true)).toBe(true);
+    expect(readBoolean({ SECURITY_CHECK: '' }, 'SECURITY_CHECK', false)).toBe(false);
+  });
+
+  it('should parse true and false', () => {
+    expect(readBoolean({ SECURITY_CHECK: 'TRUE' }, 'SECURITY_CHECK', false)).toBe(true);
+    expect(readBoolean({ SECURITY_CHECK: 'false' }, 'SECURITY_CHECK', true)).toBe(false);
+  });
+
+  it('should reject other values', () => {
+    expect(() => readBoolean({ SECURITY_CHECK: 'yes' }, 'SECURITY_CHECK', true))
+      .toThrow('Invalid SECURITY_CHECK: "yes". Expected true or false');
+  });
+});
+
+describe('readLabelOptions', () => {
+  it('should be disabled with the default label names', () => {
+    expect(readLabelOptions({})).toEqual({
+      enabled: false,
+      names: {
+        security: 'drupal:security',
+        changeRecords: 'drupal:change-records',
+        features: 'drupal:features',
+        bugfixOnly: 'drupal:bugfix-only',
+        major: 'drupal:major'
+      }
+    });
+  });
+
+  it('should read renamed labels', () => {
+    const options = readLabelOptions({ LABELS: 'true', LABEL_SECURITY: 'security ', LABEL_MAJOR: '' });
+
+    expect(options.enabled).toBe(true);
+    expect(options.names.security).toBe('security');
+    expect(options.names.major).toBe('drupal:major');
+  });
+});
+
+describe('readChangeTypeOptions', () => {
+  it('should list every type by default', () => {
+    expect(readChangeTypeOptions({})).toEqual({ order: [], exclude: [], names: {} });
+  });
+
+  it('should read the order, exclusions and headings', () => {
+    expect(readChangeTypeOptions({
+      CHANGE_TYPES: 'Feature, Bug,\n*',
+      EXCLUDE_CHANGE_TYPES: 'Task,,Misc ',
+      CHANGE_TYPE_NAMES: 'Feature=New features, BUG = Bug fixes'
+    })).toEqual({
+      order: ['Feature', 'Bug', '*'],
+      exclude: ['Task', 'Misc'],
+      names: { feature: 'New features', bug: 'Bug fixes' }
+    });
+  });
+
+  it('should reject headings without a type', () => {
+    expect(() => readChangeTypeOptions({ CHANGE_TYPE_NAMES: 'Bug fixes' }))
+      .toThrow('Invalid CHANGE_TYPE_NAMES entry: "Bug fixes". Expected Type=Heading');
+    expect(() => readChangeTypeOptions({ CHANGE_TYPE_NAMES: '=Bug fixes' }))
+      .toThrow('Invalid CHANGE_TYPE_NAMES entry: "=Bug fixes". Expected Type=Heading');
+  });
+});
+
+describe('readTeamMembers', () => {
+  it('should read a list of usernames', () => {
+    expect(readTeamMembers({})).toEqual([]);
+    expect(readTeamMembers({ TEAM_MEMBERS: 'alice, Bob Smith\ncarol' })).toEqual(['alice', 'Bob Smith', 'carol']);
+  });
+});
@@ -0,0 +1,111 @@
+const { parseVersion, compareParts, stripVersionPrefix, STABILITY_ORDER } = require('./release-history');
+
+/**
+ * Builds the version at which a caret or tilde range ends
+ * @param {Array<number>} parts - The parsed lower bound, see parseVersion()
+ * @param {number} index - Index of the part to increment; later parts are zeroed
+ * @returns {Array<number>} The exclusive upper bound
+ */
+function bumpPart(parts, index) {
+  const bound = parts.slice(0, 4).map((part, i) => (i < index ? part : i === index ? part + 1 : 0));
+  // Pre-releases of the next version are already outside the range
+  return [...bound, STABILITY_ORDER.dev, 0];
+}
+
+/**
+ * Turns a single constraint such as ^10.3, >=8.1 or 2.* into version checks
+ * @param {string} constraint - One constraint without AND or OR operators
+ * @returns {Array<Function>|null} Predicates that must all hold, or null if unsupported
+ */
+function parseSingleConstraint(constraint) {
+  // Stability flags and commit references do not affect the version range
+  const value = constraint.replace(/@[a-z]+$/i, '').replace(/#.*$/, '').trim();
+
+  if (value === '*' || value === '') {
+    return [];
+  }
+
+  const wildcard = value.match(/^v?(\d+)(?:\.(\d+))?\.[*x]$/i);
+  if (wildcard) {
+    const lower = parseVersion(wildcard[2] === undefined ? wildcard[1] : `${wildcard[1]}.${wildcard[2]}`);
+    const upper = bumpPart(lower, wildcard[2] === undefined ? 0 : 1);
+    return [v => compareParts(v, lower) >= 0, v => compareParts(v, upper) < 0];
+  }
+
+  const operator = value.match(/^(\^|~|>=|<=|>|<|==|=|!=|<>)?\s*(.+)$/);
+  const parts = parseVersion(operator[2]);
+  if (!parts) {
+    return null;
+  }
+  const given = stripVersionPrefix(operator[2]).split('-')[0].split('.').length;
+
+  // Like Composer, >=10.3 and <11 include and exclude the pre-releases of that version
+  if ((operator[1] === '>=' || operator[1] === '<') && parts[4] === STABILITY_ORDER.stable) {
+    parts[4] = STABILITY_ORDER.dev;
+  }
+
+  switch (operator[1]) {
+    case '^': {
+      // The first non-zero part may not change
+      let index = parts.slice(0, given).findIndex(part => part !== 0);
+      if (index === -1) {
+        index = given - 1;
+      }
+      return [v => compareParts(v, parts) >= 0, v => compareParts(v, bumpPart(parts, index)) < 0];
+    }
+    case '~':
+      return [v => compareParts(v, parts) >= 0, v => compareParts(v, bumpPart(parts, Math.max(0, given - 2))) < 0];
+    case '>=':
+      return [v => compareParts(v, parts) >= 0];
+    case '>':
+      return [v => compareParts(v, parts) > 0];
+    case '<=':
+      return [v => compareParts(v, parts) <= 0];
+    case '<':
+      return [v => compareParts(v, parts) < 0];
+    case '!=':
+    case '<>':
+      return [v => compareParts(v, parts) !== 0];
+    default:
+      return [v => compareParts(v, parts) === 0];
+  }
+}
+
+/**
+ * Whether a version satisfies a Composer constraint
+ * Supports OR (||), AND (space or comma), hyphen ranges, wildcards and the
+ * ^, ~ and comparison operators.
+ * @param {string} version - The version to check (e.g. "10.2.5")
+ * @param {string} constraint - The Composer constraint (e.g. "^10.3 || ^11")
+ * @returns {boolean|null} Whether it is satisfied, or null if either cannot be parsed
+ */
+function satisfies(version, constraint) {
+  const parts = parseVersion(version);
+  if (!parts) {
+    return null;
+  }
+
+  let satisfied = false;
+  for (const alternative of constraint.split(/\s*\|\|?\s*/)) {
+    // Hyphen ranges are inclusive on both ends
+    const range = alternative.trim().match(/^(\S+)\s+-\s+(\S+)$/);
+    const constraints = range
+      ? [`>=${range[1]}`, `<=${range[2]}`]
+      : alternative.trim().replace(/([<>=!^~])\s+/g, '$1').split(/\s*,\s*|\s+/);
+
+    const checks = [];
+    for (const single of constraints) {
+      const parsed = parseSingleConstraint(single);
+      if (!parsed) {
+        return null;
+      }
+      checks.push(...parsed);
+    }
+    if (checks.every(check => check(parts))) {
+      satisfied = true;
+    }
+  }
+  return satisfied;
+}
+
+module.exports = { satisfies };
@@ -0,0 +1,42 @@
+const { satisfies } = require('./constraints');
+
+describe('satisfies', () => {
+  it('should handle caret and tilde ranges', () => {
+    expect(satisfies('10.3.0', '^10.3')).toBe(true);
+    expect(satisfies('10.2.5', '^10.3')).toBe(false);
+    expect(satisfies('11.0.0', '^10.3')).toBe(false);
+    expect(satisfies('0.3.9', '^0.3')).toBe(true);
+    expect(satisfies('0.4.0', '^0.3')).toBe(false);
+    expect(satisfies('10.2.5', '~10.2.0')).toBe(true);
+    expect(satisfies('10.3.0', '~10.2.0')).toBe(false);
+    expect(satisfies('10.9.0', '~10.2')).toBe(true);
+  });
+
+  it('should handle OR and AND constraints', () => {
+    expect(satisfies('10.2.5', '^10.3 || ^11')).toBe(false);
+    expect(satisfies('11.1.0', '^10.3 || ^11')).toBe(true);
+    expect(satisfies('9.5.11', '^8.8 | ^9 | ^10')).toBe(true);
+    expect(satisfies('10.2.5', '>=10.1 <10.3')).toBe(true);
+    expect(satisfies('10.2.5', '>=10.1, <10.2')).toBe(false);
+  });
+
+  it('should handle comparisons, wildcards and hyphen ranges', () => {
+    expect(satisfies('8.3.1', '>=8.1')).toBe(true);
+    expect(satisfies('8.0.30', '>= 8.1')).toBe(false);
+    expect(satisfies('10.2.5', '10.*')).toBe(true);
+    expect(satisfies('10.2.5', '10.0 - 10.3')).toBe(true);
+    expect(satisfies('10.2.5', '10.2.5')).toBe(true);
+    expect(satisfies('10.2.5', '*')).toBe(true);
+  });
+
+  it('should treat pre-releases like Composer does', () => {
+    expect(satisfies('11.0.0-beta1', '<11')).toBe(false);
+    expect(satisfies('11.0.0-beta1', '>=11')).toBe(true);
+    expect(satisfies('10.3.0-rc1', '^10.3@rc')).toBe(false);
+  });
+
+  it('should return null for unsupported constraints', () => {
+    expect(satisfies('10.2.5', 'dev-main')).toBeNull();
+    expect(satisfies('dev-main', '^10')).toBeNull();
+  });
+});
@@ -0,0 +1,51 @@
+// Credits in drupal.org commit titles: "Issue #12345 by alice, bob: Summary"
+const CREDITS_PATTERN = /^(?:Issue\s+)?#[0-9]+\s+by\s+([^:]+):/i;
+
+/**
+ * Parses the credited contributors from a change summary
+ * @param {string} summary - A change summary from the drupal-mrn changelog
+ * @returns {Array<string>} The credited drupal.org usernames, in commit order
+ */
+function parseContributors(summary) {
+  const match = CREDITS_PATTERN.exec(summary || '');
+  if (!match) {
+    return [];
+  }
+  return match[1].split(',').map(name => name.trim()).filter(Boolean);
+}
+
+/**
+ * Builds the drupal.org profile URL of a user
+ * drupal.org aliases profiles as /u/ followed by the lowercased username with
+ * spaces replaced by dashes.
+ * @param {string} name - The drupal.org username
+ * @param {Object} hosts - Configured hosts, see readHosts()
+ * @returns {string} The profile URL
+ */
+function profileUrlFor(name, hosts) {
+  return `${hosts.drupalOrgUrl}/u/${encodeURIComponent(name.toLowerCase().replace(/\s+/g, '-'))}`;
+}
+
+/**
+ * Collects the contributors credited across the changes of a release
+ * @param {Array<{changes: Array<Object>}>} typeGroups - Change groups from the changelog
+ * @param {Object} hosts - Configured hosts, see readHosts()
+ * @returns {Array<{name: string, url: string}>} Contributors without duplicates, sorted by name
+ */
+function collectContributors(typeGroups, hosts) {
+  const contributors = new Map();
+  for (const typeGroup of typeGroups) {
+    for (const change of typeGroup.changes) {
+      for (const name of parseContributors(change.summary)) {
+        const key = name.toLowerCase();
+        if (!contributors.has(key)) {
+          contributors.set(key, { name, url: profileUrlFor(name, hosts) });
+        }
+      }
+    }
+  }
+  return [...contributors.values()]
+    .sort((a, b) => a.name.localeCompare(b.name, 'en', { sensitivity: 'base' }));
+}
+
+module.exports = { parseContributors, collectContributors };
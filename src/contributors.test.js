@@ -0,0 +1,40 @@
+const { parseContributors, collectContributors } = require('./contributors');
+const { DEFAULT_HOSTS } = require('./config');
+
+describe('parseContributors', () => {
+  it('should read the credits of a commit title', () => {
+    expect(parseContributors('#3456 by alice, Bob Smith, carol: Fix the token browser')).toEqual(['alice', 'Bob Smith', 'carol']);
+    expect(parseContributors('Issue #3456 by alice: Fix the token browser')).toEqual(['alice']);
+  });
+
+  it('should return nothing for titles without credits', () => {
+    expect(parseContributors('#3456: Fix the token browser')).toEqual([]);
+    expect(parseContributors('Fix the token browser by caching')).toEqual([]);
+    expect(parseContributors(undefined)).toEqual([]);
+  });
+});
+
+describe('collectContributors', () => {
+  it('should deduplicate and sort contributors with profile links', () => {
+    const contributors = collectContributors([
+      { type: 'Bug', changes: [{ summary: '#1 by zeta, Alice: Fix' }, { summary: '#2 by alice, Bob Smith: Fix' }] },
+      { type: 'Task', changes: [{ summary: '#3: Chore' }, { summary: '#4 by beta: Chore' }] }
+    ], DEFAULT_HOSTS);
+
+    expect(contributors).toEqual([
+      { name: 'Alice', url: 'https://www.drupal.org/u/alice' },
+      { name: 'beta', url: 'https://www.drupal.org/u/beta' },
+      { name: 'Bob Smith', url: 'https://www.drupal.org/u/bob-smith' },
+      { name: 'zeta', url: 'https://www.drupal.org/u/zeta' }
+    ]);
+  });
+
+  it('should link profiles on the configured drupal.org host', () => {
+    const contributors = collectContributors([{ type: 'Bug', changes: [{ summary: '#1 by alice: Fix' }] }], {
+      ...DEFAULT_HOSTS,
+      drupalOrgUrl: 'https://drupal.example.com'
+    });
+
+    expect(contributors[0].url).toBe('https://drupal.example.com/u/alice');
+  });
+});
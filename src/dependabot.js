@@ -0,0 +1,98 @@
+// Update types reported by dependabot/fetch-metadata, e.g. version-update:semver-minor
+const UPDATE_TYPE_PATTERN = /^version-update:semver-(major|minor|patch)$/;
+
+// Dependency types reported by dependabot/fetch-metadata
+const DEPENDENCY_TYPES = ['direct:production', 'direct:development', 'indirect'];
+
+/**
+ * Splits a comma-separated fetch-metadata output into trimmed values
+ * @param {string} value - The output
+ * @returns {Array<string>} The non-empty values
+ */
+function splitList(value) {
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Parses the package updates from the comma-separated fetch-metadata outputs
+ * Only used when updated-dependencies-json is not available. Each package
+ * needs its own versions: guessing them for grouped updates would attribute
+ * the wrong release notes, so any mismatch is rejected.
+ * @param {string} dependencyNames - Comma-separated package names
+ * @param {string} previousVersion - Comma-separated previous versions
+ * @param {string} newVersion - Comma-separated new versions
+ * @returns {Array<{name: string, from: string, to: string}>} The updated packages
+ * @throws {Error} When the versions cannot be matched to the packages
+ */
+function parseDependabotUpdates(dependencyNames, previousVersion, newVersion) {
+  const packages = splitList(dependencyNames);
+  const fromVersions = splitList(previousVersion);
+  const toVersions = splitList(newVersion);
+
+  for (const [output, versions] of [['previous-version', fromVersions], ['new-version', toVersions]]) {
+    if (versions.length !== packages.length) {
+      throw new Error(
+        `Inconsistent Dependabot metadata: ${packages.length} dependency names but ${versions.length} ${output} values. ` +
+        'Pass updated-dependencies-json to read the versions of each dependency'
+      );
+    }
+  }
+
+  return packages.map((name, i) => ({
+    name,
+    from: fromVersions[i],
+    to: toVersions[i]
+  }));
+}
+
+/**
+ * Parses the package updates from fetch-metadata's updated-dependencies-json
+ * Unlike the comma-separated outputs, every dependency carries its own
+ * versions, update type, dependency type and directory.
+ * @param {string} json - The updated-dependencies-json output
+ * @param {string} [dependencyNames] - The dependency-names output, checked against the JSON
+ * @returns {Array<{name: string, from: string, to: string, updateLevel: string|null,
+ *   dependencyType: string|null, directory: string|null}>} The updated packages
+ * @throws {Error} When the JSON is invalid or does not match dependency-names
+ */
+function parseUpdatedDependencies(json, dependencyNames = '') {
+  let dependencies;
+  try {
+    dependencies = JSON.parse(json);
+  } catch (error) {
+    throw new Error(`Invalid updated-dependencies-json: ${error.message}`);
+  }
+  if (!Array.isArray(dependencies)) {
+    throw new Error('Invalid updated-dependencies-json: expected an array of dependencies');
+  }
+
+  const updates = dependencies.map((dependency, i) => {
+    const label = (dependency && typeof dependency.dependencyName === 'string' && dependency.dependencyName) || `dependency ${i + 1}`;
+    for (const field of ['dependencyName', 'prevVersion', 'newVersion']) {
+      if (!dependency || typeof dependency[field] !== 'string' || !dependency[field].trim()) {
+        throw new Error(`Invalid updated-dependencies-json: ${label} has no ${field}`);
+      }
+    }
+    const updateType = (dependency.updateType || '').match(UPDATE_TYPE_PATTERN);
+    return {
+      name: dependency.dependencyName.trim(),
+      from: dependency.prevVersion.trim(),
+      to: dependency.newVersion.trim(),
+      updateLevel: updateType ? updateType[1] : null,
+      dependencyType: DEPENDENCY_TYPES.includes(dependency.dependencyType) ? dependency.dependencyType : null,
+      directory: dependency.directory || null
+    };
+  });
+
+  const names = [...new Set(splitList(dependencyNames))];
+  const jsonNames = [...new Set(updates.map(update => update.name))];
+  if (names.length > 0 && (names.length !== jsonNames.length || names.some(name => !jsonNames.includes(name)))) {
+    throw new Error(
+      `Inconsistent Dependabot metadata: dependency-names lists ${names.join(', ')} but updated-dependencies-json lists ${jsonNames.join(', ')}`
+    );
+  }
+
+  return updates;
+}
+
+module.exports = { parseDependabotUpdates, parseUpdatedDependencies };
@@ -0,0 +1,89 @@
+const { parseDependabotUpdates, parseUpdatedDependencies } = require('./dependabot');
+
+describe('parseDependabotUpdates', () => {
+  it('should pair comma-separated names and versions', () => {
+    expect(parseDependabotUpdates('drupal/core, drupal/token', '10.0.0,1.13.0', '10.1.0, 1.15.0')).toEqual([
+      { name: 'drupal/core', from: '10.0.0', to: '10.1.0' },
+      { name: 'drupal/token', from: '1.13.0', to: '1.15.0' }
+    ]);
+  });
+
+  it('should return no updates without dependency names', () => {
+    expect(parseDependabotUpdates('', '', '')).toEqual([]);
+  });
+
+  it('should reject versions that do not match the names', () => {
+    expect(() => parseDependabotUpdates('drupal/core,drupal/token', '10.0.0', '10.1.0,1.15.0'))
+      .toThrow('Inconsistent Dependabot metadata: 2 dependency names but 1 previous-version values');
+    expect(() => parseDependabotUpdates('drupal/token', '1.13.0', ''))
+      .toThrow('1 dependency names but 0 new-version values');
+  });
+});
+
+describe('parseUpdatedDependencies', () => {
+  const dependency = (overrides = {}) => ({
+    dependencyName: 'drupal/token',
+    dependencyType: 'direct:production',
+    updateType: 'version-update:semver-minor',
+    directory: '/',
+    packageEcosystem: 'composer',
+    targetBranch: 'main',
+    prevVersion: '1.13.0',
+    newVersion: '1.15.0',
+    ...overrides
+  });
+
+  it('should read the versions and metadata of each dependency', () => {
+    const json = JSON.stringify([
+      dependency(),
+      dependency({
+        dependencyName: 'drupal/core',
+        dependencyType: 'indirect',
+        updateType: 'version-update:semver-patch',
+        directory: '/web',
+        prevVersion: '10.2.1',
+        newVersion: '10.2.3'
+      })
+    ]);
+
+    expect(parseUpdatedDependencies(json, 'drupal/token,drupal/core')).toEqual([
+      { name: 'drupal/token', from: '1.13.0', to: '1.15.0', updateLevel: 'minor', dependencyType: 'direct:production', directory: '/' },
+      { name: 'drupal/core', from: '10.2.1', to: '10.2.3', updateLevel: 'patch', dependencyType: 'indirect', directory: '/web' }
+    ]);
+  });
+
+  it('should leave unknown update and dependency types unset', () => {
+    const json = JSON.stringify([dependency({ dependencyType: 'unknown', updateType: null, directory: undefined })]);
+
+    expect(parseUpdatedDependencies(json)).toEqual([
+      { name: 'drupal/token', from: '1.13.0', to: '1.15.0', updateLevel: null, dependencyType: null, directory: null }
+    ]);
+  });
+
+  it('should reject invalid JSON', () => {
+    expect(() => parseUpdatedDependencies('[{')).toThrow(/^Invalid updated-dependencies-json: /);
+    expect(() => parseUpdatedDependencies('{}')).toThrow('Invalid updated-dependencies-json: expected an array of dependencies');
+  });
+
+  it('should reject dependencies without versions', () => {
+    expect(() => parseUpdatedDependencies(JSON.stringify([dependency({ prevVersion: '' })])))
+      .toThrow('Invalid updated-dependencies-json: drupal/token has no prevVersion');
+    expect(() => parseUpdatedDependencies(JSON.stringify([dependency(), { newVersion: '1.0.0' }])))
+      .toThrow('Invalid updated-dependencies-json: dependency 2 has no dependencyName');
+  });
+
+  it('should reject dependency names that differ from the JSON', () => {
+    const json = JSON.stringify([dependency()]);
+
+    expect(() => parseUpdatedDependencies(json, 'drupal/token,drupal/pathauto')).toThrow(
+      'Inconsistent Dependabot metadata: dependency-names lists drupal/token, drupal/pathauto but updated-dependencies-json lists drupal/token'
+    );
+    expect(parseUpdatedDependencies(json, 'drupal/token')).toHaveLength(1);
+  });
+
+  it('should accept a package updated in several directories', () => {
+    const json = JSON.stringify([dependency(), dependency({ directory: '/sites/legacy', prevVersion: '1.12.0' })]);
+
+    expect(parseUpdatedDependencies(json, 'drupal/token').map(update => update.from)).toEqual(['1.13.0', '1.12.0']);
+  });
+});
@@ -0,0 +1,134 @@
+const core = require('@actions/core');
+
+const DEFAULT_HTTP_OPTIONS = {
+  retries: 3,
+  timeout: 30000,
+  totalTimeout: 300000,
+  baseDelay: 500,
+  maxDelay: 10000
+};
+
+/**
+ * Waits for the given number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Whether a response status is worth retrying (server errors and rate limiting)
+ * @param {number} status - HTTP status code
+ * @returns {boolean}
+ */
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Parses a Retry-After header value into milliseconds
+ * @param {string|null} value - Either delay-seconds or an HTTP date
+ * @param {number} now - Current timestamp in milliseconds
+ * @returns {number|null} Delay in milliseconds, or null if missing or invalid
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (!value) {
+    return null;
+  }
+  if (/^\d+$/.test(value.trim())) {
+    return parseInt(value, 10) * 1000;
+  }
+  const date = Date.parse(value);
+  if (isNaN(date)) {
+    return null;
+  }
+  return Math.max(0, date - now);
+}
+
+/**
+ * Creates an HTTP client shared by all API requests of a run
+ * Requests that fail with a network error, a timeout, a 5xx or a 429 are
+ * retried with jittered exponential backoff, honoring Retry-After. Every
+ * request is bounded by a per-request timeout and by the overall time budget
+ * of the client.
+ * @param {Object} [options] - Client options
+ * @param {number} [options.retries] - Maximum number of retries per request
+ * @param {number} [options.timeout] - Per-request timeout in milliseconds
+ * @param {number} [options.totalTimeout] - Time budget for all requests in milliseconds
+ * @param {number} [options.baseDelay] - Initial backoff delay in milliseconds
+ * @param {number} [options.maxDelay] - Maximum backoff delay in milliseconds
+ * @param {Function} [options.sleep] - Delay implementation, replaceable in tests
+ * @param {Object} [options.logger] - Receives retry messages; @actions/core by default
+ * @returns {{fetch: Function, getRetryCount: Function}} The client
+ */
+function createHttpClient(options = {}) {
+  const settings = { ...DEFAULT_HTTP_OPTIONS, ...options };
+  const wait = options.sleep || sleep;
+  const logger = options.logger || core;
+  const deadline = Date.now() + settings.totalTimeout;
+  let retryCount = 0;
+
+  /**
+   * Fetches a URL, retrying transient failures
+   * @param {string} url - The URL to request
+   * @param {Object} [init] - Further fetch() options, such as headers
+   * @returns {Promise<Response>} The final response; non-retryable and
+   *   exhausted error responses are returned for the caller to handle
+   * @throws {Error} When the last attempt fails with a network error or timeout
+   */
+  async function fetchWithRetry(url, init = {}) {
+    for (let attempt = 0; ; attempt++) {
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) {
+        throw new Error(`Time budget of ${settings.totalTimeout}ms for API requests exhausted`);
+      }
+      const timeout = Math.min(settings.timeout, remaining);
+
+      let response = null;
+      let reason;
+      try {
+        response = await fetch(url, { ...init, signal: AbortSignal.timeout(timeout) });
+        if (!isRetryableStatus(response.status)) {
+          return response;
+        }
+        reason = `status ${response.status}`;
+      } catch (error) {
+        if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+          error = new Error(`Request timed out after ${timeout}ms`);
+        }
+        if (attempt >= settings.retries) {
+          throw error;
+        }
+        reason = error.message;
+      }
+
+      if (attempt >= settings.retries) {
+        return response;
+      }
+
+      const backoff = Math.min(settings.maxDelay, settings.baseDelay * 2 ** attempt);
+      const retryAfter = response && response.headers ? parseRetryAfter(response.headers.get('retry-after')) : null;
+      const delay = retryAfter !== null ? retryAfter : Math.round(Math.random() * backoff);
+
+      if (Date.now() + delay >= deadline) {
+        logger.warning(`Not retrying ${url} after ${reason}: the time budget for API requests would be exceeded`);
+        if (response) {
+          return response;
+        }
+        throw new Error(reason);
+      }
+
+      retryCount++;
+      logger.info(`Retrying ${url} in ${delay}ms after ${reason} (retry ${attempt + 1} of ${settings.retries})`);
+      await wait(delay);
+    }
+  }
+
+  return {
+    fetch: fetchWithRetry,
+    getRetryCount: () => retryCount
+  };
+}
+
+module.exports = { createHttpClient, parseRetryAfter, DEFAULT_HTTP_OPTIONS };
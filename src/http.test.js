@@ -0,0 +1,155 @@
+const { createHttpClient, parseRetryAfter } = require('./http');
+const core = require('@actions/core');
+
+jest.mock('@actions/core');
+
+// Mock global fetch
+global.fetch = jest.fn();
+
+/**
+ * Builds a minimal fetch response
+ */
+function mockResponse(status, headers = {}) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: name => headers[name.toLowerCase()] || null }
+  };
+}
+
+describe('createHttpClient', () => {
+  let sleep;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    global.fetch.mockReset();
+    sleep = jest.fn().mockResolvedValue();
+  });
+
+  it('should pass a timeout signal to fetch', async () => {
+    global.fetch.mockResolvedValueOnce(mockResponse(200));
+    const http = createHttpClient({ sleep });
+
+    await http.fetch('https://api.drupal-mrn.dev/project?project=token');
+
+    expect(global.fetch).toHaveBeenCalledWith(
+      'https://api.drupal-mrn.dev/project?project=token',
+      { signal: expect.any(AbortSignal) }
+    );
+  });
+
+  it('should pass further fetch options such as headers', async () => {
+    global.fetch.mockResolvedValueOnce(mockResponse(200));
+    const http = createHttpClient({ sleep });
+
+    await http.fetch('https://api.github.com/repos/drush-ops/drush/releases', { headers: { Accept: 'application/vnd.github+json' } });
+
+    expect(global.fetch).toHaveBeenCalledWith(
+      'https://api.github.com/repos/drush-ops/drush/releases',
+      { headers: { Accept: 'application/vnd.github+json' }, signal: expect.any(AbortSignal) }
+    );
+  });
+
+  it('should not retry client errors', async () => {
+    global.fetch.mockResolvedValueOnce(mockResponse(404));
+    const http = createHttpClient({ sleep });
+
+    const response = await http.fetch('https://api.drupal-mrn.dev/project?project=nope');
+
+    expect(response.status).toBe(404);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(http.getRetryCount()).toBe(0);
+  });
+
+  it('should retry server errors with jittered exponential backoff', async () => {
+    global.fetch
+      .mockResolvedValueOnce(mockResponse(502))
+      .mockResolvedValueOnce(mockResponse(503))
+      .mockResolvedValueOnce(mockResponse(200));
+    const http = createHttpClient({ sleep, baseDelay: 100 });
+
+    const response = await http.fetch('https://api.drupal-mrn.dev/changelog');
+
+    expect(response.status).toBe(200);
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+    expect(sleep).toHaveBeenCalledTimes(2);
+    expect(sleep.mock.calls[0][0]).toBeLessThanOrEqual(100);
+    expect(sleep.mock.calls[1][0]).toBeLessThanOrEqual(200);
+    expect(http.getRetryCount()).toBe(2);
+    expect(core.info).toHaveBeenCalledWith(expect.stringContaining('after status 502 (retry 1 of 3)'));
+  });
+
+  it('should honor Retry-After on rate limiting', async () => {
+    global.fetch
+      .mockResolvedValueOnce(mockResponse(429, { 'retry-after': '2' }))
+      .mockResolvedValueOnce(mockResponse(200));
+    const http = createHttpClient({ sleep });
+
+    await http.fetch('https://api.drupal-mrn.dev/changelog');
+
+    expect(sleep).toHaveBeenCalledWith(2000);
+  });
+
+  it('should return the last response once retries are exhausted', async () => {
+    global.fetch.mockResolvedValue(mockResponse(500));
+    const http = createHttpClient({ sleep, retries: 2 });
+
+    const response = await http.fetch('https://api.drupal-mrn.dev/changelog');
+
+    expect(response.status).toBe(500);
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+    expect(http.getRetryCount()).toBe(2);
+  });
+
+  it('should retry network errors and rethrow the last one', async () => {
+    global.fetch.mockRejectedValue(new Error('socket hang up'));
+    const http = createHttpClient({ sleep, retries: 1 });
+
+    await expect(http.fetch('https://api.drupal-mrn.dev/changelog')).rejects.toThrow('socket hang up');
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('should time out hung requests', async () => {
+    global.fetch.mockImplementation((url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(signal.reason));
+    }));
+    const http = createHttpClient({ sleep, retries: 0, timeout: 20 });
+
+    await expect(http.fetch('https://api.drupal-mrn.dev/changelog')).rejects.toThrow('Request timed out after 20ms');
+  });
+
+  it('should not start requests once the time budget is exhausted', async () => {
+    const http = createHttpClient({ sleep, totalTimeout: 0 });
+
+    await expect(http.fetch('https://api.drupal-mrn.dev/changelog')).rejects.toThrow('Time budget of 0ms for API requests exhausted');
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('should not retry when the delay would exceed the time budget', async () => {
+    global.fetch.mockResolvedValueOnce(mockResponse(503, { 'retry-after': '3600' }));
+    const http = createHttpClient({ sleep, totalTimeout: 60000 });
+
+    const response = await http.fetch('https://api.drupal-mrn.dev/changelog');
+
+    expect(response.status).toBe(503);
+    expect(sleep).not.toHaveBeenCalled();
+    expect(core.warning).toHaveBeenCalledWith(expect.stringContaining('the time budget for API requests would be exceeded'));
+  });
+});
+
+describe('parseRetryAfter', () => {
+  it('should parse delay-seconds', () => {
+    expect(parseRetryAfter('120')).toBe(120000);
+  });
+
+  it('should parse HTTP dates', () => {
+    const now = Date.parse('Wed, 21 Oct 2026 07:28:00 GMT');
+    expect(parseRetryAfter('Wed, 21 Oct 2026 07:28:30 GMT', now)).toBe(30000);
+    expect(parseRetryAfter('Wed, 21 Oct 2026 07:27:00 GMT', now)).toBe(0);
+  });
+
+  it('should ignore missing and invalid values', () => {
+    expect(parseRetryAfter(null)).toBeNull();
+    expect(parseRetryAfter('soon')).toBeNull();
+  });
+});
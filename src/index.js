@@ -1,66 +1,435 @@
 const core = require('@actions/core');
 const github = require('@actions/github');
+const { MAX_BODY_LENGTH, RELEASE_NOTES_HEADING } = require('./render');
+const {
+  readBoolean,
+  readHosts,
+  readHttpOptions,
+  readConcurrency,
+  readCacheOptions,
+  readLabelOptions,
+  readChangeTypeOptions,
+  readTeamMembers
+} = require('./config');
+const {
+  collectReleaseNotes,
+  createComposerProvider,
+  renderMarkdown,
+  loadTemplate,
+  createHttpClient,
+  createCache
+} = require('./api');
+const { fetchProjectTags, findVersionTag, mapVersionToTag } = require('./changelog');
+const { diffComposerLocks, lockedVersion, readComposerLock } = require('./composer-lock');
+const { isRenovatePullRequest, parseRenovateUpdates } = require('./renovate');
+const { parseDependabotUpdates, parseUpdatedDependencies } = require('./dependabot');
+const { labelsForModel, syncLabels } = require('./labels');
+const { satisfies } = require('./constraints');
+
+// Hidden markers wrapping the generated block so later runs can find and replace it
+const RELEASE_NOTES_START = '<!-- dependabot-drupal-mrn:start -->';
+const RELEASE_NOTES_END = '<!-- dependabot-drupal-mrn:end -->';
+const RELEASE_NOTES_COMMENT_MARKER = '<!-- dependabot-drupal-mrn:comment -->';
+
+// Where the rendered release notes are written
+const OUTPUT_MODES = ['body', 'comment'];
+
+// Where the list of updated packages comes from
+const PACKAGE_SOURCES = ['dependabot', 'composer-lock', 'renovate'];
 
 /**
- * Fetches project tags from drupal-mrn API
- * @param {string} project - The Drupal project name
- * @returns {Promise<Array<string>>} Array of tag names
+ * Inserts or replaces the generated release notes block in a PR body
+ * Bodies written before the markers existed have their trailing
+ * "## Drupal Release Notes" section replaced instead of duplicated.
+ * @param {string|null} body - The current PR body
+ * @param {string} releaseNotesSection - The rendered release notes markdown
+ * @returns {string} The PR body containing exactly one release notes block
  */
-async function fetchProjectTags(project) {
-  const apiUrl = `https://api.drupal-mrn.dev/project?${new URLSearchParams({ project })}`;
+function upsertReleaseNotes(body, releaseNotesSection) {
+  const block = `${RELEASE_NOTES_START}\n\n---\n\n${releaseNotesSection.trim()}\n\n${RELEASE_NOTES_END}`;
+  const currentBody = body || '';
+
+  const startIndex = currentBody.indexOf(RELEASE_NOTES_START);
+  const endIndex = currentBody.indexOf(RELEASE_NOTES_END, startIndex);
+  if (startIndex !== -1 && endIndex !== -1) {
+    return currentBody.substring(0, startIndex) +
+      block +
+      currentBody.substring(endIndex + RELEASE_NOTES_END.length);
+  }
+
+  // Legacy notes were always appended last, preceded by a horizontal rule
+  let baseBody = currentBody;
+  const legacyIndex = currentBody.indexOf(RELEASE_NOTES_HEADING);
+  if (legacyIndex !== -1) {
+    baseBody = currentBody.substring(0, legacyIndex).replace(/\s*---\s*$/, '');
+  }
+
+  return `${baseBody}\n\n${block}`;
+}
+
+/**
+ * Removes the generated release notes block from a PR body
+ * @param {string|null} body - The PR body
+ * @returns {string} The body without the block between the markers
+ */
+function removeReleaseNotes(body) {
+  const currentBody = body || '';
+  const startIndex = currentBody.indexOf(RELEASE_NOTES_START);
+  const endIndex = currentBody.indexOf(RELEASE_NOTES_END, startIndex);
+  if (startIndex === -1 || endIndex === -1) {
+    return currentBody;
+  }
+  return currentBody.substring(0, startIndex) + currentBody.substring(endIndex + RELEASE_NOTES_END.length);
+}
+
+/**
+ * Resolves the login of the user the token authenticates as
+ * Installation tokens such as GITHUB_TOKEN may not read their own user.
+ * @param {Object} octokit - Authenticated Octokit client
+ * @returns {Promise<string|null>} The login, or null when it cannot be read
+ */
+async function authenticatedLogin(octokit) {
   try {
-    const response = await fetch(apiUrl);
-    if (!response.ok) {
-      let errorDetails = `Status: ${response.status}`;
-      try {
-        const errorBody = await response.text();
-        if (errorBody) {
-          errorDetails += `, Response: ${errorBody.substring(0, 200)}`;
-        }
-      } catch (e) {
-        // Ignore errors reading response body
-      }
-      core.warning(`Failed to fetch project tags for ${project}: ${response.status}`);
-      core.warning(`API URL: ${apiUrl}`);
-      core.warning(`Error details: ${errorDetails}`);
-      return [];
-    }
-    const data = await response.json();
-    return (data.tags || []).map(tag => tag.name);
+    const { data } = await octokit.rest.users.getAuthenticated();
+    return data.login;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Finds the release notes comment posted by an earlier run
+ * The comment is found through a hidden marker. Only comments written by the
+ * token's user, or by a bot when that user cannot be read, are considered: a
+ * person quoting the marker must not have their comment overwritten.
+ * @param {Object} octokit - Authenticated Octokit client
+ * @param {Object} context - GitHub Actions context
+ * @returns {Promise<Object|undefined>} The comment, if there is one
+ */
+async function findReleaseNotesComment(octokit, context) {
+  const comments = await octokit.paginate(octokit.rest.issues.listComments, {
+    owner: context.repo.owner,
+    repo: context.repo.repo,
+    issue_number: context.payload.pull_request.number,
+    per_page: 100
+  });
+  const login = await authenticatedLogin(octokit);
+  return comments.find(comment => (
+    comment.body &&
+    comment.body.includes(RELEASE_NOTES_COMMENT_MARKER) &&
+    comment.user &&
+    (login ? comment.user.login === login : comment.user.type === 'Bot')
+  ));
+}
+
+/**
+ * Creates or updates the single release notes comment on a PR
+ * Re-runs edit the comment found by findReleaseNotesComment() instead of
+ * posting another one.
+ * @param {Object} octokit - Authenticated Octokit client
+ * @param {Object} context - GitHub Actions context
+ * @param {string} releaseNotesSection - The rendered release notes markdown
+ * @returns {Promise<string>} 'created', 'updated' or 'unchanged'
+ */
+async function upsertReleaseNotesComment(octokit, context, releaseNotesSection) {
+  const issueNumber = context.payload.pull_request.number;
+  const body = `${RELEASE_NOTES_COMMENT_MARKER}\n\n${releaseNotesSection.trim()}`;
+  const existing = await findReleaseNotesComment(octokit, context);
+
+  if (!existing) {
+    await octokit.rest.issues.createComment({
+      owner: context.repo.owner,
+      repo: context.repo.repo,
+      issue_number: issueNumber,
+      body
+    });
+    return 'created';
+  }
+
+  if (existing.body === body) {
+    return 'unchanged';
+  }
+
+  await octokit.rest.issues.updateComment({
+    owner: context.repo.owner,
+    repo: context.repo.repo,
+    comment_id: existing.id,
+    body
+  });
+  return 'updated';
+}
+
+/**
+ * Deletes the release notes comment posted by an earlier run
+ * @param {Object} octokit - Authenticated Octokit client
+ * @param {Object} context - GitHub Actions context
+ * @returns {Promise<boolean>} Whether there was a comment to delete
+ */
+async function deleteReleaseNotesComment(octokit, context) {
+  const existing = await findReleaseNotesComment(octokit, context);
+  if (!existing) {
+    return false;
+  }
+
+  await octokit.rest.issues.deleteComment({
+    owner: context.repo.owner,
+    repo: context.repo.repo,
+    comment_id: existing.id
+  });
+  return true;
+}
+
+/**
+ * Resolves where to read the base or head composer.lock of the PR from
+ * @param {Object} context - GitHub Actions context
+ * @param {string} side - 'base' or 'head'
+ * @returns {{path: string, ref: string, file: string}} Options for readComposerLock()
+ */
+function composerLockLocation(context, side) {
+  const pullRequest = context.payload.pull_request;
+  return {
+    path: (process.env.COMPOSER_LOCK_PATH || '').trim() || 'composer.lock',
+    ref: pullRequest[side] && pullRequest[side].sha,
+    file: (process.env[side === 'base' ? 'COMPOSER_LOCK_BASE_FILE' : 'COMPOSER_LOCK_HEAD_FILE'] || '').trim()
+  };
+}
+
+/**
+ * Resolves the commit the PR branched off its base branch
+ * The base SHA of the event is the current tip of the base branch; reading
+ * the base lock there would report everything updated on the base branch
+ * since as changes of the PR.
+ * @param {Object} octokit - Authenticated Octokit client
+ * @param {Object} context - GitHub Actions context
+ * @returns {Promise<string>} The merge base, or the base SHA when it cannot be compared
+ */
+async function mergeBaseOf(octokit, context) {
+  const pullRequest = context.payload.pull_request;
+  try {
+    const { data } = await octokit.rest.repos.compareCommits({
+      owner: context.repo.owner,
+      repo: context.repo.repo,
+      base: pullRequest.base.sha,
+      head: pullRequest.head.sha
+    });
+    return data.merge_base_commit.sha;
+  } catch (error) {
+    core.warning(`Could not find the merge base of the pull request, comparing with ${pullRequest.base.sha}: ${error.message}`);
+    return pullRequest.base.sha;
+  }
+}
+
+/**
+ * Computes the package updates of a PR from its base and head composer.lock
+ * The base lock is read at the merge base, so updates on the base branch
+ * since the PR branched off are not mistaken for changes of the PR.
+ * @param {Object} octokit - Authenticated Octokit client
+ * @param {Object} context - GitHub Actions context
+ * @returns {Promise<Array<{name: string, from: string, to: string}>>} The updated packages
+ */
+async function readComposerLockUpdates(octokit, context) {
+  const base = composerLockLocation(context, 'base');
+  const head = composerLockLocation(context, 'head');
+  if (!base.file) {
+    base.ref = await mergeBaseOf(octokit, context);
+  }
+
+  const [baseLock, headLock] = await Promise.all([
+    readComposerLock(octokit, context, base),
+    readComposerLock(octokit, context, head)
+  ]);
+
+  if (!headLock) {
+    throw new Error(`Could not find ${head.path} in the pull request`);
+  }
+
+  const updates = diffComposerLocks(baseLock, headLock);
+  core.info(`Found ${updates.length} changed package(s) in ${head.path}`);
+  return updates;
+}
+
+/**
+ * Flags packages whose new drupal/core constraint excludes the locked core
+ * The locked version is read from the head composer.lock; without one there
+ * is nothing to check against.
+ * @param {Object} octokit - Authenticated Octokit client
+ * @param {Object} context - GitHub Actions context
+ * @param {Object} model - The release notes model; conflicts are recorded in
+ *   the packages' `requirements.excludesLockedCore`
+ * @returns {Promise<void>}
+ */
+async function checkCoreConstraints(octokit, context, model) {
+  const constrained = model.packages.filter(pkg => pkg.requirements && pkg.requirements.core && pkg.requirements.core.to);
+  if (constrained.length === 0) {
+    return;
+  }
+
+  const head = composerLockLocation(context, 'head');
+  let lockedCore;
+  try {
+    lockedCore = lockedVersion(await readComposerLock(octokit, context, head), 'drupal/core');
   } catch (error) {
-    core.warning(`Error fetching project tags for ${project}: ${error.message}`);
+    core.warning(`Could not read ${head.path} to check drupal/core constraints: ${error.message}`);
+    return;
+  }
+  if (!lockedCore) {
+    return;
+  }
+
+  for (const pkg of constrained) {
+    const constraint = pkg.requirements.core.to;
+    if (satisfies(lockedCore, constraint) === false) {
+      core.warning(`${pkg.name} ${pkg.to} requires drupal/core ${constraint}, which excludes the locked drupal/core ${lockedCore}`);
+      pkg.requirements.excludesLockedCore = lockedCore;
+    }
+  }
+}
+
+/**
+ * Reads the package updates of a Renovate PR from the table in its body
+ * Range updates are resolved to the versions locked in composer.lock.
+ * @param {Object} octokit - Authenticated Octokit client
+ * @param {Object} context - GitHub Actions context
+ * @returns {Promise<Array<{name: string, from: string, to: string}>>} The updated packages
+ */
+async function readRenovateUpdates(octokit, context) {
+  const { data: pr } = await octokit.rest.pulls.get({
+    owner: context.repo.owner,
+    repo: context.repo.repo,
+    pull_number: context.payload.pull_request.number
+  });
+
+  if (!isRenovatePullRequest(pr)) {
+    core.info('This pull request was not opened by Renovate');
     return [];
   }
+
+  // Our own notes must not be mistaken for Renovate's update table
+  const updates = parseRenovateUpdates(removeReleaseNotes(pr.body));
+  if (!updates.some(update => update.range)) {
+    return updates;
+  }
+
+  // Range updates only name constraints; the installed versions are locked
+  let locked = new Map();
+  try {
+    locked = new Map((await readComposerLockUpdates(octokit, context)).map(update => [update.name, update]));
+  } catch (error) {
+    core.warning(`Could not read composer.lock to resolve range updates: ${error.message}`);
+  }
+  return updates.flatMap(update => {
+    if (!update.range) {
+      return [update];
+    }
+    const lockedUpdate = locked.get(update.name);
+    if (!lockedUpdate) {
+      core.info(`Skipping ${update.name}: its constraint changed from ${update.from} to ${update.to} but its locked version did not`);
+      return [];
+    }
+    return [{ name: update.name, from: lockedUpdate.from, to: lockedUpdate.to }];
+  });
+}
+
+/**
+ * Posts or updates the release notes comment on the PR
+ * @param {Object} octokit - Authenticated Octokit client
+ * @param {Object} context - GitHub Actions context
+ * @param {Object} model - The release notes model, see collectReleaseNotes()
+ * @param {Object} renderOptions - Hosts, template, change types and team members, see renderMarkdown()
+ * @returns {Promise<string>} The rendered release notes markdown
+ */
+async function writeReleaseNotesComment(octokit, context, model, renderOptions) {
+  const releaseNotesSection = renderMarkdown(model, {
+    ...renderOptions,
+    maxLength: MAX_BODY_LENGTH - `${RELEASE_NOTES_COMMENT_MARKER}\n\n`.length
+  });
+  const result = await upsertReleaseNotesComment(octokit, context, releaseNotesSection);
+  if (result === 'unchanged') {
+    core.info('Release notes comment is already up to date');
+  } else {
+    core.info(`Successfully ${result} PR comment with Drupal release notes`);
+  }
+  return releaseNotesSection;
 }
 
 /**
- * Maps a Semver version to the actual Git tag name
- * Handles legacy Drupal versioning (e.g., 1.38.0 -> 8.x-1.38)
- * @param {string} version - The Semver version (e.g., "1.38.0")
- * @param {Array<string>} tags - Array of available tag names
- * @returns {string} The mapped tag name or original version if no match found
+ * Inserts or refreshes the release notes in the PR description
+ * @param {Object} octokit - Authenticated Octokit client
+ * @param {Object} context - GitHub Actions context
+ * @param {Object} model - The release notes model, see collectReleaseNotes()
+ * @param {Object} renderOptions - Hosts, template, change types and team members, see renderMarkdown()
+ * @returns {Promise<string>} The rendered release notes markdown
  */
-function mapVersionToTag(version, tags) {
-  // First, check if the version exists as-is (for modern projects)
-  if (tags.includes(version)) {
-    return version;
+async function writeReleaseNotesBody(octokit, context, model, renderOptions) {
+  // Get current PR body
+  const { data: pr } = await octokit.rest.pulls.get({
+    owner: context.repo.owner,
+    repo: context.repo.repo,
+    pull_number: context.payload.pull_request.number
+  });
+
+  // Budget the notes so the whole body stays within GitHub's limit
+  const maxLength = MAX_BODY_LENGTH - upsertReleaseNotes(pr.body, '').length;
+  const releaseNotesSection = maxLength > 0 ? renderMarkdown(model, { ...renderOptions, maxLength }) : '';
+
+  // A body that leaves no room for the notes would be rejected with them
+  if (!releaseNotesSection) {
+    core.warning('The PR description leaves no room for the release notes; posting them as a comment instead');
+    return writeReleaseNotesComment(octokit, context, model, renderOptions);
   }
 
-  // Try to match Semver pattern (e.g., 1.38.0 -> 8.x-1.38)
-  // Match versions like 1.38.0, 1.40.0, etc.
-  // Only check 8.x prefix since Semver was introduced after Drupal 8.
-  const semverMatch = version.match(/^(\d+)\.(\d+)\.(\d+)$/);
-  if (semverMatch) {
-    const major = semverMatch[1];
-    const minor = semverMatch[2];
-    const legacyTag = `8.x-${major}.${minor}`;
-    if (tags.includes(legacyTag)) {
-      return legacyTag;
+  // Replace previously generated notes so rebases and retargets stay current
+  const newBody = upsertReleaseNotes(pr.body, releaseNotesSection);
+
+  if (newBody === pr.body) {
+    core.info('Release notes in PR description are already up to date');
+    return releaseNotesSection;
+  }
+
+  await octokit.rest.pulls.update({
+    owner: context.repo.owner,
+    repo: context.repo.repo,
+    pull_number: context.payload.pull_request.number,
+    body: newBody
+  });
+
+  core.info('Successfully updated PR description with Drupal release notes');
+
+  // An earlier run may have posted the notes as a comment when they did not fit
+  try {
+    if (await deleteReleaseNotesComment(octokit, context)) {
+      core.info('Deleted the release notes comment now that the notes fit in the PR description');
     }
+  } catch (error) {
+    core.warning(`Could not delete the outdated release notes comment: ${error.message}`);
   }
+  return releaseNotesSection;
+}
 
-  // If no match found, return original version
-  return version;
+/**
+ * Exposes the release notes to later workflow steps
+ * Sets the action outputs and adds the notes to the job summary.
+ * @param {Object} model - The release notes model, see collectReleaseNotes()
+ * @param {string} markdown - The rendered release notes, empty without packages
+ * @returns {Promise<void>}
+ */
+async function writeOutputs(model, markdown) {
+  core.setOutput('markdown', markdown);
+  core.setOutput('json', JSON.stringify(model));
+  core.setOutput('has-security', model.hasSecurity);
+  core.setOutput('has-change-records', model.hasChangeRecords);
+  core.setOutput('packages-failed', model.packagesFailed);
+
+  if (!markdown) {
+    return;
+  }
+  // The summary is a convenience; e.g. local runs have no summary file
+  try {
+    core.summary.addRaw(markdown, true);
+    await core.summary.write();
+  } catch (error) {
+    core.warning(`Could not write the job summary: ${error.message}`);
+  }
 }
 
 async function run() {
@@ -69,160 +438,34 @@ async function run() {
     const dependencyNames = process.env.DEPENDENCY_NAMES || '';
     const previousVersion = process.env.PREVIOUS_VERSION || '';
     const newVersion = process.env.NEW_VERSION || '';
+    const updatedDependenciesJson = (process.env.UPDATED_DEPENDENCIES_JSON || '').trim();
+    const outputMode = (process.env.OUTPUT_MODE || 'body').trim().toLowerCase();
+    const packageSource = (process.env.PACKAGE_SOURCE || 'dependabot').trim().toLowerCase();
 
     if (!token) {
       throw new Error('GITHUB_TOKEN is required');
     }
 
-    // Handle grouped updates (comma-separated)
-    const packages = dependencyNames.split(',').map(p => p.trim());
-    const fromVersions = previousVersion.split(',').map(v => v.trim());
-    const toVersions = newVersion.split(',').map(v => v.trim());
-
-    // Filter to only drupal/ packages
-    const drupalPackages = [];
-    for (let i = 0; i < packages.length; i++) {
-      if (packages[i].startsWith('drupal/')) {
-        drupalPackages.push({
-          name: packages[i],
-          project: packages[i].replace('drupal/', ''),
-          from: fromVersions[i] || fromVersions[0],
-          to: toVersions[i] || toVersions[0]
-        });
-      }
+    if (!OUTPUT_MODES.includes(outputMode)) {
+      throw new Error(`Invalid output mode "${outputMode}". Expected one of: ${OUTPUT_MODES.join(', ')}`);
     }
 
-    if (drupalPackages.length === 0) {
-      core.info('No drupal/ packages found in this PR');
-      return;
+    if (!PACKAGE_SOURCES.includes(packageSource)) {
+      throw new Error(`Invalid package source "${packageSource}". Expected one of: ${PACKAGE_SOURCES.join(', ')}`);
     }
 
-    // Fetch release notes for each package
-    let releaseNotesSection = '\n\n---\n\n## Drupal Release Notes\n\n';
-    let hasReleaseNotes = false;
-
-    for (const pkg of drupalPackages) {
-      core.info(`Fetching release notes for ${pkg.project} from ${pkg.from} to ${pkg.to}`);
-
-      // Fetch project tags to map Semver versions to actual Git tags
-      const tags = await fetchProjectTags(pkg.project);
-      const mappedFrom = mapVersionToTag(pkg.from, tags);
-      const mappedTo = mapVersionToTag(pkg.to, tags);
-
-      if (mappedFrom !== pkg.from || mappedTo !== pkg.to) {
-        core.info(`Mapped versions for ${pkg.project}: ${pkg.from} → ${mappedFrom}, ${pkg.to} → ${mappedTo}`);
-      }
-
-      const apiUrl = `https://api.drupal-mrn.dev/changelog?${new URLSearchParams({
-        project: pkg.project,
-        from: mappedFrom,
-        to: mappedTo,
-        format: 'json'
-      })}`;
-
-      try {
-        const response = await fetch(apiUrl);
-
-        if (!response.ok) {
-          let errorDetails = `Status: ${response.status}`;
-          try {
-            const errorBody = await response.text();
-            if (errorBody) {
-              errorDetails += `, Response: ${errorBody.substring(0, 200)}`;
-            }
-          } catch (e) {
-            // Ignore errors reading response body
-          }
-          core.warning(`API returned ${response.status} for ${pkg.project}`);
-          core.warning(`API URL: ${apiUrl}`);
-          core.warning(`Error details: ${errorDetails}`);
-          releaseNotesSection += `### ${pkg.name}\n\n`;
-          releaseNotesSection += `_Could not fetch release notes (${pkg.from} → ${pkg.to})_\n\n`;
-          continue;
-        }
-
-        const data = await response.json();
-
-        if (data && data.changes && data.changes.length > 0) {
-          hasReleaseNotes = true;
-          releaseNotesSection += `### ${pkg.name}\n\n`;
-
-          // Add version info with link to release notes page and compare link
-          // Use mapped versions for URLs, but show original versions in text
-          const releaseNotesUrl = `https://www.drupal.org/project/${pkg.project}/releases/${mappedTo}`;
-          const compareUrl = `https://git.drupalcode.org/project/${pkg.project}/-/compare/${mappedFrom}...${mappedTo}`;
-          releaseNotesSection += `**${pkg.from} → [${pkg.to}](${releaseNotesUrl})** ([compare](${compareUrl}))\n\n`;
-
-          // Changes are now pre-grouped and sorted by type in the API response
-          for (const typeGroup of data.changes) {
-            const type = typeGroup.type || 'Misc';
-            if (!typeGroup.changes || typeGroup.changes.length === 0) {
-              continue;
-            }
-
-            releaseNotesSection += `#### ${type}\n\n`;
-            for (const change of typeGroup.changes) {
-              // Handle null nid (no issue ID in commit title)
-              if (change.nid === null) {
-                releaseNotesSection += `* ${change.summary}\n`;
-                continue;
-              }
-
-              // Use nid from JSON data to create the issue ID link
-              const issueId = `#${change.nid}`;
-
-              // Remove the issue ID prefix from summary
-              // Handle traditional format: #12345: or #12345 by author:
-              // Also handle conventional commit format: [#12345] (remove if it matches the nid)
-              let summaryWithoutId = change.summary;
-
-              // First, remove traditional format: #12345: or #12345 by author:
-              summaryWithoutId = summaryWithoutId.replace(/^#[0-9]+(?:\s+by\s+[^:]+)?:\s*/, '');
-
-              // Then, remove conventional commit format [#12345] if it matches the nid
-              // This prevents duplication like "#3554196: [#3554196] fix..." -> "fix..."
-              const conventionalCommitPattern = new RegExp(`^\\[#${change.nid}\\]\\s*`, 'i');
-              summaryWithoutId = summaryWithoutId.replace(conventionalCommitPattern, '');
-
-              // Clean up any leading whitespace after removals
-              summaryWithoutId = summaryWithoutId.trim();
-
-              releaseNotesSection += `* [${issueId}](${change.link})${summaryWithoutId ? ': ' + summaryWithoutId : ''}\n`;
-            }
-            releaseNotesSection += '\n';
-          }
-
-          // Add change records if any
-          if (data.changeRecords && data.changeRecords.length > 0) {
-            releaseNotesSection += `#### Change Records\n\n`;
-            for (const record of data.changeRecords) {
-              // Handle both old format (link) and new format (url)
-              const recordUrl = record.url || record.link;
-              const recordTitle = record.title || record.summary;
-              if (recordUrl && recordTitle) {
-                releaseNotesSection += `* [${recordTitle}](${recordUrl})\n`;
-              }
-            }
-            releaseNotesSection += '\n';
-          }
-
-          releaseNotesSection += '\n';
-        } else {
-          releaseNotesSection += `### ${pkg.name}\n\n`;
-          const releaseNotesUrl = `https://www.drupal.org/project/${pkg.project}/releases/${mappedTo}`;
-          releaseNotesSection += `**${pkg.from} → [${pkg.to}](${releaseNotesUrl})**\n\n`;
-          releaseNotesSection += `_No release notes available_\n\n`;
-        }
-      } catch (error) {
-        core.error(`Error fetching release notes for ${pkg.project}: ${error.message}`);
-        releaseNotesSection += `### ${pkg.name}\n\n`;
-        releaseNotesSection += `_Error fetching release notes: ${error.message}_\n\n`;
-      }
-    }
-
-    if (!hasReleaseNotes) {
-        core.info('No release notes were retrieved from the API.');
-    }
+    const hosts = readHosts();
+    const http = createHttpClient(readHttpOptions());
+    const concurrency = readConcurrency();
+    const cache = createCache(readCacheOptions());
+    const checkSecurity = readBoolean(process.env, 'SECURITY_CHECK', true);
+    const checkRequirements = readBoolean(process.env, 'REQUIREMENTS_CHECK', true);
+    const perRelease = readBoolean(process.env, 'PER_RELEASE', false);
+    const providers = readBoolean(process.env, 'COMPOSER_PACKAGES', false) ? [createComposerProvider({ token })] : [];
+    const labelOptions = readLabelOptions();
+    const template = await loadTemplate((process.env.TEMPLATE_FILE || '').trim());
+    const changeTypes = readChangeTypeOptions();
+    const teamMembers = readTeamMembers();
 
     const octokit = github.getOctokit(token);
     const context = github.context;
@@ -233,31 +476,60 @@ async function run() {
       return;
     }
 
-    // Get current PR body
-    const { data: pr } = await octokit.rest.pulls.get({
-      owner: context.repo.owner,
-      repo: context.repo.repo,
-      pull_number: context.payload.pull_request.number
+    let updates;
+    if (packageSource === 'composer-lock') {
+      updates = await readComposerLockUpdates(octokit, context);
+    } else if (packageSource === 'renovate') {
+      updates = await readRenovateUpdates(octokit, context);
+    } else if (updatedDependenciesJson) {
+      updates = parseUpdatedDependencies(updatedDependenciesJson, dependencyNames);
+    } else {
+      updates = parseDependabotUpdates(dependencyNames, previousVersion, newVersion);
+    }
+
+    const model = await collectReleaseNotes(updates, {
+      hosts,
+      http,
+      cache,
+      concurrency,
+      checkSecurity,
+      checkRequirements,
+      perRelease,
+      providers
     });
 
-    // Check if we already added release notes (avoid duplicates on synchronize)
-    if (pr.body && pr.body.includes('## Drupal Release Notes')) {
-      core.info('Release notes already present in PR description');
+    if (model.packages.length === 0 && model.otherPackages.length === 0) {
+      core.info(providers.length > 0 ? 'No Composer packages found in this PR' : 'No drupal/ packages found in this PR');
+      await writeOutputs(model, '');
       return;
     }
 
-    // Update PR body with release notes
-    const newBody = (pr.body || '') + releaseNotesSection;
+    if (checkRequirements) {
+      await checkCoreConstraints(octokit, context, model);
+    }
 
-    await octokit.rest.pulls.update({
-      owner: context.repo.owner,
-      repo: context.repo.repo,
-      pull_number: context.payload.pull_request.number,
-      body: newBody
-    });
+    if (![...model.packages, ...model.otherPackages].some(pkg => pkg.status === 'ok')) {
+        core.info('No release notes were retrieved from the API.');
+    }
+
+    // Labels are a triage aid; failing to set them must not lose the notes
+    if (labelOptions.enabled) {
+      try {
+        const { added, removed } = await syncLabels(octokit, context, labelsForModel(model), labelOptions.names);
+        if (added.length > 0 || removed.length > 0) {
+          core.info(`Updated PR labels (added: ${added.join(', ') || 'none'}, removed: ${removed.join(', ') || 'none'})`);
+        }
+      } catch (error) {
+        core.warning(`Could not update PR labels: ${error.message}`);
+      }
+    }
 
-    core.info('Successfully updated PR description with Drupal release notes');
+    const renderOptions = { hosts, template, changeTypes, teamMembers };
+    const releaseNotesSection = outputMode === 'comment'
+      ? await writeReleaseNotesComment(octokit, context, model, renderOptions)
+      : await writeReleaseNotesBody(octokit, context, model, renderOptions);
 
+    await writeOutputs(model, releaseNotesSection);
   } catch (error) {
     core.setFailed(error.message);
   }
@@ -268,4 +540,16 @@ if (require.main === module) {
   run();
 }
 
-module.exports = { run, fetchProjectTags, mapVersionToTag };
+module.exports = {
+  run,
+  collectReleaseNotes,
+  renderMarkdown,
+  fetchProjectTags,
+  findVersionTag,
+  mapVersionToTag,
+  upsertReleaseNotes,
+  upsertReleaseNotesComment,
+  RELEASE_NOTES_START,
+  RELEASE_NOTES_END,
+  RELEASE_NOTES_COMMENT_MARKER
+};
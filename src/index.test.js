@@ -1,4 +1,17 @@
-const { run, fetchProjectTags, mapVersionToTag } = require('./index');
+const {
+  run,
+  fetchProjectTags,
+  findVersionTag,
+  mapVersionToTag,
+  upsertReleaseNotes,
+  RELEASE_NOTES_START,
+  RELEASE_NOTES_END,
+  RELEASE_NOTES_COMMENT_MARKER
+} = require('./index');
+const { createHttpClient } = require('./http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const core = require('@actions/core');
 const github = require('@actions/github');
 
@@ -9,6 +22,43 @@ jest.mock('@actions/github');
 // Mock global fetch
 global.fetch = jest.fn();
 
+/**
+ * Routes mocked fetch calls by URL, so concurrently fetched packages
+ * receive their own responses regardless of request order
+ * @param {Object} responses - Response bodies keyed by request URL; strings
+ *   are served as text, anything else as JSON
+ */
+function mockApiResponses(responses) {
+  global.fetch.mockImplementation(async url => {
+    if (!(url in responses)) {
+      throw new Error(`Unexpected request: ${url}`);
+    }
+    const body = responses[url];
+    return {
+      ok: true,
+      status: 200,
+      json: async () => body,
+      text: async () => (typeof body === 'string' ? body : JSON.stringify(body))
+    };
+  });
+}
+
+const coreBugChangelog = {
+  changes: [{
+    type: 'Bug',
+    changes: [{ nid: '1', link: 'https://www.drupal.org/i/1', type: 'Bug', summary: '#1: Core bug' }]
+  }],
+  changeRecords: []
+};
+
+const tokenTaskChangelog = {
+  changes: [{
+    type: 'Task',
+    changes: [{ nid: '2', link: 'https://www.drupal.org/i/2', type: 'Task', summary: '#2: Token task' }]
+  }],
+  changeRecords: []
+};
+
 describe('Dependabot Drupal Release Notes Action', () => {
   let mockOctokit;
   let mockContext;
@@ -37,8 +87,28 @@ describe('Dependabot Drupal Release Notes Action', () => {
         pulls: {
           get: jest.fn(),
           update: jest.fn()
+        },
+        repos: {
+          getContent: jest.fn(),
+          compareCommits: jest.fn()
+        },
+        issues: {
+          listComments: jest.fn(),
+          createComment: jest.fn(),
+          updateComment: jest.fn(),
+          deleteComment: jest.fn(),
+          listLabelsOnIssue: jest.fn(),
+          getLabel: jest.fn(),
+          createLabel: jest.fn(),
+          addLabels: jest.fn(),
+          removeLabel: jest.fn()
+        },
+        users: {
+          // Like GITHUB_TOKEN, which cannot read its own user
+          getAuthenticated: jest.fn().mockRejectedValue(new Error('Resource not accessible by integration'))
         }
-      }
+      },
+      paginate: jest.fn().mockResolvedValue([])
     };
 
     github.getOctokit = jest.fn(() => mockOctokit);
@@ -49,6 +119,12 @@ describe('Dependabot Drupal Release Notes Action', () => {
     process.env.DEPENDENCY_NAMES = '';
     process.env.PREVIOUS_VERSION = '';
     process.env.NEW_VERSION = '';
+    // Retries are covered in http.test.js
+    process.env.MAX_RETRIES = '0';
+    // Release history lookups are covered in 'Security releases'
+    process.env.SECURITY_CHECK = 'false';
+    // Composer metadata lookups are covered in 'Requirement changes'
+    process.env.REQUIREMENTS_CHECK = 'false';
   });
 
   afterEach(() => {
@@ -56,6 +132,28 @@ describe('Dependabot Drupal Release Notes Action', () => {
     delete process.env.DEPENDENCY_NAMES;
     delete process.env.PREVIOUS_VERSION;
     delete process.env.NEW_VERSION;
+    delete process.env.UPDATED_DEPENDENCIES_JSON;
+    delete process.env.OUTPUT_MODE;
+    delete process.env.MAX_RETRIES;
+    delete process.env.SECURITY_CHECK;
+    delete process.env.REQUIREMENTS_CHECK;
+    delete process.env.LABELS;
+    delete process.env.LABEL_BUGFIX_ONLY;
+    delete process.env.TEMPLATE_FILE;
+    delete process.env.CHANGE_TYPES;
+    delete process.env.EXCLUDE_CHANGE_TYPES;
+    delete process.env.CHANGE_TYPE_NAMES;
+    delete process.env.TEAM_MEMBERS;
+    delete process.env.PER_RELEASE;
+    delete process.env.COMPOSER_PACKAGES;
+    delete process.env.CONCURRENCY;
+    delete process.env.CACHE_DIR;
+    delete process.env.CACHE_TAGS_TTL;
+    delete process.env.PACKAGE_SOURCE;
+    delete process.env.COMPOSER_LOCK_PATH;
+    delete process.env.DRUPAL_MRN_API_URL;
+    delete process.env.DRUPAL_ORG_URL;
+    delete process.env.DRUPAL_GITLAB_URL;
   });
 
   describe('Error handling', () => {
@@ -88,6 +186,15 @@ describe('Dependabot Drupal Release Notes Action', () => {
 
       expect(core.setFailed).toHaveBeenCalledWith('This action must be run in the context of a pull request');
     });
+
+    it('should fail on an invalid output mode', async () => {
+      process.env.OUTPUT_MODE = 'issue';
+
+      await run();
+
+      expect(core.setFailed).toHaveBeenCalledWith('Invalid output mode "issue". Expected one of: body, comment');
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
   });
 
   describe('Package filtering', () => {
@@ -115,55 +222,20 @@ describe('Dependabot Drupal Release Notes Action', () => {
         data: { body: 'Existing PR body' }
       });
 
-      global.fetch
-        // Project tags for core
-        .mockResolvedValueOnce({
-          ok: true,
-          json: async () => ({ tags: [] })
-        })
-        // Changelog for core
-        .mockResolvedValueOnce({
-          ok: true,
-          json: async () => ({
-            changes: [{
-              type: 'Bug',
-              changes: [{ nid: '1', link: 'https://www.drupal.org/i/1', type: 'Bug', summary: '#1: Core bug' }]
-            }],
-            changeRecords: []
-          })
-        })
-        // Project tags for token
-        .mockResolvedValueOnce({
-          ok: true,
-          json: async () => ({ tags: [] })
-        })
-        // Changelog for token
-        .mockResolvedValueOnce({
-          ok: true,
-          json: async () => ({
-            changes: [{
-              type: 'Task',
-              changes: [{ nid: '2', link: 'https://www.drupal.org/i/2', type: 'Task', summary: '#2: Token task' }]
-            }],
-            changeRecords: []
-          })
-        });
+      mockApiResponses({
+        'https://api.drupal-mrn.dev/project?project=drupal': { tags: [] },
+        'https://api.drupal-mrn.dev/changelog?project=drupal&from=10.0.0&to=10.1.0&format=json': coreBugChangelog,
+        'https://api.drupal-mrn.dev/project?project=token': { tags: [] },
+        'https://api.drupal-mrn.dev/changelog?project=token&from=1.0.0&to=1.1.0&format=json': tokenTaskChangelog
+      });
 
       await run();
 
       expect(global.fetch).toHaveBeenCalledTimes(4);
-      expect(global.fetch).toHaveBeenCalledWith(
-        'https://api.drupal-mrn.dev/project?project=core'
-      );
-      expect(global.fetch).toHaveBeenCalledWith(
-        'https://api.drupal-mrn.dev/changelog?project=core&from=10.0.0&to=10.1.0&format=json'
-      );
-      expect(global.fetch).toHaveBeenCalledWith(
-        'https://api.drupal-mrn.dev/project?project=token'
-      );
-      expect(global.fetch).toHaveBeenCalledWith(
-        'https://api.drupal-mrn.dev/changelog?project=token&from=1.0.0&to=1.1.0&format=json'
-      );
+      expect(global.fetch).toHaveBeenCalledWith('https://api.drupal-mrn.dev/project?project=drupal', expect.anything());
+      expect(global.fetch).toHaveBeenCalledWith('https://api.drupal-mrn.dev/changelog?project=drupal&from=10.0.0&to=10.1.0&format=json', expect.anything());
+      expect(global.fetch).toHaveBeenCalledWith('https://api.drupal-mrn.dev/project?project=token', expect.anything());
+      expect(global.fetch).toHaveBeenCalledWith('https://api.drupal-mrn.dev/changelog?project=token&from=1.0.0&to=1.1.0&format=json', expect.anything());
     });
   });
 
@@ -222,7 +294,7 @@ describe('Dependabot Drupal Release Notes Action', () => {
 
       await run();
 
-      expect(core.info).toHaveBeenCalledWith('Fetching release notes for core from 10.0.0 to 10.1.0');
+      expect(core.info).toHaveBeenCalledWith('Fetching release notes for drupal from 10.0.0 to 10.1.0');
       expect(mockOctokit.rest.pulls.update).toHaveBeenCalledWith({
         owner: 'test-owner',
         repo: 'test-repo',
@@ -239,13 +311,13 @@ describe('Dependabot Drupal Release Notes Action', () => {
         owner: 'test-owner',
         repo: 'test-repo',
         pull_number: 123,
-        body: expect.stringContaining('**10.0.0 → [10.1.0](https://www.drupal.org/project/core/releases/10.1.0)**')
+        body: expect.stringContaining('**10.0.0 → [10.1.0](https://www.drupal.org/project/drupal/releases/10.1.0)**')
       });
       expect(mockOctokit.rest.pulls.update).toHaveBeenCalledWith({
         owner: 'test-owner',
         repo: 'test-repo',
         pull_number: 123,
-        body: expect.stringContaining('[compare](https://git.drupalcode.org/project/core/-/compare/10.0.0...10.1.0)')
+        body: expect.stringContaining('[compare](https://git.drupalcode.org/project/drupal/-/compare/10.0.0...10.1.0)')
       });
       expect(mockOctokit.rest.pulls.update).toHaveBeenCalledWith({
         owner: 'test-owner',
@@ -371,7 +443,7 @@ describe('Dependabot Drupal Release Notes Action', () => {
 
       await run();
 
-      expect(core.warning).toHaveBeenCalledWith('API returned 404 for core');
+      expect(core.warning).toHaveBeenCalledWith('API returned 404 for drupal');
       expect(mockOctokit.rest.pulls.update).toHaveBeenCalledWith({
         owner: 'test-owner',
         repo: 'test-repo',
@@ -417,7 +489,7 @@ describe('Dependabot Drupal Release Notes Action', () => {
 
       await run();
 
-      expect(core.error).toHaveBeenCalledWith(`Error fetching release notes for core: ${errorMessage}`);
+      expect(core.error).toHaveBeenCalledWith(`Error fetching release notes for drupal: ${errorMessage}`);
       expect(mockOctokit.rest.pulls.update).toHaveBeenCalledWith({
         owner: 'test-owner',
         repo: 'test-repo',
@@ -546,39 +618,12 @@ describe('Dependabot Drupal Release Notes Action', () => {
         data: { body: 'Existing PR body' }
       });
 
-      global.fetch
-        // Project tags for core
-        .mockResolvedValueOnce({
-          ok: true,
-          json: async () => ({ tags: [] })
-        })
-        // Changelog for core
-        .mockResolvedValueOnce({
-          ok: true,
-          json: async () => ({
-            changes: [{
-              type: 'Bug',
-              changes: [{ nid: '1', link: 'https://www.drupal.org/i/1', type: 'Bug', summary: '#1: Core bug' }]
-            }],
-            changeRecords: []
-          })
-        })
-        // Project tags for token
-        .mockResolvedValueOnce({
-          ok: true,
-          json: async () => ({ tags: [] })
-        })
-        // Changelog for token
-        .mockResolvedValueOnce({
-          ok: true,
-          json: async () => ({
-            changes: [{
-              type: 'Task',
-              changes: [{ nid: '2', link: 'https://www.drupal.org/i/2', type: 'Task', summary: '#2: Token task' }]
-            }],
-            changeRecords: []
-          })
-        });
+      mockApiResponses({
+        'https://api.drupal-mrn.dev/project?project=drupal': { tags: [] },
+        'https://api.drupal-mrn.dev/changelog?project=drupal&from=10.0.0&to=10.1.0&format=json': coreBugChangelog,
+        'https://api.drupal-mrn.dev/project?project=token': { tags: [] },
+        'https://api.drupal-mrn.dev/changelog?project=token&from=1.0.0&to=1.1.0&format=json': tokenTaskChangelog
+      });
 
       await run();
 
@@ -597,74 +642,276 @@ describe('Dependabot Drupal Release Notes Action', () => {
       });
     });
 
-    it('should handle single version for multiple packages (fallback behavior)', async () => {
+    it('should read the versions of each package from updated-dependencies-json', async () => {
+      process.env.DEPENDENCY_NAMES = 'drupal/core,drupal/token';
+      process.env.PREVIOUS_VERSION = '10.0.0';
+      process.env.NEW_VERSION = '10.1.0';
+      process.env.UPDATED_DEPENDENCIES_JSON = JSON.stringify([
+        { dependencyName: 'drupal/core', dependencyType: 'indirect', updateType: 'version-update:semver-minor', directory: '/', prevVersion: '10.0.0', newVersion: '10.1.0' },
+        { dependencyName: 'drupal/token', dependencyType: 'direct:production', updateType: 'version-update:semver-minor', directory: '/web', prevVersion: '1.13.0', newVersion: '1.15.0' }
+      ]);
+
+      mockOctokit.rest.pulls.get.mockResolvedValue({
+        data: { body: 'Existing PR body' }
+      });
+
+      mockApiResponses({
+        'https://api.drupal-mrn.dev/project?project=drupal': { tags: [] },
+        'https://api.drupal-mrn.dev/changelog?project=drupal&from=10.0.0&to=10.1.0&format=json': coreBugChangelog,
+        'https://api.drupal-mrn.dev/project?project=token': { tags: [] },
+        'https://api.drupal-mrn.dev/changelog?project=token&from=1.13.0&to=1.15.0&format=json': tokenTaskChangelog
+      });
+
+      await run();
+
+      expect(core.setFailed).not.toHaveBeenCalled();
+      const body = mockOctokit.rest.pulls.update.mock.calls[0][0].body;
+      expect(body).toContain('### drupal/core\n\n_Minor update of an indirect dependency_');
+      expect(body).toContain('### drupal/token\n\n_Minor update of a direct production dependency in `/web`_');
+      expect(body).toContain('| [drupal/token](#drupaltoken) | 1.13.0 → 1.15.0 | minor | 1 Task | 0 |');
+    });
+
+    it('should fail on inconsistent updated-dependencies-json', async () => {
+      process.env.DEPENDENCY_NAMES = 'drupal/core,drupal/token';
+      process.env.UPDATED_DEPENDENCIES_JSON = JSON.stringify([
+        { dependencyName: 'drupal/core', prevVersion: '10.0.0', newVersion: '10.1.0' }
+      ]);
+
+      await run();
+
+      expect(core.setFailed).toHaveBeenCalledWith(expect.stringContaining('Inconsistent Dependabot metadata'));
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('should fail when the versions do not match the packages', async () => {
       process.env.DEPENDENCY_NAMES = 'drupal/core,drupal/token';
       process.env.PREVIOUS_VERSION = '10.0.0';
       process.env.NEW_VERSION = '10.1.0';
 
+      await run();
+
+      expect(core.setFailed).toHaveBeenCalledWith(expect.stringContaining('2 dependency names but 1 previous-version values'));
+      expect(global.fetch).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.pulls.update).not.toHaveBeenCalled();
+    });
+
+    it('should fetch packages concurrently and keep the original package order', async () => {
+      process.env.DEPENDENCY_NAMES = 'drupal/core,drupal/token';
+      process.env.PREVIOUS_VERSION = '10.0.0,1.0.0';
+      process.env.NEW_VERSION = '10.1.0,1.1.0';
+
+      mockOctokit.rest.pulls.get.mockResolvedValue({
+        data: { body: 'Existing PR body' }
+      });
+
+      // Core's changelog only resolves after token's has been requested
+      let releaseCoreChangelog;
+      const coreChangelogReleased = new Promise(resolve => {
+        releaseCoreChangelog = resolve;
+      });
+      global.fetch.mockImplementation(async url => {
+        if (url.includes('/changelog?project=drupal')) {
+          await coreChangelogReleased;
+          return { ok: true, status: 200, json: async () => coreBugChangelog };
+        }
+        if (url.includes('/changelog?project=token')) {
+          releaseCoreChangelog();
+          return { ok: true, status: 200, json: async () => tokenTaskChangelog };
+        }
+        return { ok: true, status: 200, json: async () => ({ tags: [] }) };
+      });
+
+      await run();
+
+      const body = mockOctokit.rest.pulls.update.mock.calls[0][0].body;
+      expect(body.indexOf('### drupal/core')).toBeLessThan(body.indexOf('### drupal/token'));
+      expect(body).toContain('[#1](https://www.drupal.org/i/1): Core bug');
+      expect(body).toContain('[#2](https://www.drupal.org/i/2): Token task');
+    });
+
+    it('should fetch packages one at a time with a concurrency of 1', async () => {
+      process.env.DEPENDENCY_NAMES = 'drupal/core,drupal/token';
+      process.env.PREVIOUS_VERSION = '10.0.0,1.0.0';
+      process.env.NEW_VERSION = '10.1.0,1.1.0';
+      process.env.CONCURRENCY = '1';
+
+      mockOctokit.rest.pulls.get.mockResolvedValue({
+        data: { body: 'Existing PR body' }
+      });
+      mockApiResponses({
+        'https://api.drupal-mrn.dev/project?project=drupal': { tags: [] },
+        'https://api.drupal-mrn.dev/changelog?project=drupal&from=10.0.0&to=10.1.0&format=json': coreBugChangelog,
+        'https://api.drupal-mrn.dev/project?project=token': { tags: [] },
+        'https://api.drupal-mrn.dev/changelog?project=token&from=1.0.0&to=1.1.0&format=json': tokenTaskChangelog
+      });
+
+      await run();
+
+      expect(global.fetch.mock.calls.map(call => call[0])).toEqual([
+        'https://api.drupal-mrn.dev/project?project=drupal',
+        'https://api.drupal-mrn.dev/changelog?project=drupal&from=10.0.0&to=10.1.0&format=json',
+        'https://api.drupal-mrn.dev/project?project=token',
+        'https://api.drupal-mrn.dev/changelog?project=token&from=1.0.0&to=1.1.0&format=json'
+      ]);
+    });
+
+    it('should isolate failures to the affected package', async () => {
+      process.env.DEPENDENCY_NAMES = 'drupal/core,drupal/token';
+      process.env.PREVIOUS_VERSION = '10.0.0,1.0.0';
+      process.env.NEW_VERSION = '10.1.0,1.1.0';
+
+      mockOctokit.rest.pulls.get.mockResolvedValue({
+        data: { body: 'Existing PR body' }
+      });
+      global.fetch.mockImplementation(async url => {
+        if (url.includes('/changelog?project=drupal')) {
+          throw new Error('Network error');
+        }
+        if (url.includes('/changelog?project=token')) {
+          return { ok: true, status: 200, json: async () => tokenTaskChangelog };
+        }
+        return { ok: true, status: 200, json: async () => ({ tags: [] }) };
+      });
+
+      await run();
+
+      const body = mockOctokit.rest.pulls.update.mock.calls[0][0].body;
+      expect(body).toContain('### drupal/core\n\n_Error fetching release notes: Network error_');
+      expect(body).toContain('[#2](https://www.drupal.org/i/2): Token task');
+    });
+
+    it('should mark a package with a malformed changelog as failed', async () => {
+      process.env.DEPENDENCY_NAMES = 'drupal/core,drupal/token';
+      process.env.PREVIOUS_VERSION = '10.0.0,1.0.0';
+      process.env.NEW_VERSION = '10.1.0,1.1.0';
+
+      mockOctokit.rest.pulls.get.mockResolvedValue({
+        data: { body: 'Existing PR body' }
+      });
+      mockApiResponses({
+        'https://api.drupal-mrn.dev/project?project=drupal': { tags: [] },
+        'https://api.drupal-mrn.dev/changelog?project=drupal&from=10.0.0&to=10.1.0&format=json': { changes: 'Bug fixes' },
+        'https://api.drupal-mrn.dev/project?project=token': { tags: [] },
+        'https://api.drupal-mrn.dev/changelog?project=token&from=1.0.0&to=1.1.0&format=json': tokenTaskChangelog
+      });
+
+      await run();
+
+      expect(core.setFailed).not.toHaveBeenCalled();
+      expect(core.error).toHaveBeenCalledWith('Invalid release notes for drupal: "changes" is not a list of change groups');
+      const body = mockOctokit.rest.pulls.update.mock.calls[0][0].body;
+      expect(body).toContain('### drupal/core\n\n_Error fetching release notes: Invalid changelog response: "changes" is not a list of change groups_');
+      expect(body).toContain('[#2](https://www.drupal.org/i/2): Token task');
+    });
+
+    it('should render core metapackages updated together as a single core section', async () => {
+      process.env.DEPENDENCY_NAMES = 'drupal/core-recommended,drupal/core,drupal/core-composer-scaffold,drupal/token';
+      process.env.PREVIOUS_VERSION = '10.0.0,10.0.0,10.0.0,1.0.0';
+      process.env.NEW_VERSION = '10.1.0,10.1.0,10.1.0,1.1.0';
+
       mockOctokit.rest.pulls.get.mockResolvedValue({
         data: { body: 'Existing PR body' }
       });
+      mockApiResponses({
+        'https://api.drupal-mrn.dev/project?project=drupal': { tags: [] },
+        'https://api.drupal-mrn.dev/changelog?project=drupal&from=10.0.0&to=10.1.0&format=json': coreBugChangelog,
+        'https://api.drupal-mrn.dev/project?project=token': { tags: [] },
+        'https://api.drupal-mrn.dev/changelog?project=token&from=1.0.0&to=1.1.0&format=json': tokenTaskChangelog
+      });
+
+      await run();
+
+      expect(global.fetch).toHaveBeenCalledTimes(4);
+      const body = mockOctokit.rest.pulls.update.mock.calls[0][0].body;
+      expect(body.match(/### drupal\/core/g)).toHaveLength(1);
+      expect(body).toContain('### drupal/core\n\n_Also updated: `drupal/core-recommended`, `drupal/core-composer-scaffold`_');
+      expect(body).toContain('[10.1.0](https://www.drupal.org/project/drupal/releases/10.1.0)');
+      expect(body).not.toContain('### drupal/core-recommended');
+    });
+  });
 
+  describe('Duplicate prevention', () => {
+    const mockChangelog = (summary) => {
       global.fetch
-        // Project tags for core
+        // Project tags
         .mockResolvedValueOnce({
           ok: true,
           json: async () => ({ tags: [] })
         })
-        // Changelog for core
+        // Changelog
         .mockResolvedValueOnce({
           ok: true,
           json: async () => ({
             changes: [{
               type: 'Bug',
-              changes: [{ nid: '1', link: 'https://www.drupal.org/i/1', type: 'Bug', summary: '#1: Core bug' }]
-            }],
-            changeRecords: []
-          })
-        })
-        // Project tags for token
-        .mockResolvedValueOnce({
-          ok: true,
-          json: async () => ({ tags: [] })
-        })
-        // Changelog for token
-        .mockResolvedValueOnce({
-          ok: true,
-          json: async () => ({
-            changes: [{
-              type: 'Task',
-              changes: [{ nid: '2', link: 'https://www.drupal.org/i/2', type: 'Task', summary: '#2: Token task' }]
+              changes: [{ nid: '1', link: 'https://www.drupal.org/i/1', type: 'Bug', summary }]
             }],
             changeRecords: []
           })
         });
+    };
+
+    it('should replace previously generated release notes in place', async () => {
+      process.env.DEPENDENCY_NAMES = 'drupal/core';
+      process.env.PREVIOUS_VERSION = '10.0.0';
+      process.env.NEW_VERSION = '10.1.1';
+
+      mockOctokit.rest.pulls.get.mockResolvedValue({
+        data: {
+          body: `Bumps drupal/core.\n\n${RELEASE_NOTES_START}\n\nStale notes for 10.1.0\n\n${RELEASE_NOTES_END}\n\nDependabot commands`
+        }
+      });
+      mockChangelog('#1: Fresh bug fix');
 
       await run();
 
-      // Both should use the same version (fallback to first)
-      expect(global.fetch).toHaveBeenCalledWith(
-        'https://api.drupal-mrn.dev/changelog?project=core&from=10.0.0&to=10.1.0&format=json'
-      );
-      expect(global.fetch).toHaveBeenCalledWith(
-        'https://api.drupal-mrn.dev/changelog?project=token&from=10.0.0&to=10.1.0&format=json'
-      );
+      const body = mockOctokit.rest.pulls.update.mock.calls[0][0].body;
+      expect(body).toMatch(/^Bumps drupal\/core\.\n\n/);
+      expect(body).toMatch(/\n\nDependabot commands$/);
+      expect(body).toContain('[10.1.1](https://www.drupal.org/project/drupal/releases/10.1.1)');
+      expect(body).toContain('Fresh bug fix');
+      expect(body).not.toContain('Stale notes');
+      expect(body.split(RELEASE_NOTES_START)).toHaveLength(2);
     });
-  });
 
-  describe('Duplicate prevention', () => {
-    it('should not update PR if release notes already exist', async () => {
+    it('should replace legacy release notes without markers', async () => {
+      process.env.DEPENDENCY_NAMES = 'drupal/core';
+      process.env.PREVIOUS_VERSION = '10.0.0';
+      process.env.NEW_VERSION = '10.1.0';
+
+      mockOctokit.rest.pulls.get.mockResolvedValue({
+        data: { body: 'Existing PR body\n\n---\n\n## Drupal Release Notes\n\nAlready here' }
+      });
+      mockChangelog('#1: Bug fix');
+
+      await run();
+
+      const body = mockOctokit.rest.pulls.update.mock.calls[0][0].body;
+      expect(body).toMatch(new RegExp(`^Existing PR body\\n\\n${RELEASE_NOTES_START}`));
+      expect(body).not.toContain('Already here');
+      expect(body.split('## Drupal Release Notes')).toHaveLength(2);
+    });
+
+    it('should not update PR if regenerated release notes are identical', async () => {
       process.env.DEPENDENCY_NAMES = 'drupal/core';
       process.env.PREVIOUS_VERSION = '10.0.0';
       process.env.NEW_VERSION = '10.1.0';
 
       mockOctokit.rest.pulls.get.mockResolvedValue({
-        data: { body: 'Existing PR body\n\n## Drupal Release Notes\n\nAlready here' }
+        data: { body: 'Existing PR body' }
       });
+      mockChangelog('#1: Bug fix');
+      await run();
 
+      const generatedBody = mockOctokit.rest.pulls.update.mock.calls[0][0].body;
+      mockOctokit.rest.pulls.update.mockClear();
+      mockOctokit.rest.pulls.get.mockResolvedValue({
+        data: { body: generatedBody }
+      });
+      mockChangelog('#1: Bug fix');
       await run();
 
-      expect(core.info).toHaveBeenCalledWith('Release notes already present in PR description');
+      expect(core.info).toHaveBeenCalledWith('Release notes in PR description are already up to date');
       expect(mockOctokit.rest.pulls.update).not.toHaveBeenCalled();
     });
 
@@ -758,33 +1005,1284 @@ describe('Dependabot Drupal Release Notes Action', () => {
     });
   });
 
-  describe('Version mapping', () => {
-    describe('mapVersionToTag', () => {
-      it('should return version as-is if it exists in tags', () => {
-        const tags = ['1.38.0', '1.40.0', '8.x-1.38', '8.x-1.40'];
-        expect(mapVersionToTag('1.38.0', tags)).toBe('1.38.0');
-        expect(mapVersionToTag('1.40.0', tags)).toBe('1.40.0');
-      });
+  describe('Comment output mode', () => {
+    beforeEach(() => {
+      process.env.DEPENDENCY_NAMES = 'drupal/core';
+      process.env.PREVIOUS_VERSION = '10.0.0';
+      process.env.NEW_VERSION = '10.1.0';
+      process.env.OUTPUT_MODE = 'comment';
 
-      it('should map Semver to legacy Drupal 8.x format', () => {
-        const tags = ['8.x-1.38', '8.x-1.40', '8.x-1.39'];
-        expect(mapVersionToTag('1.38.0', tags)).toBe('8.x-1.38');
-        expect(mapVersionToTag('1.40.0', tags)).toBe('8.x-1.40');
-        expect(mapVersionToTag('1.39.0', tags)).toBe('8.x-1.39');
-      });
+      global.fetch
+        // Project tags
+        .mockResolvedValueOnce({
+          ok: true,
+          json: async () => ({ tags: [] })
+        })
+        // Changelog
+        .mockResolvedValueOnce({
+          ok: true,
+          json: async () => ({
+            changes: [{
+              type: 'Bug',
+              changes: [{ nid: '1', link: 'https://www.drupal.org/i/1', type: 'Bug', summary: '#1: Bug fix' }]
+            }],
+            changeRecords: []
+          })
+        });
+    });
 
-      it('should return original version if no match found', () => {
-        const tags = ['8.x-1.37', '8.x-1.39'];
-        expect(mapVersionToTag('1.38.0', tags)).toBe('1.38.0');
-        expect(mapVersionToTag('2.0.0', tags)).toBe('2.0.0');
-      });
+    it('should create a comment when none exists', async () => {
+      mockOctokit.paginate.mockResolvedValue([
+        { id: 1, body: 'Looks good to me' }
+      ]);
 
-      it('should handle non-Semver versions', () => {
-        const tags = ['8.x-1.38', '1.38.0'];
-        expect(mapVersionToTag('8.x-1.38', tags)).toBe('8.x-1.38');
-        expect(mapVersionToTag('v1.38.0', tags)).toBe('v1.38.0');
-      });
-    });
+      await run();
+
+      expect(mockOctokit.paginate).toHaveBeenCalledWith(mockOctokit.rest.issues.listComments, {
+        owner: 'test-owner',
+        repo: 'test-repo',
+        issue_number: 123,
+        per_page: 100
+      });
+      expect(mockOctokit.rest.issues.createComment).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        issue_number: 123,
+        body: expect.stringMatching(new RegExp(`^${RELEASE_NOTES_COMMENT_MARKER}\\n\\n## Drupal Release Notes`))
+      });
+      expect(mockOctokit.rest.issues.updateComment).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.pulls.get).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.pulls.update).not.toHaveBeenCalled();
+      expect(core.info).toHaveBeenCalledWith('Successfully created PR comment with Drupal release notes');
+    });
+
+    it('should update the existing marked comment', async () => {
+      mockOctokit.paginate.mockResolvedValue([
+        { id: 1, body: 'Looks good to me' },
+        { id: 2, body: `${RELEASE_NOTES_COMMENT_MARKER}\n\nStale notes`, user: { login: 'github-actions[bot]', type: 'Bot' } }
+      ]);
+
+      await run();
+
+      expect(mockOctokit.rest.issues.createComment).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.issues.updateComment).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        comment_id: 2,
+        body: expect.stringContaining('[#1](https://www.drupal.org/i/1): Bug fix')
+      });
+      expect(core.info).toHaveBeenCalledWith('Successfully updated PR comment with Drupal release notes');
+    });
+
+    it('should not edit a comment that quotes the marker', async () => {
+      mockOctokit.paginate.mockResolvedValue([
+        { id: 3, body: `> ${RELEASE_NOTES_COMMENT_MARKER}\n> Stale notes\n\nWhy is this here?`, user: { login: 'octocat', type: 'User' } }
+      ]);
+
+      await run();
+
+      expect(mockOctokit.rest.issues.updateComment).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.issues.createComment).toHaveBeenCalled();
+    });
+
+    it('should only edit comments of the authenticated user', async () => {
+      mockOctokit.rest.users.getAuthenticated.mockResolvedValue({ data: { login: 'release-bot' } });
+      mockOctokit.paginate.mockResolvedValue([
+        { id: 3, body: `${RELEASE_NOTES_COMMENT_MARKER}\n\nOther notes`, user: { login: 'github-actions[bot]', type: 'Bot' } },
+        { id: 4, body: `${RELEASE_NOTES_COMMENT_MARKER}\n\nStale notes`, user: { login: 'release-bot', type: 'User' } }
+      ]);
+
+      await run();
+
+      expect(mockOctokit.rest.issues.updateComment).toHaveBeenCalledWith(expect.objectContaining({ comment_id: 4 }));
+    });
+
+    it('should not update the comment if the release notes are unchanged', async () => {
+      mockOctokit.paginate.mockResolvedValue([]);
+      await run();
+      const body = mockOctokit.rest.issues.createComment.mock.calls[0][0].body;
+
+      global.fetch
+        .mockResolvedValueOnce({ ok: true, json: async () => ({ tags: [] }) })
+        .mockResolvedValueOnce({
+          ok: true,
+          json: async () => ({
+            changes: [{
+              type: 'Bug',
+              changes: [{ nid: '1', link: 'https://www.drupal.org/i/1', type: 'Bug', summary: '#1: Bug fix' }]
+            }],
+            changeRecords: []
+          })
+        });
+      mockOctokit.rest.issues.createComment.mockClear();
+      mockOctokit.paginate.mockResolvedValue([{ id: 5, body, user: { login: 'github-actions[bot]', type: 'Bot' } }]);
+      await run();
+
+      expect(mockOctokit.rest.issues.createComment).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.issues.updateComment).not.toHaveBeenCalled();
+      expect(core.info).toHaveBeenCalledWith('Release notes comment is already up to date');
+    });
+  });
+
+  describe('upsertReleaseNotes', () => {
+    it('should append a marked block to a body without notes', () => {
+      const body = upsertReleaseNotes('Dependabot body', '## Drupal Release Notes\n\nNotes\n\n');
+
+      expect(body).toBe(`Dependabot body\n\n${RELEASE_NOTES_START}\n\n---\n\n## Drupal Release Notes\n\nNotes\n\n${RELEASE_NOTES_END}`);
+    });
+
+    it('should handle an empty body', () => {
+      const body = upsertReleaseNotes(null, 'Notes');
+
+      expect(body).toBe(`\n\n${RELEASE_NOTES_START}\n\n---\n\nNotes\n\n${RELEASE_NOTES_END}`);
+    });
+
+    it('should only replace the content between the markers', () => {
+      const body = upsertReleaseNotes(`Before\n${RELEASE_NOTES_START}\nOld\n${RELEASE_NOTES_END}\nAfter`, 'New');
+
+      expect(body).toBe(`Before\n${RELEASE_NOTES_START}\n\n---\n\nNew\n\n${RELEASE_NOTES_END}\nAfter`);
+    });
+
+    it('should be idempotent', () => {
+      const once = upsertReleaseNotes('Body', 'Notes');
+
+      expect(upsertReleaseNotes(once, 'Notes')).toBe(once);
+    });
+  });
+
+  describe('composer.lock package source', () => {
+    const lockFile = packages => JSON.stringify({
+      packages: Object.entries(packages).map(([name, version]) => ({ name, version }))
+    });
+
+    beforeEach(() => {
+      process.env.PACKAGE_SOURCE = 'composer-lock';
+      mockContext.payload.pull_request = {
+        number: 123,
+        base: { sha: 'base-sha' },
+        head: { sha: 'head-sha' }
+      };
+      mockOctokit.rest.pulls.get.mockResolvedValue({
+        data: { body: 'Manual composer update' }
+      });
+      mockOctokit.rest.repos.compareCommits.mockResolvedValue({
+        data: { merge_base_commit: { sha: 'merge-base-sha' } }
+      });
+    });
+
+    it('should render release notes for drupal/ packages changed in composer.lock', async () => {
+      mockOctokit.rest.repos.getContent.mockImplementation(async ({ ref }) => ({
+        data: ref === 'merge-base-sha'
+          ? lockFile({ 'drupal/token': '1.0.0', 'symfony/console': '6.4.0', 'drupal/pathauto': '1.12.0' })
+          : lockFile({ 'drupal/token': '1.1.0', 'symfony/console': '6.4.1', 'drupal/pathauto': '1.12.0' })
+      }));
+      mockApiResponses({
+        'https://api.drupal-mrn.dev/project?project=token': { tags: [] },
+        'https://api.drupal-mrn.dev/changelog?project=token&from=1.0.0&to=1.1.0&format=json': tokenTaskChangelog
+      });
+
+      await run();
+
+      expect(mockOctokit.rest.repos.getContent).toHaveBeenCalledWith(expect.objectContaining({
+        path: 'composer.lock',
+        ref: 'head-sha'
+      }));
+      expect(core.info).toHaveBeenCalledWith('Found 2 changed package(s) in composer.lock');
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      const body = mockOctokit.rest.pulls.update.mock.calls[0][0].body;
+      expect(body).toContain('### drupal/token');
+      expect(body).toContain('**1.0.0 → [1.1.0](https://www.drupal.org/project/token/releases/1.1.0)**');
+      expect(body).not.toContain('drupal/pathauto');
+    });
+
+    it('should read the lock file from a configured path', async () => {
+      process.env.COMPOSER_LOCK_PATH = 'sites/example/composer.lock';
+      mockOctokit.rest.repos.getContent.mockResolvedValue({ data: lockFile({}) });
+
+      await run();
+
+      expect(mockOctokit.rest.repos.getContent).toHaveBeenCalledWith(expect.objectContaining({
+        path: 'sites/example/composer.lock',
+        ref: 'merge-base-sha'
+      }));
+      expect(core.info).toHaveBeenCalledWith('No drupal/ packages found in this PR');
+    });
+
+    it('should compare with the merge base of a PR behind its base branch', async () => {
+      // drupal/token was updated on the base branch after the PR branched off
+      const locks = {
+        'base-sha': lockFile({ 'drupal/token': '1.15.0', 'drupal/pathauto': '1.12.0' }),
+        'merge-base-sha': lockFile({ 'drupal/token': '1.13.0', 'drupal/pathauto': '1.12.0' }),
+        'head-sha': lockFile({ 'drupal/token': '1.13.0', 'drupal/pathauto': '1.13.0' })
+      };
+      mockOctokit.rest.repos.getContent.mockImplementation(async ({ ref }) => ({ data: locks[ref] }));
+      mockApiResponses({
+        'https://api.drupal-mrn.dev/project?project=pathauto': { tags: [] },
+        'https://api.drupal-mrn.dev/changelog?project=pathauto&from=1.12.0&to=1.13.0&format=json': tokenTaskChangelog
+      });
+
+      await run();
+
+      expect(mockOctokit.rest.repos.compareCommits).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        base: 'base-sha',
+        head: 'head-sha'
+      });
+      expect(core.info).toHaveBeenCalledWith('Found 1 changed package(s) in composer.lock');
+      const body = mockOctokit.rest.pulls.update.mock.calls[0][0].body;
+      expect(body).toContain('### drupal/pathauto');
+      expect(body).not.toContain('drupal/token');
+    });
+
+    it('should skip downgrades when the merge base cannot be found', async () => {
+      mockOctokit.rest.repos.compareCommits.mockRejectedValue(new Error('Not Found'));
+      mockOctokit.rest.repos.getContent.mockImplementation(async ({ ref }) => ({
+        data: ref === 'base-sha'
+          ? lockFile({ 'drupal/token': '1.15.0' })
+          : lockFile({ 'drupal/token': '1.13.0' })
+      }));
+
+      await run();
+
+      expect(core.warning).toHaveBeenCalledWith('Could not find the merge base of the pull request, comparing with base-sha: Not Found');
+      expect(core.info).toHaveBeenCalledWith('Skipping drupal/token: downgraded from 1.15.0 to 1.13.0');
+      expect(global.fetch).not.toHaveBeenCalled();
+      expect(core.info).toHaveBeenCalledWith('No drupal/ packages found in this PR');
+    });
+
+    it('should fail when the head composer.lock is missing', async () => {
+      mockOctokit.rest.repos.getContent.mockRejectedValue(Object.assign(new Error('Not Found'), { status: 404 }));
+
+      await run();
+
+      expect(core.setFailed).toHaveBeenCalledWith('Could not find composer.lock in the pull request');
+    });
+
+    it('should fail on an invalid package source', async () => {
+      process.env.PACKAGE_SOURCE = 'greenkeeper';
+
+      await run();
+
+      expect(core.setFailed).toHaveBeenCalledWith('Invalid package source "greenkeeper". Expected one of: dependabot, composer-lock, renovate');
+    });
+  });
+
+  describe('Renovate package source', () => {
+    const renovateBody = [
+      'This PR contains the following updates:',
+      '',
+      '| Package | Type | Update | Change |',
+      '|---|---|---|---|',
+      '| [drupal/token](https://www.drupal.org/project/token) | require | minor | `1.0.0` -> `1.1.0` |',
+      '| [symfony/console](https://symfony.com) ([source](https://github.com/symfony/console)) | require | patch | `6.4.0` -> `6.4.1` |',
+      '',
+      '---',
+      '',
+      '### Release Notes',
+      '',
+      '<details>',
+      '<summary>symfony/console (symfony/console)</summary>',
+      '</details>',
+      '',
+      '---',
+      '',
+      'This PR was generated by Mend Renovate.'
+    ].join('\n');
+
+    beforeEach(() => {
+      process.env.PACKAGE_SOURCE = 'renovate';
+      mockApiResponses({
+        'https://api.drupal-mrn.dev/project?project=token': { tags: [] },
+        'https://api.drupal-mrn.dev/changelog?project=token&from=1.0.0&to=1.1.0&format=json': tokenTaskChangelog
+      });
+    });
+
+    it('should append notes for drupal/ packages and keep Renovate\'s release notes intact', async () => {
+      mockOctokit.rest.pulls.get.mockResolvedValue({
+        data: { body: renovateBody, user: { login: 'renovate[bot]' }, head: { ref: 'renovate/drupal-token-1.x' } }
+      });
+
+      await run();
+
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      const body = mockOctokit.rest.pulls.update.mock.calls[0][0].body;
+      expect(body.startsWith(renovateBody)).toBe(true);
+      expect(body).toContain('### drupal/token');
+      expect(body).toContain('**1.0.0 → [1.1.0](https://www.drupal.org/project/token/releases/1.1.0)**');
+    });
+
+    it('should parse the Renovate table again when the notes are already present', async () => {
+      const existingBody = upsertReleaseNotes(renovateBody, '## Drupal Release Notes\n\n| Package | Change |\n|---|---|\n| drupal/ctools | `1.0.0` -> `2.0.0` |');
+      mockOctokit.rest.pulls.get.mockResolvedValue({
+        data: { body: existingBody, user: { login: 'renovate[bot]' }, head: { ref: 'renovate/drupal-token-1.x' } }
+      });
+
+      await run();
+
+      expect(global.fetch).not.toHaveBeenCalledWith(expect.stringContaining('project=ctools'), expect.anything());
+      expect(mockOctokit.rest.pulls.update.mock.calls[0][0].body).toContain('### drupal/token');
+    });
+
+    it('should resolve range updates from composer.lock', async () => {
+      const rangeBody = [
+        '| Package | Type | Update | Change |',
+        '|---|---|---|---|',
+        '| [drupal/token](https://www.drupal.org/project/token) | require | minor | `^1.0` -> `^1.1` |',
+        '| [drupal/pathauto](https://www.drupal.org/project/pathauto) | require | minor | `^1.12` -> `^1.13` |'
+      ].join('\n');
+      const lockFile = packages => JSON.stringify({
+        packages: Object.entries(packages).map(([name, version]) => ({ name, version }))
+      });
+      mockContext.payload.pull_request = { number: 123, base: { sha: 'base-sha' }, head: { sha: 'head-sha' } };
+      mockOctokit.rest.repos.compareCommits.mockResolvedValue({ data: { merge_base_commit: { sha: 'base-sha' } } });
+      mockOctokit.rest.repos.getContent.mockImplementation(async ({ ref }) => ({
+        data: ref === 'base-sha'
+          ? lockFile({ 'drupal/token': '1.0.0', 'drupal/pathauto': '1.13.0' })
+          : lockFile({ 'drupal/token': '1.1.0', 'drupal/pathauto': '1.13.0' })
+      }));
+      mockOctokit.rest.pulls.get.mockResolvedValue({
+        data: { body: rangeBody, user: { login: 'renovate[bot]' }, head: { ref: 'renovate/drupal' } }
+      });
+
+      await run();
+
+      expect(core.info).toHaveBeenCalledWith('Skipping drupal/pathauto: its constraint changed from ^1.12 to ^1.13 but its locked version did not');
+      const body = mockOctokit.rest.pulls.update.mock.calls[0][0].body;
+      expect(body).toContain('**1.0.0 → [1.1.0](https://www.drupal.org/project/token/releases/1.1.0)**');
+      expect(body).not.toContain('### drupal/pathauto');
+    });
+
+    it('should skip pull requests not opened by Renovate', async () => {
+      mockOctokit.rest.pulls.get.mockResolvedValue({
+        data: { body: renovateBody, user: { login: 'octocat' }, head: { ref: 'feature/update-token' } }
+      });
+
+      await run();
+
+      expect(core.info).toHaveBeenCalledWith('This pull request was not opened by Renovate');
+      expect(global.fetch).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.pulls.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Security releases', () => {
+    const releaseHistory = releases => `<project><releases>${releases.map(([version, types]) => `
+<release><version>${version}</version><terms>${types.map(type => (type.startsWith('SA-')
+    ? `<term><name>Security advisory</name><value>${type}</value></term>`
+    : `<term><name>Release type</name><value>${type}</value></term>`)).join('')}</terms></release>`).join('')}
+</releases></project>`;
+
+    beforeEach(() => {
+      process.env.SECURITY_CHECK = 'true';
+      process.env.DEPENDENCY_NAMES = 'drupal/token';
+      process.env.PREVIOUS_VERSION = '1.13.0';
+      process.env.NEW_VERSION = '1.15.0';
+
+      mockOctokit.rest.pulls.get.mockResolvedValue({
+        data: { body: 'Existing PR body' }
+      });
+    });
+
+    it('should flag security releases and an insecure installed version', async () => {
+      mockApiResponses({
+        'https://api.drupal-mrn.dev/project?project=token': {
+          tags: [{ name: '8.x-1.13' }, { name: '8.x-1.14' }, { name: '8.x-1.15' }]
+        },
+        'https://api.drupal-mrn.dev/changelog?project=token&from=8.x-1.13&to=8.x-1.15&format=json': tokenTaskChangelog,
+        'https://updates.drupal.org/release-history/token/current': releaseHistory([
+          ['8.x-1.15', ['Bug fixes']],
+          ['8.x-1.14', ['Security update', 'SA-CONTRIB-2024-001']],
+          ['8.x-1.13', ['Insecure', 'New features']]
+        ])
+      });
+
+      await run();
+
+      const body = mockOctokit.rest.pulls.update.mock.calls[0][0].body;
+      expect(body).toContain('> [!CAUTION]\n> **This update includes a security release:** ' +
+        '[8.x-1.14](https://www.drupal.org/project/token/releases/8.x-1.14) ([SA-CONTRIB-2024-001](https://www.drupal.org/sa-contrib-2024-001)).');
+      expect(body).toContain('> [!WARNING]\n> The installed version 1.13.0 is marked insecure on drupal.org.');
+      expect(body.indexOf('[!CAUTION]')).toBeLessThan(body.indexOf('**1.13.0 →'));
+    });
+
+    it('should not add banners for routine updates', async () => {
+      mockApiResponses({
+        'https://api.drupal-mrn.dev/project?project=token': { tags: [] },
+        'https://api.drupal-mrn.dev/changelog?project=token&from=1.13.0&to=1.15.0&format=json': tokenTaskChangelog,
+        'https://updates.drupal.org/release-history/token/current': releaseHistory([
+          ['8.x-1.15', ['Bug fixes']],
+          ['8.x-1.14', ['New features']]
+        ])
+      });
+
+      await run();
+
+      const body = mockOctokit.rest.pulls.update.mock.calls[0][0].body;
+      expect(body).not.toContain('[!CAUTION]');
+      expect(body).not.toContain('[!WARNING]');
+    });
+
+    it('should still render release notes when the release history is unavailable', async () => {
+      mockApiResponses({
+        'https://api.drupal-mrn.dev/project?project=token': { tags: [] },
+        'https://api.drupal-mrn.dev/changelog?project=token&from=1.13.0&to=1.15.0&format=json': tokenTaskChangelog
+      });
+
+      await run();
+
+      expect(core.warning).toHaveBeenCalledWith(expect.stringContaining('Error fetching release history for token'));
+      expect(mockOctokit.rest.pulls.update.mock.calls[0][0].body).toContain('[#2](https://www.drupal.org/i/2): Token task');
+    });
+  });
+
+  describe('Outputs and job summary', () => {
+    beforeEach(() => {
+      process.env.DEPENDENCY_NAMES = 'drupal/token,drupal/pathauto';
+      process.env.PREVIOUS_VERSION = '1.13.0,1.0.0';
+      process.env.NEW_VERSION = '1.15.0,1.1.0';
+
+      mockOctokit.rest.pulls.get.mockResolvedValue({
+        data: { body: 'Existing PR body' }
+      });
+      mockApiResponses({
+        'https://api.drupal-mrn.dev/project?project=token': { tags: [] },
+        'https://api.drupal-mrn.dev/changelog?project=token&from=1.13.0&to=1.15.0&format=json': {
+          ...tokenTaskChangelog,
+          changeRecords: [{ title: 'New API', url: 'https://www.drupal.org/node/1' }]
+        },
+        'https://api.drupal-mrn.dev/project?project=pathauto': { tags: [] }
+      });
+    });
+
+    it('should expose the notes as outputs and in the job summary', async () => {
+      await run();
+
+      const markdown = core.setOutput.mock.calls.find(([name]) => name === 'markdown')[1];
+      expect(mockOctokit.rest.pulls.update.mock.calls[0][0].body).toContain(markdown.trim());
+      expect(core.summary.addRaw).toHaveBeenCalledWith(markdown, true);
+      expect(core.summary.write).toHaveBeenCalled();
+
+      const model = JSON.parse(core.setOutput.mock.calls.find(([name]) => name === 'json')[1]);
+      expect(model.packages.map(pkg => [pkg.name, pkg.status])).toEqual([['drupal/token', 'ok'], ['drupal/pathauto', 'error']]);
+      expect(model.packages[0].changes[0].changes[0].summary).toBe('#2: Token task');
+      expect(core.setOutput).toHaveBeenCalledWith('has-security', false);
+      expect(core.setOutput).toHaveBeenCalledWith('has-change-records', true);
+      expect(core.setOutput).toHaveBeenCalledWith('packages-failed', 1);
+    });
+
+    it('should set outputs when the notes are already up to date', async () => {
+      await run();
+      const body = mockOctokit.rest.pulls.update.mock.calls[0][0].body;
+      jest.clearAllMocks();
+      mockOctokit.rest.pulls.get.mockResolvedValue({ data: { body } });
+
+      await run();
+
+      expect(mockOctokit.rest.pulls.update).not.toHaveBeenCalled();
+      expect(core.setOutput).toHaveBeenCalledWith('markdown', expect.stringContaining('### drupal/token'));
+    });
+
+    it('should set empty outputs without Drupal packages', async () => {
+      process.env.DEPENDENCY_NAMES = 'symfony/console';
+      process.env.PREVIOUS_VERSION = '7.0.0';
+      process.env.NEW_VERSION = '7.1.0';
+
+      await run();
+
+      expect(core.setOutput).toHaveBeenCalledWith('markdown', '');
+      expect(core.setOutput).toHaveBeenCalledWith('json', JSON.stringify({ packages: [], otherPackages: [], hasSecurity: false, hasChangeRecords: false, packagesFailed: 0 }));
+      expect(core.setOutput).toHaveBeenCalledWith('packages-failed', 0);
+      expect(core.summary.write).not.toHaveBeenCalled();
+    });
+
+    it('should add release notes of other Composer packages when enabled', async () => {
+      process.env.DEPENDENCY_NAMES = 'drupal/token,symfony/console';
+      process.env.PREVIOUS_VERSION = '1.13.0,7.0.0';
+      process.env.NEW_VERSION = '1.15.0,7.1.0';
+      process.env.COMPOSER_PACKAGES = 'true';
+      mockApiResponses({
+        'https://api.drupal-mrn.dev/project?project=token': { tags: [] },
+        'https://api.drupal-mrn.dev/changelog?project=token&from=1.13.0&to=1.15.0&format=json': tokenTaskChangelog,
+        'https://repo.packagist.org/p2/symfony/console.json': {
+          packages: { 'symfony/console': [{ name: 'symfony/console', version: 'v7.1.0', source: { url: 'https://github.com/symfony/console.git' } }, { version: 'v7.0.0' }] }
+        },
+        'https://api.github.com/repos/symfony/console/releases?per_page=100': [
+          { tag_name: 'v7.1.0', name: 'v7.1.0', html_url: 'https://github.com/symfony/console/releases/tag/v7.1.0', body: '* Add a feature' }
+        ]
+      });
+
+      await run();
+
+      expect(core.setFailed).not.toHaveBeenCalled();
+      const markdown = core.setOutput.mock.calls.find(([name]) => name === 'markdown')[1];
+      expect(markdown).toContain('### drupal/token');
+      expect(markdown).toContain('### Other packages\n\n#### symfony/console');
+      expect(markdown).toContain('##### [v7.1.0](https://github.com/symfony/console/releases/tag/v7.1.0)\n\n* Add a feature');
+      expect(global.fetch).toHaveBeenCalledWith(
+        'https://api.github.com/repos/symfony/console/releases?per_page=100',
+        expect.objectContaining({ headers: expect.objectContaining({ Authorization: 'Bearer test-token' }) })
+      );
+      expect(JSON.parse(core.setOutput.mock.calls.find(([name]) => name === 'json')[1]).otherPackages[0]).toMatchObject({
+        provider: 'composer',
+        name: 'symfony/console',
+        status: 'ok'
+      });
+    });
+
+    it('should not fail when the job summary cannot be written', async () => {
+      core.summary.write.mockRejectedValueOnce(new Error('Unable to find environment variable for $GITHUB_STEP_SUMMARY'));
+
+      await run();
+
+      expect(core.warning).toHaveBeenCalledWith('Could not write the job summary: Unable to find environment variable for $GITHUB_STEP_SUMMARY');
+      expect(core.setFailed).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Requirement changes', () => {
+    const tokenMetadata = {
+      minified: 'composer/2.0',
+      packages: {
+        'drupal/token': [
+          { name: 'drupal/token', version: '1.15.0', require: { 'drupal/core': '^10.3 || ^11', php: '>=8.1' } },
+          { version: '1.14.0' },
+          { version: '1.13.0', require: { 'drupal/core': '^9.5 || ^10', php: '>=8.1' } }
+        ]
+      }
+    };
+
+    beforeEach(() => {
+      process.env.REQUIREMENTS_CHECK = 'true';
+      process.env.DEPENDENCY_NAMES = 'drupal/token';
+      process.env.PREVIOUS_VERSION = '1.13.0';
+      process.env.NEW_VERSION = '1.15.0';
+      mockContext.payload.pull_request.head = { sha: 'head-sha' };
+
+      mockOctokit.rest.pulls.get.mockResolvedValue({
+        data: { body: 'Existing PR body' }
+      });
+      mockApiResponses({
+        'https://api.drupal-mrn.dev/project?project=token': { tags: [] },
+        'https://api.drupal-mrn.dev/changelog?project=token&from=1.13.0&to=1.15.0&format=json': tokenTaskChangelog,
+        'https://packages.drupal.org/files/packages/8/p2/drupal/token.json': tokenMetadata
+      });
+    });
+
+    it('should warn when the new core constraint excludes the locked drupal/core', async () => {
+      mockOctokit.rest.repos.getContent.mockResolvedValue({
+        data: JSON.stringify({ packages: [{ name: 'drupal/core', version: '10.2.5' }] })
+      });
+
+      await run();
+
+      expect(mockOctokit.rest.repos.getContent).toHaveBeenCalledWith(expect.objectContaining({
+        path: 'composer.lock',
+        ref: 'head-sha'
+      }));
+      expect(core.warning).toHaveBeenCalledWith('drupal/token 1.15.0 requires drupal/core ^10.3 || ^11, which excludes the locked drupal/core 10.2.5');
+      const body = mockOctokit.rest.pulls.update.mock.calls[0][0].body;
+      expect(body).toContain('> [!WARNING]\n> 1.15.0 requires drupal/core `^10.3 || ^11`, which excludes the locked drupal/core 10.2.5.');
+      expect(body).toContain('**Requirements changed**\n\n* Drupal core: `^9.5 || ^10` → `^10.3 || ^11`\n\n');
+    });
+
+    it('should not warn when the locked drupal/core still fits', async () => {
+      mockOctokit.rest.repos.getContent.mockResolvedValue({
+        data: JSON.stringify({ packages: [{ name: 'drupal/core', version: '10.3.6' }] })
+      });
+
+      await run();
+
+      const body = mockOctokit.rest.pulls.update.mock.calls[0][0].body;
+      expect(body).toContain('**Requirements changed**');
+      expect(body).not.toContain('[!WARNING]');
+    });
+
+    it('should show requirement changes without a composer.lock', async () => {
+      mockOctokit.rest.repos.getContent.mockRejectedValue(Object.assign(new Error('Not Found'), { status: 404 }));
+
+      await run();
+
+      const body = mockOctokit.rest.pulls.update.mock.calls[0][0].body;
+      expect(body).toContain('* Drupal core: `^9.5 || ^10` → `^10.3 || ^11`');
+      expect(body).not.toContain('[!WARNING]');
+    });
+  });
+
+  describe('PR labels', () => {
+    beforeEach(() => {
+      process.env.DEPENDENCY_NAMES = 'drupal/token';
+      process.env.PREVIOUS_VERSION = '1.13.0';
+      process.env.NEW_VERSION = '1.15.0';
+
+      mockOctokit.rest.pulls.get.mockResolvedValue({
+        data: { body: 'Existing PR body' }
+      });
+      mockApiResponses({
+        'https://api.drupal-mrn.dev/project?project=token': { tags: [] },
+        'https://api.drupal-mrn.dev/changelog?project=token&from=1.13.0&to=1.15.0&format=json': coreBugChangelog
+      });
+    });
+
+    it('should not touch labels unless enabled', async () => {
+      await run();
+
+      expect(mockOctokit.paginate).not.toHaveBeenCalledWith(mockOctokit.rest.issues.listLabelsOnIssue, expect.anything());
+      expect(mockOctokit.rest.issues.addLabels).not.toHaveBeenCalled();
+    });
+
+    it('should apply labels derived from the release notes', async () => {
+      process.env.LABELS = 'true';
+      process.env.LABEL_BUGFIX_ONLY = 'bugfix';
+      mockOctokit.paginate.mockResolvedValue([{ name: 'drupal:features' }]);
+
+      await run();
+
+      expect(mockOctokit.rest.issues.addLabels).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        issue_number: 123,
+        labels: ['bugfix']
+      });
+      expect(mockOctokit.rest.issues.removeLabel).toHaveBeenCalledWith(expect.objectContaining({ name: 'drupal:features' }));
+      expect(core.info).toHaveBeenCalledWith('Updated PR labels (added: bugfix, removed: drupal:features)');
+      expect(mockOctokit.rest.pulls.update).toHaveBeenCalled();
+    });
+
+    it('should still update the PR when labels cannot be changed', async () => {
+      process.env.LABELS = 'true';
+      mockOctokit.paginate.mockRejectedValue(new Error('Resource not accessible by integration'));
+
+      await run();
+
+      expect(core.warning).toHaveBeenCalledWith('Could not update PR labels: Resource not accessible by integration');
+      expect(mockOctokit.rest.pulls.update).toHaveBeenCalled();
+      expect(core.setFailed).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Templates', () => {
+    let templateDir;
+
+    beforeEach(() => {
+      templateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'drupal-mrn-template-'));
+      process.env.DEPENDENCY_NAMES = 'drupal/token';
+      process.env.PREVIOUS_VERSION = '1.13.0';
+      process.env.NEW_VERSION = '1.15.0';
+
+      mockOctokit.rest.pulls.get.mockResolvedValue({
+        data: { body: 'Existing PR body' }
+      });
+      mockApiResponses({
+        'https://api.drupal-mrn.dev/project?project=token': { tags: [] },
+        'https://api.drupal-mrn.dev/changelog?project=token&from=1.13.0&to=1.15.0&format=json': coreBugChangelog
+      });
+    });
+
+    afterEach(() => {
+      fs.rmSync(templateDir, { recursive: true, force: true });
+    });
+
+    it('should render the release notes with the configured template', async () => {
+      const templateFile = path.join(templateDir, 'notes.md');
+      fs.writeFileSync(templateFile, '{{#packages}}{{name}} {{from}} → {{to}}: {{summary}}\n{{/packages}}');
+      process.env.TEMPLATE_FILE = templateFile;
+
+      await run();
+
+      const body = mockOctokit.rest.pulls.update.mock.calls[0][0].body;
+      expect(body).toContain('\ndrupal/token 1.13.0 → 1.15.0: 1 change\n');
+      expect(body).not.toContain('### drupal/token');
+      expect(core.setOutput).toHaveBeenCalledWith('markdown', 'drupal/token 1.13.0 → 1.15.0: 1 change\n');
+    });
+
+    it('should fail when the template cannot be read', async () => {
+      process.env.TEMPLATE_FILE = path.join(templateDir, 'missing.md');
+
+      await run();
+
+      expect(core.setFailed).toHaveBeenCalledWith(expect.stringContaining(`Could not read template ${process.env.TEMPLATE_FILE}:`));
+      expect(global.fetch).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.pulls.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Change types', () => {
+    beforeEach(() => {
+      process.env.DEPENDENCY_NAMES = 'drupal/token';
+      process.env.PREVIOUS_VERSION = '1.13.0';
+      process.env.NEW_VERSION = '1.15.0';
+
+      mockOctokit.rest.pulls.get.mockResolvedValue({
+        data: { body: 'Existing PR body' }
+      });
+      mockApiResponses({
+        'https://api.drupal-mrn.dev/project?project=token': { tags: [] },
+        'https://api.drupal-mrn.dev/changelog?project=token&from=1.13.0&to=1.15.0&format=json': {
+          changes: [...tokenTaskChangelog.changes, ...coreBugChangelog.changes],
+          changeRecords: []
+        }
+      });
+    });
+
+    it('should render the configured change types', async () => {
+      process.env.EXCLUDE_CHANGE_TYPES = 'Task';
+      process.env.CHANGE_TYPE_NAMES = 'Bug=Bug fixes';
+
+      await run();
+
+      const body = mockOctokit.rest.pulls.update.mock.calls[0][0].body;
+      expect(body).toContain('#### Bug fixes\n\n* [#1](https://www.drupal.org/i/1): Core bug\n');
+      expect(body).not.toContain('#### Task');
+      expect(body).toContain('_1 other change (Task) — [see full release notes]');
+    });
+
+    it('should fail on invalid change type names', async () => {
+      process.env.CHANGE_TYPE_NAMES = 'Bug';
+
+      await run();
+
+      expect(core.setFailed).toHaveBeenCalledWith('Invalid CHANGE_TYPE_NAMES entry: "Bug". Expected Type=Heading');
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Contributors', () => {
+    beforeEach(() => {
+      process.env.DEPENDENCY_NAMES = 'drupal/token';
+      process.env.PREVIOUS_VERSION = '1.13.0';
+      process.env.NEW_VERSION = '1.15.0';
+
+      mockOctokit.rest.pulls.get.mockResolvedValue({
+        data: { body: 'Existing PR body' }
+      });
+      mockApiResponses({
+        'https://api.drupal-mrn.dev/project?project=token': { tags: [] },
+        'https://api.drupal-mrn.dev/changelog?project=token&from=1.13.0&to=1.15.0&format=json': {
+          changes: [{
+            type: 'Bug',
+            changes: [{ nid: '1', link: 'https://www.drupal.org/i/1', type: 'Bug', summary: '#1 by berdir, jane: Core bug' }]
+          }],
+          changeRecords: []
+        }
+      });
+    });
+
+    it('should highlight configured team members among the contributors', async () => {
+      process.env.TEAM_MEMBERS = 'berdir';
+
+      await run();
+
+      const body = mockOctokit.rest.pulls.update.mock.calls[0][0].body;
+      expect(body).toContain('**Contributors:** **[berdir](https://www.drupal.org/u/berdir)**, [jane](https://www.drupal.org/u/jane)');
+    });
+  });
+
+  describe('Major branch changes', () => {
+    beforeEach(() => {
+      process.env.DEPENDENCY_NAMES = 'drupal/token';
+      process.env.PREVIOUS_VERSION = '1.13.0';
+      process.env.NEW_VERSION = '2.0.1';
+
+      mockOctokit.rest.pulls.get.mockResolvedValue({
+        data: { body: 'Existing PR body' }
+      });
+    });
+
+    it('should fetch the changelog per branch', async () => {
+      mockApiResponses({
+        'https://api.drupal-mrn.dev/project?project=token': {
+          tags: [{ name: '8.x-1.13' }, { name: '8.x-1.14' }, { name: '2.0.0' }, { name: '2.0.1' }]
+        },
+        'https://api.drupal-mrn.dev/changelog?project=token&from=8.x-1.13&to=8.x-1.14&format=json': coreBugChangelog,
+        'https://api.drupal-mrn.dev/changelog?project=token&from=2.0.0&to=2.0.1&format=json': tokenTaskChangelog
+      });
+
+      await run();
+
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+      const body = mockOctokit.rest.pulls.update.mock.calls[0][0].body;
+      expect(body).toContain('<summary>2 changes</summary>');
+      expect(body).toContain('#### Rest of the 8.x-1.x branch (8.x-1.13 → 8.x-1.14)\n\n##### Bug\n\n* [#1](https://www.drupal.org/i/1): Core bug\n');
+      expect(body).toContain('#### Upgrading to a new major version: 2.x (2.0.0 → 2.0.1)\n\n' +
+        '_Read the [2.0.0 release notes](https://www.drupal.org/project/token/releases/2.0.0) before upgrading to the new major version._\n\n' +
+        '##### Task\n\n* [#2](https://www.drupal.org/i/2): Token task\n');
+    });
+
+    it('should count a fix backported to both branches once', async () => {
+      mockApiResponses({
+        'https://api.drupal-mrn.dev/project?project=token': {
+          tags: [{ name: '8.x-1.13' }, { name: '8.x-1.14' }, { name: '2.0.0' }, { name: '2.0.1' }]
+        },
+        'https://api.drupal-mrn.dev/changelog?project=token&from=8.x-1.13&to=8.x-1.14&format=json': coreBugChangelog,
+        'https://api.drupal-mrn.dev/changelog?project=token&from=2.0.0&to=2.0.1&format=json': coreBugChangelog
+      });
+
+      await run();
+
+      const body = mockOctokit.rest.pulls.update.mock.calls[0][0].body;
+      expect(body).toContain('<summary>1 change</summary>');
+    });
+
+    it('should keep the branches that could be fetched', async () => {
+      mockApiResponses({
+        'https://api.drupal-mrn.dev/project?project=token': {
+          tags: [{ name: '8.x-1.13' }, { name: '8.x-1.14' }, { name: '2.0.0' }, { name: '2.0.1' }]
+        },
+        'https://api.drupal-mrn.dev/changelog?project=token&from=2.0.0&to=2.0.1&format=json': tokenTaskChangelog
+      });
+
+      await run();
+
+      const body = mockOctokit.rest.pulls.update.mock.calls[0][0].body;
+      expect(body).toContain('#### Rest of the 8.x-1.x branch (8.x-1.13 → 8.x-1.14)\n\n_Could not fetch release notes (8.x-1.13 → 8.x-1.14)_\n\n');
+      expect(body).toContain('* [#2](https://www.drupal.org/i/2): Token task');
+    });
+
+    it('should point out the first release of a new major version', async () => {
+      process.env.PREVIOUS_VERSION = '1.15.0';
+      process.env.NEW_VERSION = '2.0.0';
+      mockApiResponses({
+        'https://api.drupal-mrn.dev/project?project=token': {
+          tags: [{ name: '8.x-1.14' }, { name: '8.x-1.15' }, { name: '2.0.0' }]
+        }
+      });
+
+      await run();
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      const body = mockOctokit.rest.pulls.update.mock.calls[0][0].body;
+      expect(body).toContain('**1.15.0 → [2.0.0](https://www.drupal.org/project/token/releases/2.0.0)**');
+      expect(body).toContain('<summary>New major version</summary>');
+      expect(body).toContain('#### Upgrading to a new major version: 2.x (2.0.0)\n\n' +
+        '_Read the [2.0.0 release notes](https://www.drupal.org/project/token/releases/2.0.0) before upgrading to the new major version._\n\n');
+      expect(body).not.toContain('_No release notes available_');
+
+      const json = JSON.parse(core.setOutput.mock.calls.find(([name]) => name === 'json')[1]);
+      expect(json.packages[0].status).toBe('ok');
+      expect(json.packages[0].segments[0]).toMatchObject({ status: 'first-release', majorReleaseNotesUrl: 'https://www.drupal.org/project/token/releases/2.0.0' });
+    });
+
+    it('should point out the first release of a new major version per release', async () => {
+      process.env.PREVIOUS_VERSION = '1.15.0';
+      process.env.NEW_VERSION = '2.0.0';
+      process.env.PER_RELEASE = 'true';
+      mockApiResponses({
+        'https://api.drupal-mrn.dev/project?project=token': {
+          tags: [{ name: '8.x-1.14' }, { name: '8.x-1.15' }, { name: '2.0.0' }]
+        }
+      });
+
+      await run();
+
+      const body = mockOctokit.rest.pulls.update.mock.calls[0][0].body;
+      expect(body).toContain('<summary>2.0.0: new major version</summary>\n\n' +
+        '[Release notes](https://www.drupal.org/project/token/releases/2.0.0)\n\n' +
+        '_First release of a new major version. Read its release notes before upgrading._\n\n');
+      expect(body).not.toContain('_No release notes available_');
+    });
+
+    it('should report the failure when no branch could be fetched', async () => {
+      mockApiResponses({
+        'https://api.drupal-mrn.dev/project?project=token': {
+          tags: [{ name: '8.x-1.13' }, { name: '8.x-1.14' }, { name: '2.0.0' }, { name: '2.0.1' }]
+        }
+      });
+
+      await run();
+
+      const body = mockOctokit.rest.pulls.update.mock.calls[0][0].body;
+      expect(body).toContain('_Error fetching release notes: Unexpected request: https://api.drupal-mrn.dev/changelog?project=token&from=8.x-1.13&to=8.x-1.14&format=json_');
+      expect(body).not.toContain('Rest of the');
+    });
+  });
+
+  describe('Per-release breakdown', () => {
+    beforeEach(() => {
+      process.env.DEPENDENCY_NAMES = 'drupal/token';
+      process.env.PREVIOUS_VERSION = '1.13.0';
+      process.env.NEW_VERSION = '1.15.0';
+
+      mockOctokit.rest.pulls.get.mockResolvedValue({
+        data: { body: 'Existing PR body' }
+      });
+      mockApiResponses({
+        'https://api.drupal-mrn.dev/project?project=token': {
+          tags: [{ name: '8.x-1.13' }, { name: '8.x-1.14' }, { name: '8.x-1.15' }]
+        },
+        'https://api.drupal-mrn.dev/changelog?project=token&from=8.x-1.13&to=8.x-1.14&format=json': coreBugChangelog,
+        'https://api.drupal-mrn.dev/changelog?project=token&from=8.x-1.14&to=8.x-1.15&format=json': tokenTaskChangelog,
+        'https://api.drupal-mrn.dev/changelog?project=token&from=8.x-1.13&to=8.x-1.15&format=json': {
+          changes: [...coreBugChangelog.changes, ...tokenTaskChangelog.changes],
+          changeRecords: []
+        }
+      });
+    });
+
+    it('should fetch the whole range by default', async () => {
+      await run();
+
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      expect(mockOctokit.rest.pulls.update.mock.calls[0][0].body).not.toContain('<summary>8.x-1.15');
+    });
+
+    it('should fetch and render each release when enabled', async () => {
+      process.env.PER_RELEASE = 'true';
+
+      await run();
+
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+      const body = mockOctokit.rest.pulls.update.mock.calls[0][0].body;
+      expect(body).toContain('<summary>2 changes</summary>');
+      expect(body).toContain('<summary>8.x-1.15: 1 change</summary>\n\n' +
+        '[Release notes](https://www.drupal.org/project/token/releases/8.x-1.15) · [Compare](https://git.drupalcode.org/project/token/-/compare/8.x-1.14...8.x-1.15)\n\n' +
+        '##### Task\n\n* [#2](https://www.drupal.org/i/2): Token task\n');
+      expect(body.indexOf('<summary>8.x-1.15')).toBeLessThan(body.indexOf('<summary>8.x-1.14: 1 change</summary>'));
+
+      const json = JSON.parse(core.setOutput.mock.calls.find(([name]) => name === 'json')[1]);
+      expect(json.packages[0].releases.map(release => release.tag)).toEqual(['8.x-1.15', '8.x-1.14']);
+    });
+  });
+
+  describe('Configurable hosts', () => {
+    it('should use the configured API and link hosts', async () => {
+      process.env.DEPENDENCY_NAMES = 'drupal/token';
+      process.env.PREVIOUS_VERSION = '1.13.0';
+      process.env.NEW_VERSION = '1.15.0';
+      process.env.DRUPAL_MRN_API_URL = 'http://localhost:8080/';
+      process.env.DRUPAL_ORG_URL = 'https://drupal.example.com';
+      process.env.DRUPAL_GITLAB_URL = 'https://gitlab.example.com';
+
+      mockOctokit.rest.pulls.get.mockResolvedValue({
+        data: { body: 'Existing PR body' }
+      });
+      global.fetch
+        // Project tags
+        .mockResolvedValueOnce({
+          ok: true,
+          json: async () => ({ tags: [] })
+        })
+        // Changelog
+        .mockResolvedValueOnce({
+          ok: true,
+          json: async () => ({
+            changes: [{
+              type: 'Bug',
+              changes: [{ nid: '1', link: 'https://www.drupal.org/i/1', type: 'Bug', summary: '#1: Bug fix' }]
+            }],
+            changeRecords: []
+          })
+        });
+
+      await run();
+
+      expect(global.fetch).toHaveBeenCalledWith('http://localhost:8080/project?project=token', expect.anything());
+      expect(global.fetch).toHaveBeenCalledWith('http://localhost:8080/changelog?project=token&from=1.13.0&to=1.15.0&format=json', expect.anything());
+      const body = mockOctokit.rest.pulls.update.mock.calls[0][0].body;
+      expect(body).toContain('[1.15.0](https://drupal.example.com/project/token/releases/1.15.0)');
+      expect(body).toContain('[compare](https://gitlab.example.com/project/token/-/compare/1.13.0...1.15.0)');
+    });
+
+    it('should fail on an invalid host', async () => {
+      process.env.DRUPAL_MRN_API_URL = 'not a url';
+
+      await run();
+
+      expect(core.setFailed).toHaveBeenCalledWith('Invalid URL in DRUPAL_MRN_API_URL: "not a url"');
+    });
+  });
+
+  describe('Retries', () => {
+    it('should retry transient API failures and log the retry count', async () => {
+      process.env.DEPENDENCY_NAMES = 'drupal/token';
+      process.env.PREVIOUS_VERSION = '1.13.0';
+      process.env.NEW_VERSION = '1.15.0';
+      process.env.MAX_RETRIES = '2';
+
+      mockOctokit.rest.pulls.get.mockResolvedValue({
+        data: { body: 'Existing PR body' }
+      });
+      global.fetch
+        // Project tags
+        .mockResolvedValueOnce({
+          ok: true,
+          status: 200,
+          json: async () => ({ tags: [] })
+        })
+        // Changelog: bad gateway, retried immediately per Retry-After
+        .mockResolvedValueOnce({
+          ok: false,
+          status: 502,
+          headers: { get: () => '0' }
+        })
+        // Changelog
+        .mockResolvedValueOnce({
+          ok: true,
+          status: 200,
+          json: async () => ({
+            changes: [{
+              type: 'Bug',
+              changes: [{ nid: '1', link: 'https://www.drupal.org/i/1', type: 'Bug', summary: '#1: Bug fix' }]
+            }],
+            changeRecords: []
+          })
+        });
+
+      await run();
+
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+      expect(core.info).toHaveBeenCalledWith(expect.stringMatching(/^Retrying https:\/\/api\.drupal-mrn\.dev\/changelog\?.* in 0ms after status 502 \(retry 1 of 2\)$/));
+      expect(core.info).toHaveBeenCalledWith('API requests were retried 1 time(s)');
+      expect(mockOctokit.rest.pulls.update.mock.calls[0][0].body).toContain('[#1](https://www.drupal.org/i/1): Bug fix');
+    });
+
+    it('should fail on invalid retry settings', async () => {
+      process.env.MAX_RETRIES = 'many';
+
+      await run();
+
+      expect(core.setFailed).toHaveBeenCalledWith('Invalid MAX_RETRIES: "many". Expected a non-negative integer');
+    });
+  });
+
+  describe('Response cache', () => {
+    let cacheDir;
+
+    beforeEach(() => {
+      cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'drupal-mrn-cache-'));
+      process.env.CACHE_DIR = cacheDir;
+      process.env.DEPENDENCY_NAMES = 'drupal/search_api';
+      process.env.PREVIOUS_VERSION = '1.38.0';
+      process.env.NEW_VERSION = '1.40.0';
+
+      mockOctokit.rest.pulls.get.mockResolvedValue({
+        data: { body: 'Existing PR body' }
+      });
+      mockApiResponses({
+        'https://api.drupal-mrn.dev/project?project=search_api': {
+          tags: [{ name: '8.x-1.38' }, { name: '8.x-1.40' }]
+        },
+        'https://api.drupal-mrn.dev/changelog?project=search_api&from=8.x-1.38&to=8.x-1.40&format=json': coreBugChangelog
+      });
+    });
+
+    afterEach(() => {
+      fs.rmSync(cacheDir, { recursive: true, force: true });
+    });
+
+    it('should reuse cached tags and changelogs on later runs', async () => {
+      await run();
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      const firstBody = mockOctokit.rest.pulls.update.mock.calls[0][0].body;
+
+      global.fetch.mockClear();
+      mockOctokit.rest.pulls.update.mockClear();
+      await run();
+
+      expect(global.fetch).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.pulls.update.mock.calls[0][0].body).toBe(firstBody);
+      expect(core.info).toHaveBeenCalledWith('Response cache: 2 hit(s), 0 miss(es)');
+    });
+
+    it('should refetch expired tags but keep the cached changelog', async () => {
+      process.env.CACHE_TAGS_TTL = '0';
+
+      await run();
+      global.fetch.mockClear();
+      await run();
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(global.fetch).toHaveBeenCalledWith('https://api.drupal-mrn.dev/project?project=search_api', expect.anything());
+    });
+
+    it('should not cache failed responses', async () => {
+      global.fetch.mockResolvedValue({ ok: false, status: 404, text: async () => '' });
+
+      await run();
+      global.fetch.mockClear();
+      await run();
+
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('Body size limit', () => {
+    it('should keep the PR body within GitHub\'s limit', async () => {
+      process.env.DEPENDENCY_NAMES = 'drupal/core';
+      process.env.PREVIOUS_VERSION = '10.0.0';
+      process.env.NEW_VERSION = '11.0.0';
+
+      mockOctokit.rest.pulls.get.mockResolvedValue({
+        data: { body: 'x'.repeat(60000) }
+      });
+      global.fetch
+        // Project tags
+        .mockResolvedValueOnce({
+          ok: true,
+          json: async () => ({ tags: [] })
+        })
+        // Changelog
+        .mockResolvedValueOnce({
+          ok: true,
+          json: async () => ({
+            changes: [{
+              type: 'Bug',
+              changes: Array.from({ length: 500 }, (_, i) => ({
+                nid: String(i),
+                link: `https://www.drupal.org/i/${i}`,
+                type: 'Bug',
+                summary: `#${i}: A core bug fix with a long enough summary to add up quickly`
+              }))
+            }],
+            changeRecords: []
+          })
+        });
+
+      await run();
+
+      const body = mockOctokit.rest.pulls.update.mock.calls[0][0].body;
+      expect(body.length).toBeLessThanOrEqual(65536);
+      expect(body).toContain('### drupal/core');
+      expect(body).toContain('more changes — [see full release notes](https://www.drupal.org/project/drupal/releases/11.0.0)');
+    });
+
+    it('should post a comment when the PR body leaves no room for the notes', async () => {
+      process.env.DEPENDENCY_NAMES = 'drupal/core';
+      process.env.PREVIOUS_VERSION = '10.0.0';
+      process.env.NEW_VERSION = '10.0.1';
+
+      mockOctokit.rest.pulls.get.mockResolvedValue({
+        data: { body: 'x'.repeat(65500) }
+      });
+      mockOctokit.paginate.mockResolvedValue([]);
+      mockApiResponses({
+        'https://api.drupal-mrn.dev/project?project=drupal': { tags: [] },
+        'https://api.drupal-mrn.dev/changelog?project=drupal&from=10.0.0&to=10.0.1&format=json': coreBugChangelog
+      });
+
+      await run();
+
+      expect(mockOctokit.rest.pulls.update).not.toHaveBeenCalled();
+      expect(core.warning).toHaveBeenCalledWith('The PR description leaves no room for the release notes; posting them as a comment instead');
+      expect(mockOctokit.rest.issues.createComment).toHaveBeenCalledWith(expect.objectContaining({
+        body: expect.stringContaining('[#1](https://www.drupal.org/i/1): Core bug')
+      }));
+      expect(core.setFailed).not.toHaveBeenCalled();
+    });
+
+    it('should delete the fallback comment once the notes fit in the PR body again', async () => {
+      process.env.DEPENDENCY_NAMES = 'drupal/core';
+      process.env.PREVIOUS_VERSION = '10.0.0';
+      process.env.NEW_VERSION = '10.0.1';
+
+      mockOctokit.rest.pulls.get.mockResolvedValue({
+        data: { body: 'Existing PR body' }
+      });
+      mockOctokit.paginate.mockResolvedValue([
+        { id: 3, body: `Quoting ${RELEASE_NOTES_COMMENT_MARKER}`, user: { login: 'someone', type: 'User' } },
+        { id: 4, body: `${RELEASE_NOTES_COMMENT_MARKER}\n\nOld notes`, user: { login: 'github-actions[bot]', type: 'Bot' } }
+      ]);
+      mockApiResponses({
+        'https://api.drupal-mrn.dev/project?project=drupal': { tags: [] },
+        'https://api.drupal-mrn.dev/changelog?project=drupal&from=10.0.0&to=10.0.1&format=json': coreBugChangelog
+      });
+
+      await run();
+
+      expect(mockOctokit.rest.pulls.update).toHaveBeenCalled();
+      expect(mockOctokit.rest.issues.deleteComment).toHaveBeenCalledTimes(1);
+      expect(mockOctokit.rest.issues.deleteComment).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        comment_id: 4
+      });
+      expect(core.info).toHaveBeenCalledWith('Deleted the release notes comment now that the notes fit in the PR description');
+    });
+
+    it('should keep the notes in the PR body when the fallback comment cannot be deleted', async () => {
+      process.env.DEPENDENCY_NAMES = 'drupal/core';
+      process.env.PREVIOUS_VERSION = '10.0.0';
+      process.env.NEW_VERSION = '10.0.1';
+
+      mockOctokit.rest.pulls.get.mockResolvedValue({
+        data: { body: 'Existing PR body' }
+      });
+      mockOctokit.paginate.mockRejectedValue(new Error('Resource not accessible by integration'));
+      mockApiResponses({
+        'https://api.drupal-mrn.dev/project?project=drupal': { tags: [] },
+        'https://api.drupal-mrn.dev/changelog?project=drupal&from=10.0.0&to=10.0.1&format=json': coreBugChangelog
+      });
+
+      await run();
+
+      expect(mockOctokit.rest.pulls.update).toHaveBeenCalled();
+      expect(core.warning).toHaveBeenCalledWith('Could not delete the outdated release notes comment: Resource not accessible by integration');
+      expect(core.setFailed).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Version mapping', () => {
+    describe('mapVersionToTag', () => {
+      it('should return version as-is if it exists in tags', () => {
+        const tags = ['1.38.0', '1.40.0', '8.x-1.38', '8.x-1.40'];
+        expect(mapVersionToTag('1.38.0', tags)).toBe('1.38.0');
+        expect(mapVersionToTag('1.40.0', tags)).toBe('1.40.0');
+      });
+
+      it('should map Semver to legacy Drupal 8.x format', () => {
+        const tags = ['8.x-1.38', '8.x-1.40', '8.x-1.39'];
+        expect(mapVersionToTag('1.38.0', tags)).toBe('8.x-1.38');
+        expect(mapVersionToTag('1.40.0', tags)).toBe('8.x-1.40');
+        expect(mapVersionToTag('1.39.0', tags)).toBe('8.x-1.39');
+      });
+
+      it('should return original version if no match found', () => {
+        const tags = ['8.x-1.37', '8.x-1.39'];
+        expect(mapVersionToTag('1.38.0', tags)).toBe('1.38.0');
+        expect(mapVersionToTag('2.0.0', tags)).toBe('2.0.0');
+      });
+
+      it('should map pre-release versions to legacy tags', () => {
+        const tags = ['8.x-1.0-alpha12', '8.x-1.0-beta3', '8.x-1.0-rc1', '8.x-1.0'];
+        expect(mapVersionToTag('1.0.0-alpha12', tags)).toBe('8.x-1.0-alpha12');
+        expect(mapVersionToTag('1.0.0-beta3', tags)).toBe('8.x-1.0-beta3');
+        expect(mapVersionToTag('1.0.0-RC1', tags)).toBe('8.x-1.0-rc1');
+        expect(mapVersionToTag('1.0.0-beta.3', tags)).toBe('8.x-1.0-beta3');
+        expect(mapVersionToTag('1.0.0', tags)).toBe('8.x-1.0');
+      });
+
+      it('should map to other legacy core prefixes present in the tags', () => {
+        expect(mapVersionToTag('2.5.0', ['7.x-2.4', '7.x-2.5'])).toBe('7.x-2.5');
+        expect(mapVersionToTag('3.0.0-beta1', ['6.x-3.0-beta1'])).toBe('6.x-3.0-beta1');
+      });
+
+      it('should prefer 8.x, then the newest core prefix', () => {
+        expect(mapVersionToTag('1.5.0', ['7.x-1.5', '8.x-1.5'])).toBe('8.x-1.5');
+        expect(mapVersionToTag('1.5.0', ['6.x-1.5', '7.x-1.5'])).toBe('7.x-1.5');
+      });
+
+      it('should not map patch releases to legacy tags', () => {
+        expect(mapVersionToTag('1.38.1', ['8.x-1.38'])).toBe('1.38.1');
+      });
+
+      it('should handle non-Semver versions', () => {
+        const tags = ['8.x-1.38', '1.38.0'];
+        expect(mapVersionToTag('8.x-1.38', tags)).toBe('8.x-1.38');
+        expect(mapVersionToTag('v1.38.0', tags)).toBe('v1.38.0');
+      });
+    });
+
+    describe('findVersionTag', () => {
+      it('should return null when neither the version nor a legacy tag exists', () => {
+        expect(findVersionTag('1.38.0', ['8.x-1.37'])).toBeNull();
+        expect(findVersionTag('1.0.0-beta4', ['8.x-1.0-beta3'])).toBeNull();
+      });
+
+      it('should return the matching tag', () => {
+        expect(findVersionTag('2.0.0', ['2.0.0'])).toBe('2.0.0');
+        expect(findVersionTag('1.0.0-beta3', ['8.x-1.0-beta3'])).toBe('8.x-1.0-beta3');
+      });
+    });
 
     describe('fetchProjectTags', () => {
       it('should fetch and parse project tags', async () => {
@@ -801,10 +2299,21 @@ describe('Dependabot Drupal Release Notes Action', () => {
 
         const tags = await fetchProjectTags('search_api');
 
-        expect(global.fetch).toHaveBeenCalledWith('https://api.drupal-mrn.dev/project?project=search_api');
+        expect(global.fetch).toHaveBeenCalledWith('https://api.drupal-mrn.dev/project?project=search_api', expect.anything());
         expect(tags).toEqual(['8.x-1.40', '8.x-1.39', '8.x-1.38']);
       });
 
+      it('should use the given API host', async () => {
+        global.fetch.mockResolvedValue({
+          ok: true,
+          json: async () => ({ tags: [] })
+        });
+
+        await fetchProjectTags('search_api', { hosts: { apiUrl: 'http://localhost:8080' } });
+
+        expect(global.fetch).toHaveBeenCalledWith('http://localhost:8080/project?project=search_api', expect.anything());
+      });
+
       it('should return empty array on API error', async () => {
         global.fetch.mockResolvedValue({
           ok: false,
@@ -820,7 +2329,7 @@ describe('Dependabot Drupal Release Notes Action', () => {
       it('should return empty array on fetch error', async () => {
         global.fetch.mockRejectedValue(new Error('Network error'));
 
-        const tags = await fetchProjectTags('search_api');
+        const tags = await fetchProjectTags('search_api', { http: createHttpClient({ retries: 0 }) });
 
         expect(tags).toEqual([]);
         expect(core.warning).toHaveBeenCalledWith(expect.stringContaining('Error fetching project tags for search_api'));
@@ -877,10 +2386,10 @@ describe('Dependabot Drupal Release Notes Action', () => {
         await run();
 
         // Verify project tags were fetched
-        expect(global.fetch).toHaveBeenCalledWith('https://api.drupal-mrn.dev/project?project=search_api');
+        expect(global.fetch).toHaveBeenCalledWith('https://api.drupal-mrn.dev/project?project=search_api', expect.anything());
 
         // Verify changelog API was called with mapped versions
-        expect(global.fetch).toHaveBeenCalledWith('https://api.drupal-mrn.dev/changelog?project=search_api&from=8.x-1.38&to=8.x-1.40&format=json');
+        expect(global.fetch).toHaveBeenCalledWith('https://api.drupal-mrn.dev/changelog?project=search_api&from=8.x-1.38&to=8.x-1.40&format=json', expect.anything());
 
         // Verify PR was updated with correct compare URL using mapped versions
         expect(mockOctokit.rest.pulls.update).toHaveBeenCalledWith({
@@ -891,7 +2400,7 @@ describe('Dependabot Drupal Release Notes Action', () => {
         });
       });
 
-      it('should use original versions if no mapping found', async () => {
+      it('should not query the changelog when no matching tag exists', async () => {
         // Mock project tags API with no matching tags
         global.fetch
           .mockResolvedValueOnce({
@@ -899,26 +2408,62 @@ describe('Dependabot Drupal Release Notes Action', () => {
             json: async () => ({
               tags: [
                 { name: '1.0.0' },
-                { name: '2.0.0' }
+                { name: '8.x-1.40' }
               ]
             })
+          });
+
+        await run();
+
+        // Only the project tags were requested
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+        expect(core.warning).toHaveBeenCalledWith('No release tag found for search_api 1.38.0');
+        expect(mockOctokit.rest.pulls.update).toHaveBeenCalledWith({
+          owner: 'test-owner',
+          repo: 'test-repo',
+          pull_number: 123,
+          body: expect.stringContaining('_Could not fetch release notes (1.38.0 → 1.40.0): no release tag found for `1.38.0` in search_api_')
+        });
+      });
+
+      it('should use original versions when the tag list is unavailable', async () => {
+        global.fetch
+          // Project tags API error
+          .mockResolvedValueOnce({
+            ok: false,
+            status: 500,
+            text: async () => ''
           })
           // Mock changelog API
+          .mockResolvedValueOnce({
+            ok: true,
+            json: async () => coreBugChangelog
+          });
+
+        await run();
+
+        // Verify changelog API was called with original versions
+        expect(global.fetch).toHaveBeenCalledWith('https://api.drupal-mrn.dev/changelog?project=search_api&from=1.38.0&to=1.40.0&format=json', expect.anything());
+      });
+
+      it('should map pre-release versions to legacy tags', async () => {
+        process.env.PREVIOUS_VERSION = '1.0.0-beta3';
+        process.env.NEW_VERSION = '1.0.0-rc1';
+        global.fetch
           .mockResolvedValueOnce({
             ok: true,
             json: async () => ({
-              changes: [{
-                type: 'Bug',
-                changes: [{ nid: '1', link: 'https://www.drupal.org/i/1', type: 'Bug', summary: '#1: Bug fix' }]
-              }],
-              changeRecords: []
+              tags: [{ name: '8.x-1.0-beta3' }, { name: '8.x-1.0-rc1' }]
             })
+          })
+          .mockResolvedValueOnce({
+            ok: true,
+            json: async () => coreBugChangelog
           });
 
         await run();
 
-        // Verify changelog API was called with original versions
-        expect(global.fetch).toHaveBeenCalledWith('https://api.drupal-mrn.dev/changelog?project=search_api&from=1.38.0&to=1.40.0&format=json');
+        expect(global.fetch).toHaveBeenCalledWith('https://api.drupal-mrn.dev/changelog?project=search_api&from=8.x-1.0-beta3&to=8.x-1.0-rc1&format=json', expect.anything());
       });
     });
   });
@@ -0,0 +1,152 @@
+const core = require('@actions/core');
+const { majorVersion } = require('./branches');
+
+// Labels that can be derived from the release notes, with the colors and
+// descriptions used when they have to be created. Their names are configured,
+// see DEFAULT_LABELS in config.js.
+const LABEL_DEFINITIONS = {
+  security: {
+    color: 'b60205',
+    description: 'Includes a Drupal security release'
+  },
+  changeRecords: {
+    color: 'fbca04',
+    description: 'Drupal release notes include change records'
+  },
+  features: {
+    color: '0e8a16',
+    description: 'Drupal release notes include new features'
+  },
+  bugfixOnly: {
+    color: 'c2e0c6',
+    description: 'Drupal release notes only include bug fixes'
+  },
+  major: {
+    color: 'd93f0b',
+    description: 'Updates a Drupal package to a new major version'
+  }
+};
+
+/**
+ * Derives which labels apply to a set of release notes
+ * A PR is only bugfix-only when the release notes of every package were
+ * retrieved and all of their changes are bug fixes.
+ * @param {Object} model - The release notes model, see buildReleaseNotesModel()
+ * @returns {Array<string>} Keys of LABEL_DEFINITIONS that apply
+ */
+function labelsForModel(model) {
+  const changeTypes = model.packages
+    .filter(pkg => pkg.status === 'ok')
+    .flatMap(pkg => pkg.changes.map(group => group.type));
+
+  const applies = {
+    security: model.hasSecurity,
+    changeRecords: model.hasChangeRecords,
+    features: changeTypes.some(type => /feature/i.test(type)),
+    bugfixOnly: changeTypes.length > 0 &&
+      changeTypes.every(type => /^bug/i.test(type)) &&
+      model.packages.every(pkg => pkg.status === 'ok' || pkg.status === 'empty'),
+    // The update type Dependabot reported, else the one of the versions. Only
+    // upgrades count: a downgrade to an older major version is no new major version.
+    major: model.packages.some(pkg => {
+      const from = majorVersion(pkg.from);
+      const to = majorVersion(pkg.to);
+      return pkg.updateLevel === 'major' && (from === null || to === null || to > from);
+    })
+  };
+
+  return Object.keys(LABEL_DEFINITIONS).filter(key => applies[key]);
+}
+
+/**
+ * Creates a label in the repository unless it already exists
+ * @param {Object} octokit - Authenticated Octokit client
+ * @param {Object} context - GitHub Actions context
+ * @param {{name: string, color: string, description: string}} label - The label to create
+ * @returns {Promise<void>}
+ */
+async function ensureLabel(octokit, context, label) {
+  try {
+    await octokit.rest.issues.getLabel({
+      owner: context.repo.owner,
+      repo: context.repo.repo,
+      name: label.name
+    });
+    return;
+  } catch (error) {
+    if (error.status !== 404) {
+      throw error;
+    }
+  }
+
+  core.info(`Creating label ${label.name}`);
+  try {
+    await octokit.rest.issues.createLabel({
+      owner: context.repo.owner,
+      repo: context.repo.repo,
+      ...label
+    });
+  } catch (error) {
+    // Another run may have created it in the meantime
+    if (error.status !== 422) {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Applies the derived labels to a PR and removes stale ones from earlier runs
+ * Only the configured label names are managed; other labels are left alone.
+ * @param {Object} octokit - Authenticated Octokit client
+ * @param {Object} context - GitHub Actions context
+ * @param {Array<string>} keys - Keys of the labels that apply, see labelsForModel()
+ * @param {Object} names - Label names keyed like LABEL_DEFINITIONS, see readLabelOptions()
+ * @returns {Promise<{added: Array<string>, removed: Array<string>}>} The label names that changed
+ */
+async function syncLabels(octokit, context, keys, names) {
+  const issueNumber = context.payload.pull_request.number;
+  const current = await octokit.paginate(octokit.rest.issues.listLabelsOnIssue, {
+    owner: context.repo.owner,
+    repo: context.repo.repo,
+    issue_number: issueNumber,
+    per_page: 100
+  });
+  const currentNames = new Set(current.map(label => label.name));
+
+  const wanted = keys.map(key => ({ name: names[key], ...LABEL_DEFINITIONS[key] }));
+  const added = wanted.filter(label => !currentNames.has(label.name));
+  const wantedNames = new Set(wanted.map(label => label.name));
+  const removed = Object.values(names).filter(name => currentNames.has(name) && !wantedNames.has(name));
+
+  for (const label of added) {
+    await ensureLabel(octokit, context, label);
+  }
+  if (added.length > 0) {
+    await octokit.rest.issues.addLabels({
+      owner: context.repo.owner,
+      repo: context.repo.repo,
+      issue_number: issueNumber,
+      labels: added.map(label => label.name)
+    });
+  }
+
+  for (const name of removed) {
+    try {
+      await octokit.rest.issues.removeLabel({
+        owner: context.repo.owner,
+        repo: context.repo.repo,
+        issue_number: issueNumber,
+        name
+      });
+    } catch (error) {
+      // Already removed by someone else
+      if (error.status !== 404) {
+        throw error;
+      }
+    }
+  }
+
+  return { added: added.map(label => label.name), removed };
+}
+
+module.exports = { labelsForModel, syncLabels, LABEL_DEFINITIONS };
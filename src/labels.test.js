@@ -0,0 +1,154 @@
+const { labelsForModel, syncLabels } = require('./labels');
+const { buildReleaseNotesModel } = require('./model');
+const { readLabelOptions } = require('./config');
+
+jest.mock('@actions/core');
+
+/**
+ * Builds a fetched package result with one change of each given type
+ */
+function buildResult(types, overrides = {}) {
+  return {
+    name: 'drupal/token',
+    project: 'token',
+    from: '1.13.0',
+    to: '1.15.0',
+    status: 'ok',
+    data: {
+      changes: types.map(type => ({ type, changes: [{ nid: '1', link: 'https://www.drupal.org/i/1', type, summary: '#1: Change' }] })),
+      changeRecords: []
+    },
+    ...overrides
+  };
+}
+
+/**
+ * Derives the labels of fetched package results
+ */
+function labelsForResults(results) {
+  return labelsForModel(buildReleaseNotesModel(results));
+}
+
+describe('labelsForModel', () => {
+  it('should label bug fix releases', () => {
+    expect(labelsForResults([buildResult(['Bug'])])).toEqual(['bugfixOnly']);
+  });
+
+  it('should label features and change records', () => {
+    const result = buildResult(['Bug', 'Feature']);
+    result.data.changeRecords = [{ title: 'New API', url: 'https://www.drupal.org/node/1' }];
+
+    expect(labelsForResults([result])).toEqual(['changeRecords', 'features']);
+  });
+
+  it('should label security releases and major updates', () => {
+    const results = [
+      buildResult(['Task'], { security: { securityReleases: [{ version: '8.x-1.15' }], insecureFrom: false } }),
+      buildResult(['Task'], { name: 'drupal/core', project: 'drupal', from: '10.3.1', to: '11.0.0' })
+    ];
+
+    expect(labelsForResults(results)).toEqual(['security', 'major']);
+  });
+
+  it('should not label downgrades as major updates', () => {
+    expect(labelsForResults([
+      buildResult(['Task'], { name: 'drupal/core', project: 'drupal', from: '11.0.0', to: '10.3.1' })
+    ])).toEqual([]);
+  });
+
+  it('should label the major updates Dependabot reported', () => {
+    expect(labelsForResults([
+      buildResult(['Task'], { from: '1.x-dev', to: '2.0.0', updateLevel: 'major' })
+    ])).toEqual(['major']);
+    expect(labelsForResults([
+      buildResult(['Task'], { from: '2.0.0', to: '1.9.0', updateLevel: 'major' })
+    ])).toEqual([]);
+  });
+
+  it('should not call an update bugfix-only when release notes are missing', () => {
+    expect(labelsForResults([
+      buildResult(['Bug']),
+      buildResult([], { status: 'unavailable', data: undefined })
+    ])).toEqual([]);
+  });
+});
+
+describe('syncLabels', () => {
+  const context = { repo: { owner: 'test-owner', repo: 'test-repo' }, payload: { pull_request: { number: 123 } } };
+  const { names } = readLabelOptions({});
+  let octokit;
+
+  beforeEach(() => {
+    octokit = {
+      rest: {
+        issues: {
+          listLabelsOnIssue: jest.fn(),
+          getLabel: jest.fn(),
+          createLabel: jest.fn(),
+          addLabels: jest.fn(),
+          removeLabel: jest.fn()
+        }
+      },
+      paginate: jest.fn()
+    };
+  });
+
+  it('should create missing labels before adding them', async () => {
+    octokit.paginate.mockResolvedValue([{ name: 'dependencies' }]);
+    octokit.rest.issues.getLabel.mockRejectedValue(Object.assign(new Error('Not Found'), { status: 404 }));
+
+    const changes = await syncLabels(octokit, context, ['security'], names);
+
+    expect(octokit.paginate).toHaveBeenCalledWith(octokit.rest.issues.listLabelsOnIssue, {
+      owner: 'test-owner',
+      repo: 'test-repo',
+      issue_number: 123,
+      per_page: 100
+    });
+    expect(octokit.rest.issues.createLabel).toHaveBeenCalledWith({
+      owner: 'test-owner',
+      repo: 'test-repo',
+      name: 'drupal:security',
+      color: 'b60205',
+      description: 'Includes a Drupal security release'
+    });
+    expect(octokit.rest.issues.addLabels).toHaveBeenCalledWith({
+      owner: 'test-owner',
+      repo: 'test-repo',
+      issue_number: 123,
+      labels: ['drupal:security']
+    });
+    expect(changes).toEqual({ added: ['drupal:security'], removed: [] });
+  });
+
+  it('should remove stale labels and leave unmanaged ones alone', async () => {
+    octokit.paginate.mockResolvedValue([
+      { name: 'dependencies' },
+      { name: 'drupal:features' },
+      { name: 'drupal:bugfix-only' }
+    ]);
+
+    const changes = await syncLabels(octokit, context, ['features'], names);
+
+    expect(octokit.rest.issues.getLabel).not.toHaveBeenCalled();
+    expect(octokit.rest.issues.addLabels).not.toHaveBeenCalled();
+    expect(octokit.rest.issues.removeLabel).toHaveBeenCalledTimes(1);
+    expect(octokit.rest.issues.removeLabel).toHaveBeenCalledWith({
+      owner: 'test-owner',
+      repo: 'test-repo',
+      issue_number: 123,
+      name: 'drupal:bugfix-only'
+    });
+    expect(changes).toEqual({ added: [], removed: ['drupal:bugfix-only'] });
+  });
+
+  it('should use the configured label names', async () => {
+    octokit.paginate.mockResolvedValue([]);
+
+    await syncLabels(octokit, context, ['major'], { ...names, major: 'breaking' });
+
+    expect(octokit.rest.issues.getLabel).toHaveBeenCalledWith({ owner: 'test-owner', repo: 'test-repo', name: 'breaking' });
+    expect(octokit.rest.issues.createLabel).not.toHaveBeenCalled();
+    expect(octokit.rest.issues.addLabels).toHaveBeenCalledWith(expect.objectContaining({ labels: ['breaking'] }));
+  });
+});
@@ -0,0 +1,168 @@
+const { DEFAULT_HOSTS } = require('./config');
+const { updateLevel } = require('./release-history');
+const { collectContributors } = require('./contributors');
+
+// Package statuses for which no release notes could be retrieved
+const FAILED_STATUSES = ['unavailable', 'error', 'missing-tag'];
+
+/**
+ * Builds the drupal.org release notes URL for the new version of a package
+ * @param {Object} result - Fetched release notes for one package
+ * @param {Object} hosts - Configured hosts, see readHosts()
+ * @returns {string} The release page URL
+ */
+function releaseNotesUrlFor(result, hosts) {
+  return `${hosts.drupalOrgUrl}/project/${result.project}/releases/${result.mappedTo}`;
+}
+
+/**
+ * Builds the git.drupalcode.org URL comparing two tags of a project
+ * @param {string} project - The drupal.org project
+ * @param {string} from - The older tag
+ * @param {string} to - The newer tag
+ * @param {Object} hosts - Configured hosts, see readHosts()
+ * @returns {string} The compare URL
+ */
+function compareUrlFor(project, from, to, hosts) {
+  return `${hosts.gitlabUrl}/project/${project}/-/compare/${from}...${to}`;
+}
+
+/**
+ * Normalizes the change groups of a drupal-mrn changelog
+ * @param {Object} data - The changelog response
+ * @returns {Array<{type: string, changes: Array<Object>}>} Non-empty change groups
+ */
+function changesOf(data) {
+  return (data.changes || [])
+    .filter(typeGroup => typeGroup.changes && typeGroup.changes.length > 0)
+    .map(typeGroup => ({
+      type: typeGroup.type || 'Misc',
+      changes: typeGroup.changes.map(change => ({ nid: change.nid, link: change.link, summary: change.summary }))
+    }));
+}
+
+/**
+ * Normalizes the change records of a drupal-mrn changelog
+ * @param {Object} data - The changelog response
+ * @returns {Array<{title: string, url: string}>} Change records with a title and URL
+ */
+function changeRecordsOf(data) {
+  return (data.changeRecords || [])
+    .map(record => ({ title: record.title || record.summary, url: record.url || record.link }))
+    .filter(record => record.title && record.url);
+}
+
+/**
+ * Builds the structured changelog segments of an update to a new major version
+ * @param {Object} result - Fetched release notes for one package
+ * @param {Object} hosts - Configured hosts, see readHosts()
+ * @returns {Array<Object>|null} The branch segments, or null for updates within one branch
+ */
+function segmentsModel(result, hosts) {
+  if (!result.segments) {
+    return null;
+  }
+  return result.segments.map(segment => ({
+    branch: segment.branch,
+    newMajor: segment.newMajor,
+    fromTag: segment.from,
+    toTag: segment.to,
+    status: segment.status,
+    releaseNotesUrl: releaseNotesUrlFor({ project: result.project, mappedTo: segment.to }, hosts),
+    // The first release of a new major explains the upgrade
+    majorReleaseNotesUrl: segment.newMajor ? releaseNotesUrlFor({ project: result.project, mappedTo: segment.from }, hosts) : null,
+    changes: changesOf(segment.data || {}),
+    changeRecords: changeRecordsOf(segment.data || {})
+  }));
+}
+
+/**
+ * Builds the structured per-release changelogs of a package, newest first
+ * @param {Object} result - Fetched release notes for one package
+ * @param {Object} hosts - Configured hosts, see readHosts()
+ * @returns {Array<Object>|null} The releases, or null when not fetched per release
+ */
+function releasesModel(result, hosts) {
+  if (!result.releases) {
+    return null;
+  }
+  return result.releases.map(release => ({
+    tag: release.to,
+    previousTag: release.from,
+    newMajor: release.newMajor,
+    status: release.status,
+    releaseNotesUrl: releaseNotesUrlFor({ project: result.project, mappedTo: release.to }, hosts),
+    compareUrl: release.from ? compareUrlFor(result.project, release.from, release.to, hosts) : null,
+    changes: changesOf(release.data || {}),
+    changeRecords: changeRecordsOf(release.data || {})
+  })).reverse();
+}
+
+/**
+ * Builds the structured release notes of one package
+ * @param {Object} result - Fetched release notes for one package
+ * @param {Object} hosts - Configured hosts, see readHosts()
+ * @returns {Object} The package entry of the release notes model
+ */
+function packageModel(result, hosts) {
+  const data = result.data || {};
+  const changes = changesOf(data);
+  const entry = {
+    name: result.name,
+    aliases: result.aliases || [],
+    project: result.project,
+    from: result.from,
+    to: result.to,
+    fromTag: result.mappedFrom,
+    toTag: result.mappedTo,
+    // Dependabot's update type, when reported, is authoritative
+    updateLevel: result.updateLevel || updateLevel(result.from, result.to),
+    dependencyType: result.dependencyType || null,
+    directory: result.directory || null,
+    status: result.status,
+    releaseNotesUrl: releaseNotesUrlFor(result, hosts),
+    changes,
+    changeRecords: changeRecordsOf(data),
+    segments: segmentsModel(result, hosts),
+    releases: releasesModel(result, hosts),
+    contributors: collectContributors(changes, hosts),
+    security: result.security || null,
+    requirements: result.requirements || null
+  };
+  if (result.error) {
+    entry.error = result.error;
+  }
+  if (result.missingTags) {
+    entry.missingTags = result.missingTags;
+  }
+  return entry;
+}
+
+/**
+ * Combines the packages of all release notes providers into the model
+ * @param {Array<Object>} packages - drupal/* packages, see packageModel()
+ * @param {Array<Object>} [otherPackages] - Packages of other providers, such as the Composer provider
+ * @returns {{packages: Array<Object>, otherPackages: Array<Object>, hasSecurity: boolean,
+ *   hasChangeRecords: boolean, packagesFailed: number}} The packages in rendering order, and totals across them
+ */
+function assembleReleaseNotesModel(packages, otherPackages = []) {
+  return {
+    packages,
+    otherPackages,
+    hasSecurity: packages.some(pkg => pkg.security !== null && pkg.security.securityReleases.length > 0),
+    hasChangeRecords: packages.some(pkg => pkg.changeRecords.length > 0),
+    packagesFailed: [...packages, ...otherPackages].filter(pkg => FAILED_STATUSES.includes(pkg.status)).length
+  };
+}
+
+/**
+ * Builds the structured release notes exposed as the `json` output
+ * @param {Array<Object>} results - Fetched release notes, one per package
+ * @param {Object} [hosts] - Configured hosts, see readHosts()
+ * @returns {Object} The release notes model, see assembleReleaseNotesModel()
+ */
+function buildReleaseNotesModel(results, hosts = DEFAULT_HOSTS) {
+  return assembleReleaseNotesModel(results.map(result => packageModel(result, hosts)));
+}
+
+module.exports = { buildReleaseNotesModel, assembleReleaseNotesModel, compareUrlFor };
@@ -0,0 +1,92 @@
+const { buildReleaseNotesModel, assembleReleaseNotesModel } = require('./model');
+
+describe('buildReleaseNotesModel', () => {
+  const token = {
+    name: 'drupal/token',
+    project: 'token',
+    from: '1.13.0',
+    to: '1.15.0',
+    mappedFrom: '8.x-1.13',
+    mappedTo: '8.x-1.15',
+    status: 'ok',
+    data: {
+      changes: [
+        { type: 'Bug', changes: [{ nid: '1', link: 'https://www.drupal.org/i/1', type: 'Bug', summary: '#1 by Jane Doe, berdir: Fix tokens' }] },
+        { type: 'Task', changes: [] }
+      ],
+      changeRecords: [{ title: 'New API', link: 'https://www.drupal.org/node/1' }, { title: 'No link' }]
+    },
+    security: { securityReleases: [{ version: '8.x-1.15', advisories: [] }], insecureFrom: false }
+  };
+
+  it('should describe each package', () => {
+    const model = buildReleaseNotesModel([token]);
+
+    expect(model.packages).toEqual([{
+      name: 'drupal/token',
+      aliases: [],
+      project: 'token',
+      from: '1.13.0',
+      to: '1.15.0',
+      fromTag: '8.x-1.13',
+      toTag: '8.x-1.15',
+      updateLevel: 'minor',
+      dependencyType: null,
+      directory: null,
+      status: 'ok',
+      releaseNotesUrl: 'https://www.drupal.org/project/token/releases/8.x-1.15',
+      changes: [{ type: 'Bug', changes: [{ nid: '1', link: 'https://www.drupal.org/i/1', summary: '#1 by Jane Doe, berdir: Fix tokens' }] }],
+      changeRecords: [{ title: 'New API', url: 'https://www.drupal.org/node/1' }],
+      segments: null,
+      releases: null,
+      contributors: [
+        { name: 'berdir', url: 'https://www.drupal.org/u/berdir' },
+        { name: 'Jane Doe', url: 'https://www.drupal.org/u/jane-doe' }
+      ],
+      security: { securityReleases: [{ version: '8.x-1.15', advisories: [] }], insecureFrom: false },
+      requirements: null
+    }]);
+  });
+
+  it('should prefer the update type and keep the dependency metadata reported by Dependabot', () => {
+    const model = buildReleaseNotesModel([{ ...token, updateLevel: 'patch', dependencyType: 'direct:development', directory: '/web' }]);
+
+    expect(model.packages[0]).toMatchObject({ updateLevel: 'patch', dependencyType: 'direct:development', directory: '/web' });
+  });
+
+  it('should total security releases, change records and failures', () => {
+    const model = buildReleaseNotesModel([
+      token,
+      { name: 'drupal/pathauto', project: 'pathauto', from: '1.0.0', to: '1.1.0', mappedFrom: '1.0.0', mappedTo: '1.1.0', status: 'error', error: 'Network error' },
+      { name: 'drupal/redirect', project: 'redirect', from: '1.0.0', to: '1.1.0', mappedFrom: '1.0.0', mappedTo: '1.1.0', status: 'missing-tag', missingTags: ['1.1.0'] }
+    ]);
+
+    expect(model.hasSecurity).toBe(true);
+    expect(model.hasChangeRecords).toBe(true);
+    expect(model.packagesFailed).toBe(2);
+    expect(model.packages[1].error).toBe('Network error');
+    expect(model.packages[2].missingTags).toEqual(['1.1.0']);
+  });
+
+  it('should describe an update without packages', () => {
+    expect(buildReleaseNotesModel([])).toEqual({
+      packages: [],
+      otherPackages: [],
+      hasSecurity: false,
+      hasChangeRecords: false,
+      packagesFailed: 0
+    });
+  });
+});
+
+describe('assembleReleaseNotesModel', () => {
+  it('should count failures of packages from other providers', () => {
+    const model = assembleReleaseNotesModel([], [
+      { provider: 'composer', name: 'symfony/console', status: 'error' },
+      { provider: 'composer', name: 'drush/drush', status: 'unsupported' }
+    ]);
+
+    expect(model.otherPackages).toHaveLength(2);
+    expect(model.packagesFailed).toBe(1);
+  });
+});
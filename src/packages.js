@@ -0,0 +1,71 @@
+// drupal.org project that ships Drupal core and its Composer metapackages
+const CORE_PROJECT = 'drupal';
+
+// drupal/core plus its metapackages and subtree splits, e.g. drupal/core-recommended,
+// drupal/core-composer-scaffold, drupal/core-project-message and drupal/core-dev.
+// Contrib project machine names cannot contain hyphens, so nothing else matches.
+const CORE_PACKAGE_PATTERN = /^drupal\/core(?:-[a-z0-9-]+)?$/;
+
+/**
+ * Resolves the drupal.org project of a Composer package
+ * @param {string} name - The Composer package name (e.g. "drupal/token")
+ * @returns {string|null} The project name, or null for non-Drupal packages
+ */
+function projectForPackage(name) {
+  if (CORE_PACKAGE_PATTERN.test(name)) {
+    return CORE_PROJECT;
+  }
+  if (name.startsWith('drupal/')) {
+    return name.replace('drupal/', '');
+  }
+  return null;
+}
+
+/**
+ * Whether a Dependabot dependency type is a direct requirement
+ * @param {string|null|undefined} dependencyType - E.g. direct:production or indirect
+ * @returns {boolean}
+ */
+function isDirect(dependencyType) {
+  return Boolean(dependencyType && dependencyType.startsWith('direct:'));
+}
+
+/**
+ * Merges packages that resolve to the same project and version range
+ * Grouped core updates move drupal/core and its metapackages together; they
+ * are rendered once, under drupal/core when it is part of the update. The
+ * other package names are kept in `aliases`, and the entry counts as a direct
+ * dependency if any of them is one. Updates in different Composer
+ * directories are kept apart.
+ * @param {Array<Object>} packages - Packages ({ name, project, from, to, directory?, dependencyType? })
+ * @returns {Array<Object>} Deduplicated packages, in order of first appearance
+ */
+function mergePackages(packages) {
+  const merged = [];
+  const byKey = new Map();
+
+  for (const pkg of packages) {
+    const key = `${pkg.project}@${pkg.from}..${pkg.to}${pkg.directory ? ` in ${pkg.directory}` : ''}`;
+    const existing = byKey.get(key);
+    if (!existing) {
+      const entry = { ...pkg, aliases: [] };
+      byKey.set(key, entry);
+      merged.push(entry);
+      continue;
+    }
+
+    if (pkg.name === 'drupal/core') {
+      existing.aliases.unshift(existing.name);
+      existing.name = pkg.name;
+    } else if (pkg.name !== existing.name && !existing.aliases.includes(pkg.name)) {
+      existing.aliases.push(pkg.name);
+    }
+    if (isDirect(pkg.dependencyType) && !isDirect(existing.dependencyType)) {
+      existing.dependencyType = pkg.dependencyType;
+    }
+  }
+
+  return merged;
+}
+
+module.exports = { projectForPackage, mergePackages, CORE_PROJECT };
@@ -0,0 +1,83 @@
+const { projectForPackage, mergePackages } = require('./packages');
+
+describe('projectForPackage', () => {
+  it('should strip the drupal/ vendor for contrib projects', () => {
+    expect(projectForPackage('drupal/token')).toBe('token');
+    expect(projectForPackage('drupal/search_api')).toBe('search_api');
+  });
+
+  it('should map core and its metapackages to the drupal project', () => {
+    expect(projectForPackage('drupal/core')).toBe('drupal');
+    expect(projectForPackage('drupal/core-recommended')).toBe('drupal');
+    expect(projectForPackage('drupal/core-composer-scaffold')).toBe('drupal');
+    expect(projectForPackage('drupal/core-project-message')).toBe('drupal');
+    expect(projectForPackage('drupal/core-dev')).toBe('drupal');
+  });
+
+  it('should not treat contrib projects starting with core as core', () => {
+    expect(projectForPackage('drupal/core_views_facets')).toBe('core_views_facets');
+  });
+
+  it('should ignore non-Drupal packages', () => {
+    expect(projectForPackage('symfony/console')).toBeNull();
+    expect(projectForPackage('drush/drush')).toBeNull();
+  });
+});
+
+describe('mergePackages', () => {
+  const pkg = (name, project, from = '10.2.0', to = '10.2.1') => ({ name, project, from, to });
+
+  it('should merge core metapackages into a single drupal/core entry', () => {
+    const merged = mergePackages([
+      pkg('drupal/core-recommended', 'drupal'),
+      pkg('drupal/token', 'token', '1.13.0', '1.15.0'),
+      pkg('drupal/core', 'drupal'),
+      pkg('drupal/core-composer-scaffold', 'drupal')
+    ]);
+
+    expect(merged).toEqual([
+      { ...pkg('drupal/core', 'drupal'), aliases: ['drupal/core-recommended', 'drupal/core-composer-scaffold'] },
+      { ...pkg('drupal/token', 'token', '1.13.0', '1.15.0'), aliases: [] }
+    ]);
+  });
+
+  it('should keep the first metapackage name when drupal/core is not updated', () => {
+    const merged = mergePackages([
+      pkg('drupal/core-recommended', 'drupal'),
+      pkg('drupal/core-dev', 'drupal')
+    ]);
+
+    expect(merged).toHaveLength(1);
+    expect(merged[0].name).toBe('drupal/core-recommended');
+    expect(merged[0].aliases).toEqual(['drupal/core-dev']);
+  });
+
+  it('should keep the most direct dependency type of merged packages', () => {
+    const merged = mergePackages([
+      { ...pkg('drupal/core', 'drupal'), dependencyType: 'indirect' },
+      { ...pkg('drupal/core-recommended', 'drupal'), dependencyType: 'direct:production' }
+    ]);
+
+    expect(merged).toHaveLength(1);
+    expect(merged[0].dependencyType).toBe('direct:production');
+  });
+
+  it('should keep updates in different directories apart', () => {
+    const merged = mergePackages([
+      { ...pkg('drupal/core', 'drupal'), directory: '/' },
+      { ...pkg('drupal/core', 'drupal'), directory: '/web' },
+      { ...pkg('drupal/core-recommended', 'drupal'), directory: '/web' }
+    ]);
+
+    expect(merged.map(entry => [entry.directory, entry.aliases])).toEqual([['/', []], ['/web', ['drupal/core-recommended']]]);
+  });
+
+  it('should keep entries with different version ranges apart', () => {
+    const merged = mergePackages([
+      pkg('drupal/core', 'drupal'),
+      pkg('drupal/core-dev', 'drupal', '10.1.0', '10.2.1')
+    ]);
+
+    expect(merged).toHaveLength(2);
+  });
+});
@@ -0,0 +1,27 @@
+/**
+ * Maps items through an async function with at most `limit` calls in flight
+ * Results keep the order of the input, regardless of completion order. The
+ * mapper is expected to handle its own errors; a rejection rejects the whole
+ * map, like Promise.all().
+ * @param {Array} items - Items to map
+ * @param {number} limit - Maximum number of concurrent calls (at least 1)
+ * @param {Function} mapper - Async function called with (item, index)
+ * @returns {Promise<Array>} The mapped results in input order
+ */
+async function mapWithConcurrency(items, limit, mapper) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  async function worker() {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await mapper(items[index], index);
+    }
+  }
+
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+}
+
+module.exports = { mapWithConcurrency };
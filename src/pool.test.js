@@ -0,0 +1,62 @@
+const { mapWithConcurrency } = require('./pool');
+
+/**
+ * Creates a promise that can be resolved from the outside
+ */
+function deferred() {
+  let resolve;
+  const promise = new Promise(r => {
+    resolve = r;
+  });
+  return { promise, resolve };
+}
+
+describe('mapWithConcurrency', () => {
+  it('should keep results in input order', async () => {
+    const delays = [30, 10, 20, 0];
+
+    const results = await mapWithConcurrency(delays, 4, async (delay, index) => {
+      await new Promise(resolve => setTimeout(resolve, delay));
+      return index;
+    });
+
+    expect(results).toEqual([0, 1, 2, 3]);
+  });
+
+  it('should never exceed the concurrency limit', async () => {
+    const pending = Array.from({ length: 5 }, deferred);
+    let inFlight = 0;
+    let maxInFlight = 0;
+
+    const mapping = mapWithConcurrency(pending, 2, async item => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await item.promise;
+      inFlight--;
+    });
+
+    for (const item of pending) {
+      await new Promise(resolve => setImmediate(resolve));
+      item.resolve();
+    }
+    await mapping;
+
+    expect(maxInFlight).toBe(2);
+  });
+
+  it('should handle an empty list', async () => {
+    const mapper = jest.fn();
+
+    expect(await mapWithConcurrency([], 4, mapper)).toEqual([]);
+    expect(mapper).not.toHaveBeenCalled();
+  });
+
+  it('should reject when the mapper rejects', async () => {
+    await expect(mapWithConcurrency([1, 2], 2, async item => {
+      if (item === 2) {
+        throw new Error('boom');
+      }
+      return item;
+    })).rejects.toThrow('boom');
+  });
+});
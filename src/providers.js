@@ -0,0 +1,65 @@
+const { fetchReleaseNotes } = require('./changelog');
+const { buildReleaseNotesModel } = require('./model');
+const { projectForPackage } = require('./packages');
+
+/**
+ * A source of release notes for some of the updated packages
+ * @typedef {Object} ReleaseNotesProvider
+ * @property {string} name - Identifies the provider, e.g. "drupal" or "composer"
+ * @property {Function} supports - Called with an update ({ name, from, to });
+ *   whether the provider fetches its release notes
+ * @property {Function} fetchReleaseNotes - Called with the supported updates and
+ *   the fetch options ({ hosts, http, cache, concurrency, ... }); resolves to
+ *   the release notes model packages of those updates, see ProviderPackage
+ */
+
+/**
+ * A package returned by a provider other than Drupal
+ * @typedef {Object} ProviderPackage
+ * @property {string} name - The Composer package name
+ * @property {string} from - The installed version
+ * @property {string} to - The new version
+ * @property {string} status - 'ok', 'empty', 'unsupported', 'unavailable' or 'error'
+ * @property {Array<{name: string, url: string, body: string}>} [releases] - Release notes of
+ *   the releases after `from` up to and including `to`
+ * @property {{file: string, url: string, excerpt: string}|null} [changelog] - Excerpt of the
+ *   changelog file, when there are no release notes
+ * @property {string} [releaseNotesUrl] - Where to read the notes of `to`
+ * @property {string} [compareUrl] - The diff between `from` and `to`
+ * @property {string} [repositoryUrl] - Links issue references in the quoted notes
+ * @property {string} [error] - Why fetching failed, with the status 'error'
+ */
+
+/**
+ * Creates the default provider, fetching drupal.org release notes of drupal/* packages
+ * @returns {ReleaseNotesProvider} The provider
+ */
+function createDrupalProvider() {
+  return {
+    name: 'drupal',
+    supports: update => projectForPackage(update.name) !== null,
+    fetchReleaseNotes: async (updates, options) => (
+      buildReleaseNotesModel(await fetchReleaseNotes(updates, options), options.hosts).packages
+    )
+  };
+}
+
+/**
+ * Assigns each update to the first provider that supports it
+ * Updates no provider supports are skipped.
+ * @param {Array<{name: string, from: string, to: string}>} updates - The updated Composer packages
+ * @param {Array<ReleaseNotesProvider>} providers - The providers, in order of precedence
+ * @returns {Array<Array<Object>>} The updates of each provider, in provider order
+ */
+function assignUpdates(updates, providers) {
+  const assigned = providers.map(() => []);
+  for (const update of updates) {
+    const index = providers.findIndex(provider => provider.supports(update));
+    if (index !== -1) {
+      assigned[index].push(update);
+    }
+  }
+  return assigned;
+}
+
+module.exports = { createDrupalProvider, assignUpdates };
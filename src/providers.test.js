@@ -0,0 +1,74 @@
+const { createDrupalProvider, assignUpdates } = require('./providers');
+const { createHttpClient } = require('./http');
+const { createCache } = require('./cache');
+const { DEFAULT_HOSTS } = require('./config');
+
+jest.mock('@actions/core');
+
+// Mock global fetch
+global.fetch = jest.fn();
+
+describe('createDrupalProvider', () => {
+  const provider = createDrupalProvider();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should support drupal/* packages only', () => {
+    expect(provider.name).toBe('drupal');
+    expect(provider.supports({ name: 'drupal/token', from: '1.13.0', to: '1.15.0' })).toBe(true);
+    expect(provider.supports({ name: 'drupal/core-recommended', from: '10.2.1', to: '10.2.3' })).toBe(true);
+    expect(provider.supports({ name: 'drush/drush', from: '13.1.0', to: '13.3.0' })).toBe(false);
+  });
+
+  it('should resolve to the release notes model packages of the updates', async () => {
+    global.fetch.mockImplementation(async url => ({
+      ok: true,
+      status: 200,
+      json: async () => (url.includes('/project?')
+        ? { tags: [] }
+        : {
+          changes: [{ type: 'Bug', changes: [{ nid: '1', link: 'https://www.drupal.org/i/1', type: 'Bug', summary: '#1: Fix tokens' }] }],
+          changeRecords: []
+        })
+    }));
+
+    const packages = await provider.fetchReleaseNotes([{ name: 'drupal/token', from: '1.13.0', to: '1.15.0' }], {
+      hosts: DEFAULT_HOSTS,
+      http: createHttpClient({ retries: 0 }),
+      cache: createCache(),
+      concurrency: 1
+    });
+
+    expect(packages).toHaveLength(1);
+    expect(packages[0]).toMatchObject({
+      name: 'drupal/token',
+      project: 'token',
+      status: 'ok',
+      changes: [{ type: 'Bug', changes: [{ nid: '1', link: 'https://www.drupal.org/i/1' }] }]
+    });
+  });
+});
+
+describe('assignUpdates', () => {
+  const provider = (name, prefix) => ({ name, supports: update => update.name.startsWith(prefix) });
+
+  it('should give each update to the first provider that supports it', () => {
+    const updates = [
+      { name: 'drupal/token', from: '1.13.0', to: '1.15.0' },
+      { name: 'drush/drush', from: '13.1.0', to: '13.3.0' },
+      { name: 'drupal/core', from: '10.2.1', to: '10.2.3' }
+    ];
+
+    expect(assignUpdates(updates, [provider('drupal', 'drupal/'), provider('any', ''), provider('drush', 'drush/')])).toEqual([
+      [updates[0], updates[2]],
+      [updates[1]],
+      []
+    ]);
+  });
+
+  it('should skip updates no provider supports', () => {
+    expect(assignUpdates([{ name: 'php', from: '8.2', to: '8.3' }], [provider('drupal', 'drupal/')])).toEqual([[]]);
+  });
+});
@@ -0,0 +1,221 @@
+const core = require('@actions/core');
+const { DEFAULT_HOSTS } = require('./config');
+const { createHttpClient } = require('./http');
+const { createCache } = require('./cache');
+
+// Stability order of dev and pre-releases, as Composer sorts them
+const STABILITY_ORDER = { dev: 0, alpha: 1, a: 1, beta: 2, b: 2, rc: 3, stable: 4 };
+
+/**
+ * Decodes the XML entities used in drupal.org release history
+ * @param {string} value - Raw XML text
+ * @returns {string} The decoded text
+ */
+function decodeXml(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+    .trim();
+}
+
+/**
+ * Reads the text of the first matching element in an XML fragment
+ * @param {string} xml - The XML fragment
+ * @param {string} name - The element name
+ * @returns {string|null} The decoded element text, or null if missing
+ */
+function elementText(xml, name) {
+  const match = xml.match(new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`));
+  return match ? decodeXml(match[1]) : null;
+}
+
+// IDs of drupal.org security advisories, e.g. SA-CONTRIB-2024-001
+const ADVISORY_PATTERN = /\bSA-(?:CORE|CONTRIB)-\d{4}-\d+\b/gi;
+
+/**
+ * Parses drupal.org release history XML
+ * @param {string} xml - The release history document
+ * @returns {Array<{version: string, types: Array<string>, advisories: Array<string>}>} Releases with their
+ *   release types and the IDs of the security advisories they name
+ */
+function parseReleaseHistory(xml) {
+  const releases = [];
+  for (const [, releaseXml] of xml.matchAll(/<release>([\s\S]*?)<\/release>/g)) {
+    const version = elementText(releaseXml, 'version');
+    if (!version) {
+      continue;
+    }
+    const types = [];
+    for (const [, termXml] of releaseXml.matchAll(/<term>([\s\S]*?)<\/term>/g)) {
+      if (elementText(termXml, 'name') === 'Release type') {
+        types.push(elementText(termXml, 'value'));
+      }
+    }
+    const advisories = [...new Set((releaseXml.match(ADVISORY_PATTERN) || []).map(id => id.toUpperCase()))];
+    releases.push({ version, types, advisories });
+  }
+  return releases;
+}
+
+/**
+ * Drops the v prefix of a version, e.g. v2.0.0
+ * @param {string} version - The version
+ * @returns {string} The version without its prefix
+ */
+function stripVersionPrefix(version) {
+  return version.replace(/^v(?=\d)/, '');
+}
+
+/**
+ * Parses a release version or tag into comparable parts
+ * Legacy core prefixes are dropped, so 8.x-1.15 and 1.15.0 compare equal.
+ * Missing parts count as zero, so 8.1 and 8.1.0 compare equal too.
+ * @param {string} version - A version such as 8.x-1.15, 2.0.0-beta3 or 10.2.1
+ * @returns {Array<number>|null} [major, minor, patch, fourth part, stability, stability number],
+ *   or null for branch releases such as 8.x-1.x-dev
+ */
+function parseVersion(version) {
+  const match = version
+    .trim()
+    .replace(/^\d+\.x-/, '')
+    .match(/^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:\.(\d+))?(?:-?(dev|alpha|a|beta|b|rc)\.?(\d*))?$/i);
+  if (!match) {
+    return null;
+  }
+  const stability = match[5] ? STABILITY_ORDER[match[5].toLowerCase()] : STABILITY_ORDER.stable;
+  return [
+    Number(match[1]),
+    Number(match[2] || 0),
+    Number(match[3] || 0),
+    Number(match[4] || 0),
+    stability,
+    Number(match[6] || 0)
+  ];
+}
+
+/**
+ * Compares two parsed versions like a sort comparator
+ * @param {Array<number>} a - First version, see parseVersion()
+ * @param {Array<number>} b - Second version
+ * @returns {number} Negative, zero or positive
+ */
+function compareParts(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) {
+      return a[i] - b[i];
+    }
+  }
+  return 0;
+}
+
+/**
+ * Compares two release versions
+ * @param {string} a - First version
+ * @param {string} b - Second version
+ * @returns {number|null} Negative, zero or positive like a sort comparator; null if either is not comparable
+ */
+function compareVersions(a, b) {
+  const partsA = parseVersion(a);
+  const partsB = parseVersion(b);
+  if (!partsA || !partsB) {
+    return null;
+  }
+  return compareParts(partsA, partsB);
+}
+
+/**
+ * Classifies an update by the most significant version part that changed
+ * @param {string} from - The installed version or tag
+ * @param {string} to - The new version or tag
+ * @returns {string|null} 'major', 'minor' or 'patch', or null if either is not comparable
+ */
+function updateLevel(from, to) {
+  const partsFrom = parseVersion(from);
+  const partsTo = parseVersion(to);
+  if (!partsFrom || !partsTo) {
+    return null;
+  }
+  if (partsFrom[0] !== partsTo[0]) {
+    return 'major';
+  }
+  return partsFrom[1] !== partsTo[1] ? 'minor' : 'patch';
+}
+
+/**
+ * Summarizes the security status of an update from the release history
+ * @param {Array<Object>} releases - Parsed release history, see parseReleaseHistory()
+ * @param {string} from - The installed version or tag
+ * @param {string} to - The new version or tag
+ * @returns {{securityReleases: Array<{version: string, advisories: Array<string>}>, insecureFrom: boolean}} Security
+ *   releases after `from` up to and including `to`, and whether `from` is marked insecure
+ */
+function securityStatus(releases, from, to) {
+  const securityReleases = releases
+    .filter(release => release.types.includes('Security update'))
+    .filter(release => {
+      const afterFrom = compareVersions(release.version, from);
+      const upToTo = compareVersions(release.version, to);
+      return afterFrom !== null && upToTo !== null && afterFrom > 0 && upToTo <= 0;
+    })
+    .map(release => ({ version: release.version, advisories: release.advisories || [] }));
+
+  const installed = releases.find(release => compareVersions(release.version, from) === 0);
+  const insecureFrom = Boolean(installed && installed.types.includes('Insecure'));
+
+  return { securityReleases, insecureFrom };
+}
+
+/**
+ * Fetches the release history of a project from drupal.org
+ * @param {string} project - The Drupal project name
+ * @param {string} tag - A tag of the project, used to pick the Drupal 7 history
+ * @param {Object} [options] - Request options
+ * @param {Object} [options.hosts] - Configured hosts, see readHosts()
+ * @param {Object} [options.http] - HTTP client, see createHttpClient()
+ * @param {Object} [options.cache] - Response cache, see createCache()
+ * @param {Object} [options.logger] - Receives failures; @actions/core by default
+ * @returns {Promise<Array<Object>|null>} Parsed releases, or null when unavailable
+ */
+async function fetchReleaseHistory(project, tag, {
+  hosts = DEFAULT_HOSTS,
+  http = createHttpClient(),
+  cache = createCache(),
+  logger = core
+} = {}) {
+  const channel = tag.startsWith('7.x-') ? '7.x' : 'current';
+  const url = `${hosts.updatesUrl}/release-history/${encodeURIComponent(project)}/${channel}`;
+
+  const cached = await cache.get(url);
+  if (cached) {
+    return cached;
+  }
+
+  try {
+    const response = await http.fetch(url);
+    if (!response.ok) {
+      logger.warning(`Failed to fetch release history for ${project}: ${response.status}`);
+      return null;
+    }
+    const releases = parseReleaseHistory(await response.text());
+    await cache.set(url, releases, cache.tagsTtl);
+    return releases;
+  } catch (error) {
+    logger.warning(`Error fetching release history for ${project}: ${error.message}`);
+    return null;
+  }
+}
+
+module.exports = {
+  fetchReleaseHistory,
+  parseReleaseHistory,
+  parseVersion,
+  compareParts,
+  compareVersions,
+  stripVersionPrefix,
+  updateLevel,
+  STABILITY_ORDER,
+  securityStatus
+};
@@ -0,0 +1,184 @@
+const {
+  fetchReleaseHistory,
+  parseReleaseHistory,
+  compareVersions,
+  stripVersionPrefix,
+  updateLevel,
+  securityStatus
+} = require('./release-history');
+const { createHttpClient } = require('./http');
+const core = require('@actions/core');
+
+jest.mock('@actions/core');
+
+// Mock global fetch
+global.fetch = jest.fn();
+
+const releaseHistoryXml = `<?xml version="1.0" encoding="utf-8"?>
+<project xmlns:dc="http://purl.org/dc/elements/1.1/">
+<title>Token</title>
+<short_name>token</short_name>
+<releases>
+<release>
+<name>token 8.x-1.15</name>
+<version>8.x-1.15</version>
+<tag>8.x-1.15</tag>
+<status>published</status>
+<release_link>https://www.drupal.org/project/token/releases/8.x-1.15</release_link>
+<security covered="1">Covered by Drupal&apos;s security advisory policy</security>
+<terms>
+<term><name>Release type</name><value>Security update</value></term>
+<term><name>Release type</name><value>Bug fixes</value></term>
+<term><name>Security advisory</name><value>SA-CONTRIB-2024-001</value></term>
+<term><name>Security advisory</name><value>sa-contrib-2024-001</value></term>
+</terms>
+</release>
+<release>
+<name>token 8.x-1.14</name>
+<version>8.x-1.14</version>
+<release_link>https://www.drupal.org/project/token/releases/8.x-1.14</release_link>
+<terms>
+<term><name>Release type</name><value>Insecure</value></term>
+<term><name>Release type</name><value>New features</value></term>
+</terms>
+</release>
+<release>
+<name>token 8.x-1.13</name>
+<version>8.x-1.13</version>
+<release_link>https://www.drupal.org/project/token/releases/8.x-1.13</release_link>
+<terms>
+<term><name>Release type</name><value>Insecure</value></term>
+<term><name>Release type</name><value>Security update</value></term>
+</terms>
+</release>
+<release>
+<name>token 8.x-1.x-dev</name>
+<version>8.x-1.x-dev</version>
+</release>
+</releases>
+</project>`;
+
+describe('parseReleaseHistory', () => {
+  it('should parse versions, release types and security advisories', () => {
+    const releases = parseReleaseHistory(releaseHistoryXml);
+
+    expect(releases).toHaveLength(4);
+    expect(releases[0]).toEqual({
+      version: '8.x-1.15',
+      types: ['Security update', 'Bug fixes'],
+      advisories: ['SA-CONTRIB-2024-001']
+    });
+    expect(releases[1].types).toEqual(['Insecure', 'New features']);
+    expect(releases[3]).toEqual({ version: '8.x-1.x-dev', types: [], advisories: [] });
+  });
+
+  it('should handle documents without releases', () => {
+    expect(parseReleaseHistory('<error>No release history was found for the requested project (nope).</error>')).toEqual([]);
+  });
+});
+
+describe('compareVersions', () => {
+  it('should compare legacy tags with Semver versions', () => {
+    expect(compareVersions('8.x-1.15', '1.15.0')).toBe(0);
+    expect(compareVersions('8.x-1.15', '8.x-1.14')).toBeGreaterThan(0);
+    expect(compareVersions('10.2.1', '10.10.0')).toBeLessThan(0);
+  });
+
+  it('should order pre-releases before stable releases', () => {
+    expect(compareVersions('2.0.0-beta3', '2.0.0-rc1')).toBeLessThan(0);
+    expect(compareVersions('8.x-2.0-rc1', '2.0.0')).toBeLessThan(0);
+    expect(compareVersions('2.0.0-alpha12', '2.0.0-alpha2')).toBeGreaterThan(0);
+  });
+
+  it('should order Composer stabilities like Composer', () => {
+    expect(compareVersions('2.0.0-dev', '2.0.0-alpha1')).toBeLessThan(0);
+    expect(compareVersions('2.0.0-a1', '2.0.0-alpha1')).toBe(0);
+    expect(compareVersions('2.0.0-b2', '2.0.0-beta.2')).toBe(0);
+    expect(compareVersions('v2.0.0-RC1', '2.0.0')).toBeLessThan(0);
+  });
+
+  it('should treat missing parts as zero', () => {
+    expect(compareVersions('8.1', '8.1.0')).toBe(0);
+    expect(compareVersions('11', '10.3.1')).toBeGreaterThan(0);
+    expect(compareVersions('1.2.3.4', '1.2.3')).toBeGreaterThan(0);
+  });
+
+  it('should not compare branch releases', () => {
+    expect(compareVersions('8.x-1.x-dev', '1.15.0')).toBeNull();
+    expect(compareVersions('2.0.x-dev', '2.0.0')).toBeNull();
+  });
+});
+
+describe('stripVersionPrefix', () => {
+  it('should only drop a v before a number', () => {
+    expect(stripVersionPrefix('v2.0.0')).toBe('2.0.0');
+    expect(stripVersionPrefix('2.0.0')).toBe('2.0.0');
+    expect(stripVersionPrefix('vendor')).toBe('vendor');
+  });
+});
+
+describe('updateLevel', () => {
+  it('should classify updates by the most significant changed part', () => {
+    expect(updateLevel('10.3.1', '11.0.0')).toBe('major');
+    expect(updateLevel('8.x-1.13', '1.15.0')).toBe('minor');
+    expect(updateLevel('10.2.1', '10.2.3')).toBe('patch');
+    expect(updateLevel('2.0.0-beta3', '2.0.0')).toBe('patch');
+  });
+
+  it('should not classify dev releases', () => {
+    expect(updateLevel('1.x-dev', '1.15.0')).toBeNull();
+  });
+});
+
+describe('securityStatus', () => {
+  const releases = parseReleaseHistory(releaseHistoryXml);
+
+  it('should list security releases after from up to and including to', () => {
+    expect(securityStatus(releases, '8.x-1.13', '8.x-1.15')).toEqual({
+      securityReleases: [
+        { version: '8.x-1.15', advisories: ['SA-CONTRIB-2024-001'] }
+      ],
+      insecureFrom: true
+    });
+  });
+
+  it('should report routine updates as such', () => {
+    expect(securityStatus(releases, '8.x-1.15', '8.x-1.16')).toEqual({
+      securityReleases: [],
+      insecureFrom: false
+    });
+  });
+});
+
+describe('fetchReleaseHistory', () => {
+  const http = createHttpClient({ retries: 0 });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    global.fetch.mockReset();
+  });
+
+  it('should fetch the current release history', async () => {
+    global.fetch.mockResolvedValue({ ok: true, status: 200, text: async () => releaseHistoryXml });
+
+    const releases = await fetchReleaseHistory('token', '8.x-1.15', { http });
+
+    expect(global.fetch).toHaveBeenCalledWith('https://updates.drupal.org/release-history/token/current', expect.anything());
+    expect(releases).toHaveLength(4);
+  });
+
+  it('should use the Drupal 7 release history for 7.x tags', async () => {
+    global.fetch.mockResolvedValue({ ok: true, status: 200, text: async () => '<project></project>' });
+
+    await fetchReleaseHistory('token', '7.x-1.8', { http, hosts: { updatesUrl: 'http://localhost:8080' } });
+
+    expect(global.fetch).toHaveBeenCalledWith('http://localhost:8080/release-history/token/7.x', expect.anything());
+  });
+
+  it('should return null when the release history is unavailable', async () => {
+    global.fetch.mockResolvedValue({ ok: false, status: 404 });
+
+    expect(await fetchReleaseHistory('nope', '1.0.0', { http })).toBeNull();
+    expect(core.warning).toHaveBeenCalledWith('Failed to fetch release history for nope: 404');
+  });
+});
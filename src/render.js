@@ -0,0 +1,514 @@
+const { DEFAULT_HOSTS } = require('./config');
+const { compareUrlFor } = require('./model');
+const { getDefaultTemplate } = require('./template');
+const { arrangeChangeTypes } = require('./change-types');
+
+// GitHub rejects PR bodies and comments longer than this many characters
+const MAX_BODY_LENGTH = 65536;
+
+// Number of changes listed per type before linking to the full release notes
+const DEFAULT_MAX_CHANGES_PER_TYPE = 20;
+
+// Progressively smaller per-type limits tried when the output is over budget
+const FALLBACK_CHANGE_LIMITS = [10, 5, 1, 0];
+
+const RELEASE_NOTES_HEADING = '## Drupal Release Notes';
+
+// How Dependabot's dependency types read in the notes
+const DEPENDENCY_TYPE_LABELS = {
+  'direct:production': 'a direct production dependency',
+  'direct:development': 'a direct development dependency',
+  indirect: 'an indirect dependency'
+};
+
+// GitHub @mentions, which would notify people when quoted in the PR
+const MENTION_PATTERN = /(^|[^\w`/])@([a-z\d](?:[a-z\d-]*[a-z\d])?)(?![\w-])/gi;
+
+// Bare issue references, which GitHub would link to the PR's own repository
+const ISSUE_REFERENCE_PATTERN = /(^|[\s(])#(\d+)\b/g;
+
+// Opening and closing lines of fenced code blocks
+const CODE_FENCE_PATTERN = /^\s*(`{3,}|~{3,})/;
+
+// Statuses of segments and releases whose changelog was retrieved, or that
+// start a new major branch and have none to retrieve
+const RETRIEVED_STATUSES = ['ok', 'empty', 'first-release'];
+
+/**
+ * Removes the issue ID prefix drupal.org commit titles start with
+ * @param {Object} change - A change from the drupal-mrn changelog response
+ * @returns {string} The summary without a prefix matching the change's issue
+ */
+function cleanSummary(change) {
+  // Handle null nid (no issue ID in commit title)
+  if (change.nid === null) {
+    return change.summary;
+  }
+
+  // Remove the issue ID prefix from summary
+  // Handle traditional format: #12345: or #12345 by author:
+  // Also handle conventional commit format: [#12345] (remove if it matches the nid)
+  let summaryWithoutId = change.summary;
+
+  // First, remove traditional format: #12345: or #12345 by author:
+  summaryWithoutId = summaryWithoutId.replace(/^#[0-9]+(?:\s+by\s+[^:]+)?:\s*/, '');
+
+  // Then, remove conventional commit format [#12345] if it matches the nid
+  // This prevents duplication like "#3554196: [#3554196] fix..." -> "fix..."
+  const conventionalCommitPattern = new RegExp(`^\\[#${change.nid}\\]\\s*`, 'i');
+  summaryWithoutId = summaryWithoutId.replace(conventionalCommitPattern, '');
+
+  // Clean up any leading whitespace after removals
+  return summaryWithoutId.trim();
+}
+
+/**
+ * Formats a count with a singular or plural noun
+ * @param {number} count - The count
+ * @param {string} noun - The singular noun
+ * @returns {string} E.g. "1 change" or "3 changes"
+ */
+function pluralize(count, noun) {
+  return `${count} ${count === 1 ? noun : `${noun}s`}`;
+}
+
+/**
+ * Summarizes how many changes and change records a changelog has
+ * @param {number} changeCount - Number of changes
+ * @param {number} changeRecordCount - Number of change records
+ * @returns {string} E.g. "12 changes, 1 change record"
+ */
+function summaryOf(changeCount, changeRecordCount) {
+  const summary = pluralize(changeCount, 'change');
+  return changeRecordCount > 0 ? `${summary}, ${pluralize(changeRecordCount, 'change record')}` : summary;
+}
+
+/**
+ * Keeps at most `limit` items of a list and describes the rest
+ * @param {Array<*>} items - The list
+ * @param {number} limit - Maximum number of items to keep
+ * @returns {{items: Array<*>, more: number, moreLabel: string}} The kept items,
+ *   how many were left out and e.g. "5 more changes"
+ */
+function trimList(items, limit) {
+  const more = Math.max(0, items.length - limit);
+  return { items: items.slice(0, limit), more, moreLabel: `${more} more ${more === 1 ? 'change' : 'changes'}` };
+}
+
+/**
+ * Renders the security banners of a package
+ * @param {Object} pkg - A package of the release notes model
+ * @param {Object} hosts - Configured hosts, see readHosts()
+ * @returns {string} GitHub alert blocks, or an empty string
+ */
+function renderSecurityNotice(pkg, hosts) {
+  if (!pkg.security) {
+    return '';
+  }
+  const { securityReleases, insecureFrom } = pkg.security;
+  let markdown = '';
+
+  if (securityReleases.length > 0) {
+    const links = securityReleases
+      .map(release => {
+        const releaseLink = `[${release.version}](${hosts.drupalOrgUrl}/project/${pkg.project}/releases/${release.version})`;
+        const advisories = release.advisories
+          .map(id => `[${id}](${hosts.drupalOrgUrl}/${id.toLowerCase()})`)
+          .join(', ');
+        return advisories ? `${releaseLink} (${advisories})` : releaseLink;
+      })
+      .join(', ');
+    const releases = securityReleases.length === 1 ? 'a security release' : 'security releases';
+    markdown += `> [!CAUTION]\n> **This update includes ${releases}:** ${links}.`;
+
+    // The release history does not always name the advisory
+    if (securityReleases.some(release => release.advisories.length === 0)) {
+      const advisoriesUrl = `${hosts.drupalOrgUrl}/security/${pkg.project === 'drupal' ? 'core' : 'contrib'}`;
+      markdown += ` See the [drupal.org security advisories](${advisoriesUrl}) for the advisory of each release.`;
+    }
+    markdown += '\n\n';
+  }
+
+  if (insecureFrom) {
+    markdown += `> [!WARNING]\n> The installed version ${pkg.from} is marked insecure on drupal.org.\n\n`;
+  }
+
+  return markdown;
+}
+
+/**
+ * Describes the update as reported by Dependabot
+ * @param {Object} pkg - A package of the release notes model
+ * @returns {string} E.g. "Minor update of a direct production dependency in `/web`",
+ *   or an empty string when Dependabot did not report the dependency type or directory
+ */
+function describeDependency(pkg) {
+  const directory = pkg.directory && pkg.directory !== '/' ? pkg.directory : null;
+  if (!pkg.dependencyType && !directory) {
+    return '';
+  }
+  const level = pkg.updateLevel ? `${pkg.updateLevel[0].toUpperCase()}${pkg.updateLevel.slice(1)} update` : 'Update';
+  const dependency = DEPENDENCY_TYPE_LABELS[pkg.dependencyType] || 'a dependency';
+  return `${level} of ${dependency}${directory ? ` in \`${directory}\`` : ''}`;
+}
+
+/**
+ * Renders how the Composer requirements changed between the two releases
+ * @param {Object} pkg - A package of the release notes model
+ * @returns {string} The "Requirements changed" block, or an empty string
+ */
+function renderRequirements(pkg) {
+  if (!pkg.requirements) {
+    return '';
+  }
+  const { core, php, added, removed, changed, excludesLockedCore } = pkg.requirements;
+  const constraint = value => (value ? `\`${value}\`` : '_none_');
+  let markdown = '';
+
+  if (excludesLockedCore) {
+    markdown += `> [!WARNING]\n> ${pkg.to} requires drupal/core ${constraint(core.to)}, ` +
+      `which excludes the locked drupal/core ${excludesLockedCore}.\n\n`;
+  }
+
+  markdown += '**Requirements changed**\n\n';
+  if (core) {
+    markdown += `* Drupal core: ${constraint(core.from)} → ${constraint(core.to)}\n`;
+  }
+  if (php) {
+    markdown += `* PHP: ${constraint(php.from)} → ${constraint(php.to)}\n`;
+  }
+  for (const requirement of added) {
+    markdown += `* Added \`${requirement.name}\` ${constraint(requirement.constraint)}\n`;
+  }
+  for (const requirement of removed) {
+    markdown += `* Removed \`${requirement.name}\` ${constraint(requirement.constraint)}\n`;
+  }
+  for (const requirement of changed) {
+    markdown += `* Changed \`${requirement.name}\`: ${constraint(requirement.from)} → ${constraint(requirement.to)}\n`;
+  }
+
+  return `${markdown}\n`;
+}
+
+/**
+ * Prepares release notes of another repository for quoting in the PR
+ * Headings become bold lines so they do not break the layout, @mentions are
+ * wrapped in code so nobody is notified, and issue references link to the
+ * source repository; code blocks are left alone. The notes are cut after
+ * `limit` non-blank lines, closing a code block left open.
+ * @param {string} markdown - Release notes or a changelog excerpt
+ * @param {string} repositoryUrl - The source repository
+ * @param {number} limit - Maximum number of non-blank lines
+ * @returns {{notes: string, more: number, moreLabel: string}} The quoted notes,
+ *   how many lines were cut and e.g. "5 more lines"
+ */
+function quoteReleaseNotes(markdown, repositoryUrl, limit) {
+  const lines = markdown.replace(/\r\n?/g, '\n').trim().split('\n');
+  const kept = [];
+  let fence = null;
+  let quoted = 0;
+  let more = 0;
+  for (const line of lines) {
+    if (line.trim()) {
+      if (quoted >= limit) {
+        more++;
+        continue;
+      }
+      quoted++;
+    }
+    const fenceMatch = line.match(CODE_FENCE_PATTERN);
+    if (fenceMatch) {
+      fence = fence === null ? fenceMatch[1] : null;
+      kept.push(line);
+    } else if (fence !== null) {
+      kept.push(line);
+    } else {
+      kept.push(line
+        .replace(/^#{1,6}\s+(.*?)\s*#*\s*$/, '**$1**')
+        .replace(MENTION_PATTERN, '$1`@$2`')
+        .replace(ISSUE_REFERENCE_PATTERN, `$1[#$2](${repositoryUrl}/issues/$2)`));
+    }
+  }
+  if (fence !== null && more > 0) {
+    kept.push(fence);
+  }
+  return { notes: kept.join('\n').trim(), more, moreLabel: pluralize(more, 'more line') };
+}
+
+/**
+ * Builds the anchors GitHub generates for the package headings
+ * Headings are slugged by lowercasing, dropping punctuation and replacing
+ * spaces with hyphens; repeated headings get a numeric suffix.
+ * @param {Array<Object>} packages - Packages of the release notes model
+ * @returns {Array<string>} The anchor of each package heading, in order
+ */
+function packageAnchors(packages) {
+  const seen = new Map();
+  return packages.map(pkg => {
+    const slug = pkg.name.toLowerCase().replace(/[^\p{L}\p{N}\s_-]/gu, '').replace(/\s/g, '-');
+    const count = seen.get(slug) || 0;
+    seen.set(slug, count + 1);
+    return count === 0 ? slug : `${slug}-${count}`;
+  });
+}
+
+/**
+ * Builds the template fields of a list of change groups
+ * @param {Array<Object>} typeGroups - Change groups of the release notes model
+ * @param {Object} options - Rendering options
+ * @param {number} options.limit - Maximum number of changes listed per type
+ * @param {Object} [options.changeTypes] - Change type options, see readChangeTypeOptions()
+ * @returns {Object} The arranged `types` with trimmed changes, the changes of
+ *   types left out as `otherChanges`, and `changeCountsByType`
+ */
+function changeListView(typeGroups, { limit, changeTypes }) {
+  const { types, other } = arrangeChangeTypes(typeGroups, changeTypes);
+  const otherChanges = other.reduce((count, typeGroup) => count + typeGroup.changes.length, 0);
+
+  const changeCountsByType = types.map(typeGroup => `${typeGroup.changes.length} ${typeGroup.type}`);
+  if (otherChanges > 0) {
+    changeCountsByType.push(`${otherChanges} other`);
+  }
+
+  return {
+    changeCountsByType: changeCountsByType.join(', ') || '0',
+    types: types.map(typeGroup => {
+      const trimmed = trimList(typeGroup.changes, limit);
+      return {
+        type: typeGroup.type,
+        count: typeGroup.changes.length,
+        changes: trimmed.items.map(change => ({ ...change, summary: cleanSummary(change) })),
+        more: trimmed.more,
+        moreLabel: trimmed.moreLabel
+      };
+    }),
+    otherChanges,
+    otherChangesLabel: `${otherChanges} other ${otherChanges === 1 ? 'change' : 'changes'}`,
+    otherTypes: other.map(typeGroup => typeGroup.type).join(', ')
+  };
+}
+
+/**
+ * Builds the template fields of one branch segment of a major update
+ * @param {Object} segment - A segment of a package in the release notes model
+ * @param {Object} options - Rendering options, see changeListView()
+ * @returns {Object} The segment view
+ */
+function segmentView(segment, options) {
+  const range = segment.fromTag === segment.toTag ? segment.toTag : `${segment.fromTag} → ${segment.toTag}`;
+  return {
+    ...segment,
+    heading: segment.newMajor
+      ? `Upgrading to a new major version: ${segment.branch} (${range})`
+      : `Rest of the ${segment.branch} branch (${range})`,
+    failed: !RETRIEVED_STATUSES.includes(segment.status),
+    ...changeListView(segment.changes, options)
+  };
+}
+
+/**
+ * Builds the template fields of one release of a per-release breakdown
+ * @param {Object} release - A release of a package in the release notes model
+ * @param {Object} options - Rendering options, see changeListView()
+ * @returns {Object} The release view
+ */
+function releaseView(release, options) {
+  const changeCount = release.changes.reduce((count, typeGroup) => count + typeGroup.changes.length, 0);
+  const changeRecords = trimList(release.changeRecords, options.limit);
+  return {
+    ...release,
+    summary: release.status === 'first-release' ? 'new major version' : summaryOf(changeCount, release.changeRecords.length),
+    failed: !RETRIEVED_STATUSES.includes(release.status),
+    ...changeListView(release.changes, options),
+    changeRecordCount: release.changeRecords.length,
+    changeRecordItems: changeRecords.items,
+    changeRecordsMore: changeRecords.more,
+    changeRecordsMoreLabel: changeRecords.moreLabel
+  };
+}
+
+/**
+ * Builds the template fields of one package
+ * The package of the release notes model is extended with status flags,
+ * lists trimmed to the per-type limit and pre-rendered notices.
+ * @param {Object} pkg - A package of the release notes model
+ * @param {Object} options - Rendering options
+ * @param {number} options.limit - Maximum number of changes listed per type
+ * @param {boolean} options.open - Whether the details block starts expanded
+ * @param {boolean} options.included - Whether the package section is rendered
+ * @param {string} options.anchor - Anchor of the package heading
+ * @param {Object} options.hosts - Configured hosts, see readHosts()
+ * @param {Object} [options.changeTypes] - Change type options, see readChangeTypeOptions()
+ * @param {Set<string>} options.team - Lowercased usernames of highlighted contributors
+ * @returns {Object} The package view
+ */
+function packageView(pkg, { limit, open, included, anchor, hosts, changeTypes, team }) {
+  const changeCount = pkg.changes.reduce((count, typeGroup) => count + typeGroup.changes.length, 0);
+  const changeRecordCount = pkg.changeRecords.length;
+  const changeRecords = trimList(pkg.changeRecords, limit);
+  const changeList = changeListView(pkg.changes, { limit, changeTypes });
+  const firstReleaseOnly = changeCount === 0 && changeRecordCount === 0 &&
+    [...(pkg.segments || []), ...(pkg.releases || [])].some(range => range.status === 'first-release');
+
+  const contributors = pkg.contributors.map(contributor => ({
+    ...contributor,
+    team: team.has(contributor.name.toLowerCase())
+  }));
+
+  return {
+    ...pkg,
+    included,
+    anchor,
+    open,
+    isOk: pkg.status === 'ok',
+    isEmpty: pkg.status === 'empty',
+    isUnavailable: pkg.status === 'unavailable',
+    isError: pkg.status === 'error',
+    isMissingTag: pkg.status === 'missing-tag',
+    fetched: pkg.status === 'ok' || pkg.status === 'empty',
+    aliasList: pkg.aliases.map(alias => `\`${alias}\``).join(', '),
+    dependencyNote: describeDependency(pkg),
+    missingTagList: (pkg.missingTags || []).map(version => `\`${version}\``).join(' and '),
+    compareUrl: compareUrlFor(pkg.project, pkg.fromTag, pkg.toTag, hosts),
+    securityNotice: renderSecurityNotice(pkg, hosts).trim(),
+    requirementsNotice: renderRequirements(pkg).trim(),
+    summary: firstReleaseOnly ? 'New major version' : summaryOf(changeCount, changeRecordCount),
+    changeCount,
+    ...changeList,
+    segmented: pkg.segments !== null,
+    segments: (pkg.segments || []).map(segment => segmentView(segment, { limit, changeTypes })),
+    perRelease: pkg.releases !== null,
+    releases: (pkg.releases || []).map(release => releaseView(release, { limit, changeTypes })),
+    changeRecordCount,
+    contributors,
+    contributorList: contributors
+      .map(contributor => (contributor.team ? `**[${contributor.name}](${contributor.url})**` : `[${contributor.name}](${contributor.url})`))
+      .join(', '),
+    changeRecordItems: changeRecords.items,
+    changeRecordsMore: changeRecords.more,
+    changeRecordsMoreLabel: changeRecords.moreLabel
+  };
+}
+
+/**
+ * Builds the template fields of a package from a provider other than Drupal
+ * Providers only have to return `name`, `from`, `to` and `status`; the
+ * releases and changelog excerpt are optional.
+ * @param {Object} pkg - A package of `otherPackages` in the release notes model
+ * @param {Object} options - Rendering options
+ * @param {number} options.limit - Maximum number of lines quoted per release
+ * @param {boolean} options.included - Whether the package gets a section
+ * @returns {Object} The package view
+ */
+function otherPackageView(pkg, { limit, included }) {
+  const releases = pkg.releases || [];
+  const summary = releases.length > 0 ? pluralize(releases.length, 'release') : 'Changelog';
+  return {
+    ...pkg,
+    included,
+    isOk: pkg.status === 'ok',
+    isEmpty: pkg.status === 'empty',
+    isUnsupported: pkg.status === 'unsupported',
+    isUnavailable: pkg.status === 'unavailable',
+    isError: pkg.status === 'error',
+    dependencyNote: describeDependency(pkg),
+    summary,
+    hasNotes: releases.length > 0 || Boolean(pkg.changelog),
+    releases: releases.map(release => ({ ...release, ...quoteReleaseNotes(release.body || '', pkg.repositoryUrl, limit) })),
+    changelog: pkg.changelog
+      ? { ...pkg.changelog, ...quoteReleaseNotes(pkg.changelog.excerpt || '', pkg.repositoryUrl, limit) }
+      : null
+  };
+}
+
+/**
+ * Builds the template view of the release notes
+ * @param {Object} model - The release notes model, see buildReleaseNotesModel()
+ * @param {Object} options - Rendering options
+ * @param {number} options.limit - Maximum number of changes listed per type
+ * @param {number} options.included - How many leading packages get a section,
+ *   counting the Drupal packages before the other packages
+ * @param {Object} options.hosts - Configured hosts, see readHosts()
+ * @param {Object} [options.changeTypes] - Change type options, see readChangeTypeOptions()
+ * @param {Array<string>} [options.teamMembers] - Contributors to highlight, see readTeamMembers()
+ * @returns {Object} The view: the model with `packages` and `otherPackages`
+ *   replaced by package views, `grouped` for updates of several Drupal
+ *   packages and `omitted` listing the packages without a section
+ */
+function releaseNotesView(model, { limit, included, hosts, changeTypes, teamMembers = [] }) {
+  const anchors = packageAnchors(model.packages);
+  const team = new Set(teamMembers.map(name => name.toLowerCase()));
+  const open = model.packages.length === 1;
+  const otherPackages = model.otherPackages || [];
+  return {
+    ...model,
+    grouped: model.packages.length > 1,
+    packages: model.packages.map((pkg, i) => packageView(pkg, {
+      limit,
+      open,
+      included: i < included,
+      anchor: anchors[i],
+      hosts,
+      changeTypes,
+      team
+    })),
+    hasOtherPackages: model.packages.length < included && otherPackages.length > 0,
+    otherPackages: otherPackages.map((pkg, i) => otherPackageView(pkg, {
+      limit,
+      included: model.packages.length + i < included
+    })),
+    omitted: [...model.packages, ...otherPackages].slice(included).map(pkg => `\`${pkg.name}\``).join(', ')
+  };
+}
+
+/**
+ * Renders release notes as markdown within a character budget
+ * Change lists are trimmed per type first; if that is not enough, trailing
+ * packages are omitted and listed in the `omitted` field. The result never
+ * exceeds maxLength; when not even the list of omitted packages fits, it is empty.
+ * @param {Object} model - The release notes model, see buildReleaseNotesModel()
+ * @param {Object} [options] - Rendering options
+ * @param {number} [options.maxLength] - Maximum length of the rendered markdown
+ * @param {number} [options.maxChangesPerType] - Changes listed per type before trimming
+ * @param {Object} [options.hosts] - Configured hosts for generated links, see readHosts()
+ * @param {Function} [options.template] - Compiled template, see loadTemplate(); the default layout otherwise
+ * @param {Object} [options.changeTypes] - Which change types to list, see readChangeTypeOptions()
+ * @param {Array<string>} [options.teamMembers] - drupal.org usernames highlighted among the contributors
+ * @returns {string} The rendered markdown, or an empty string when nothing fits
+ */
+function renderMarkdown(model, options = {}) {
+  const maxLength = options.maxLength === undefined ? MAX_BODY_LENGTH : options.maxLength;
+  const maxChangesPerType = options.maxChangesPerType === undefined
+    ? DEFAULT_MAX_CHANGES_PER_TYPE
+    : options.maxChangesPerType;
+  const hosts = options.hosts || DEFAULT_HOSTS;
+  const template = options.template || getDefaultTemplate();
+  const { changeTypes, teamMembers } = options;
+  const count = model.packages.length + (model.otherPackages || []).length;
+
+  const limits = [maxChangesPerType, ...FALLBACK_CHANGE_LIMITS.filter(limit => limit < maxChangesPerType)];
+  for (const limit of limits) {
+    const section = template(releaseNotesView(model, { limit, included: count, hosts, changeTypes, teamMembers }));
+    if (section.length <= maxLength) {
+      return section;
+    }
+  }
+
+  // Even the most compact lists do not fit: keep as many packages as possible
+  for (let included = count - 1; included >= 0; included--) {
+    const section = template(releaseNotesView(model, { limit: 0, included, hosts, changeTypes, teamMembers }));
+    if (section.length <= maxLength) {
+      return section;
+    }
+  }
+
+  // Cutting the markdown could leave a <details> block or a link open
+  return '';
+}
+
+module.exports = {
+  renderMarkdown,
+  MAX_BODY_LENGTH,
+  DEFAULT_MAX_CHANGES_PER_TYPE,
+  RELEASE_NOTES_HEADING
+};
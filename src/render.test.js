@@ -0,0 +1,484 @@
+const { renderMarkdown, MAX_BODY_LENGTH } = require('./render');
+const { buildReleaseNotesModel, assembleReleaseNotesModel } = require('./model');
+const { compileTemplate } = require('./template');
+const { DEFAULT_HOSTS } = require('./config');
+
+/**
+ * Builds a fetched package result with `count` changes of each given type
+ */
+function buildResult(name, types, count, overrides = {}) {
+  const project = name.replace('drupal/', '');
+  return {
+    name,
+    project,
+    from: '1.0.0',
+    to: '1.1.0',
+    mappedFrom: '1.0.0',
+    mappedTo: '1.1.0',
+    status: 'ok',
+    data: {
+      changes: types.map(type => ({
+        type,
+        changes: Array.from({ length: count }, (_, i) => ({
+          nid: String(1000 + i),
+          link: `https://www.drupal.org/i/${1000 + i}`,
+          type,
+          summary: `#${1000 + i}: ${type} change number ${i} with a reasonably long description`
+        }))
+      })),
+      changeRecords: []
+    },
+    ...overrides
+  };
+}
+
+describe('renderMarkdown', () => {
+  it('should wrap each package change list in a details block', () => {
+    const markdown = renderMarkdown(buildReleaseNotesModel([
+      buildResult('drupal/token', ['Bug'], 2),
+      buildResult('drupal/pathauto', ['Task'], 1)
+    ]));
+
+    expect(markdown).toContain('\n\n### drupal/token\n\n');
+    expect(markdown).toContain('<details>\n<summary>2 changes</summary>\n\n#### Bug\n\n');
+    expect(markdown).toContain('<details>\n<summary>1 change</summary>\n\n#### Task\n\n');
+    expect(markdown.indexOf('drupal/token')).toBeLessThan(markdown.indexOf('drupal/pathauto'));
+  });
+
+  it('should list merged metapackages under the package heading', () => {
+    const result = buildResult('drupal/core', ['Bug'], 1, { project: 'drupal', aliases: ['drupal/core-recommended'] });
+
+    const markdown = renderMarkdown(buildReleaseNotesModel([result]));
+
+    expect(markdown).toContain('### drupal/core\n\n_Also updated: `drupal/core-recommended`_\n\n**1.0.0 → [1.1.0](https://www.drupal.org/project/drupal/releases/1.1.0)**');
+  });
+
+  it('should describe the update as reported by Dependabot', () => {
+    const markdown = renderMarkdown(buildReleaseNotesModel([
+      buildResult('drupal/token', ['Bug'], 1, { updateLevel: 'minor', dependencyType: 'direct:production', directory: '/' }),
+      buildResult('drupal/pathauto', ['Bug'], 1, { dependencyType: 'indirect', directory: '/web' }),
+      buildResult('drupal/redirect', ['Bug'], 1)
+    ]));
+
+    expect(markdown).toContain('### drupal/token\n\n_Minor update of a direct production dependency_\n\n**1.0.0');
+    expect(markdown).toContain('### drupal/pathauto\n\n_Minor update of an indirect dependency in `/web`_\n\n**1.0.0');
+    expect(markdown).toContain('### drupal/redirect\n\n**1.0.0');
+  });
+
+  it('should expand the details block when there is a single package', () => {
+    const markdown = renderMarkdown(buildReleaseNotesModel([buildResult('drupal/token', ['Bug'], 1)]));
+
+    expect(markdown).toContain('<details open>\n<summary>1 change</summary>');
+  });
+
+  it('should count change records in the summary', () => {
+    const result = buildResult('drupal/token', ['Bug'], 1);
+    result.data.changeRecords = [
+      { title: 'New API', url: 'https://www.drupal.org/node/1' }
+    ];
+
+    const markdown = renderMarkdown(buildReleaseNotesModel([result]));
+
+    expect(markdown).toContain('<summary>1 change, 1 change record</summary>');
+    expect(markdown).toContain('#### Change Records\n\n* [New API](https://www.drupal.org/node/1)\n');
+  });
+
+  it('should trim long change lists per type with a link to the release notes', () => {
+    const markdown = renderMarkdown(buildReleaseNotesModel([buildResult('drupal/token', ['Bug', 'Task'], 25)]), {
+      maxChangesPerType: 20
+    });
+
+    expect(markdown).toContain('<summary>50 changes</summary>');
+    expect(markdown).toContain('[#1019](https://www.drupal.org/i/1019)');
+    expect(markdown).not.toContain('[#1020]');
+    expect(markdown.match(/\* _5 more changes — \[see full release notes\]\(https:\/\/www\.drupal\.org\/project\/token\/releases\/1\.1\.0\)_/g)).toHaveLength(2);
+  });
+
+  it('should render failed packages without a details block', () => {
+    const markdown = renderMarkdown(buildReleaseNotesModel([
+      buildResult('drupal/token', [], 0, { status: 'unavailable' }),
+      buildResult('drupal/pathauto', [], 0, { status: 'error', error: 'Network error' }),
+      buildResult('drupal/redirect', [], 0, { status: 'empty' })
+    ]));
+
+    expect(markdown).toContain('### drupal/token\n\n_Could not fetch release notes (1.0.0 → 1.1.0)_');
+    expect(markdown).toContain('### drupal/pathauto\n\n_Error fetching release notes: Network error_');
+    expect(markdown).toContain('**1.0.0 → [1.1.0](https://www.drupal.org/project/redirect/releases/1.1.0)**\n\n_No release notes available_');
+    expect(markdown).not.toContain('<details');
+  });
+
+  it('should show security banners even when the changelog failed', () => {
+    const markdown = renderMarkdown(buildReleaseNotesModel([
+      buildResult('drupal/drupal', [], 0, {
+        project: 'drupal',
+        status: 'unavailable',
+        security: {
+          securityReleases: [
+            { version: '10.2.2', advisories: ['SA-CORE-2024-001'] },
+            { version: '10.2.3', advisories: [] }
+          ],
+          insecureFrom: false
+        }
+      })
+    ]));
+
+    expect(markdown).toContain(
+      '> **This update includes security releases:** [10.2.2](https://www.drupal.org/project/drupal/releases/10.2.2) ' +
+      '([SA-CORE-2024-001](https://www.drupal.org/sa-core-2024-001)), [10.2.3](https://www.drupal.org/project/drupal/releases/10.2.3). ' +
+      'See the [drupal.org security advisories](https://www.drupal.org/security/core) for the advisory of each release.'
+    );
+    expect(markdown).toContain('_Could not fetch release notes (1.0.0 → 1.1.0)_');
+  });
+
+  it('should link security releases and advisories on the configured drupal.org host', () => {
+    const markdown = renderMarkdown(buildReleaseNotesModel([
+      buildResult('drupal/token', ['Bug'], 1, {
+        security: { securityReleases: [{ version: '8.x-1.14', advisories: ['SA-CONTRIB-2024-001'] }], insecureFrom: false }
+      })
+    ]), { hosts: { ...DEFAULT_HOSTS, drupalOrgUrl: 'https://drupal.example.com' } });
+
+    expect(markdown).toContain(
+      '> **This update includes a security release:** [8.x-1.14](https://drupal.example.com/project/token/releases/8.x-1.14) ' +
+      '([SA-CONTRIB-2024-001](https://drupal.example.com/sa-contrib-2024-001)).\n\n'
+    );
+    expect(markdown).not.toContain('security advisories](');
+  });
+
+  it('should list changed requirements before the change list', () => {
+    const markdown = renderMarkdown(buildReleaseNotesModel([
+      buildResult('drupal/token', ['Bug'], 1, {
+        requirements: {
+          core: { from: '^9.5 || ^10', to: '^10.3 || ^11' },
+          php: null,
+          added: [{ name: 'drupal/ctools', constraint: '^4.0' }],
+          removed: [{ name: 'drupal/legacy', constraint: '*' }],
+          changed: [{ name: 'symfony/yaml', from: '^5', to: '^6.4' }],
+          excludesLockedCore: '10.2.5'
+        }
+      })
+    ]));
+
+    expect(markdown).toContain(
+      '### drupal/token\n\n' +
+      '> [!WARNING]\n> 1.1.0 requires drupal/core `^10.3 || ^11`, which excludes the locked drupal/core 10.2.5.\n\n' +
+      '**Requirements changed**\n\n' +
+      '* Drupal core: `^9.5 || ^10` → `^10.3 || ^11`\n' +
+      '* Added `drupal/ctools` `^4.0`\n' +
+      '* Removed `drupal/legacy` `*`\n' +
+      '* Changed `symfony/yaml`: `^5` → `^6.4`\n\n' +
+      '**1.0.0 →'
+    );
+  });
+
+  it('should show a new PHP requirement', () => {
+    const markdown = renderMarkdown(buildReleaseNotesModel([
+      buildResult('drupal/token', ['Bug'], 1, {
+        requirements: { core: null, php: { from: null, to: '>=8.1' }, added: [], removed: [], changed: [] }
+      })
+    ]));
+
+    expect(markdown).toContain('**Requirements changed**\n\n* PHP: _none_ → `>=8.1`\n\n');
+    expect(markdown).not.toContain('[!WARNING]');
+  });
+
+  it('should say which release tags are missing', () => {
+    const markdown = renderMarkdown(buildReleaseNotesModel([
+      buildResult('drupal/token', [], 0, { status: 'missing-tag', missingTags: ['1.0.0', '1.1.0'] })
+    ]));
+
+    expect(markdown).toContain('### drupal/token\n\n_Could not fetch release notes (1.0.0 → 1.1.0): no release tag found for `1.0.0` and `1.1.0` in token_');
+  });
+
+  it('should start grouped updates with an overview table', () => {
+    const token = buildResult('drupal/token', ['Bug', 'Task'], 2);
+    token.data.changeRecords = [{ title: 'New API', url: 'https://www.drupal.org/node/1' }];
+    const results = [
+      token,
+      buildResult('drupal/core', ['Bug'], 1, { project: 'drupal', from: '10.3.1', to: '11.0.0' }),
+      buildResult('drupal/pathauto', [], 0, { status: 'unavailable', from: '1.0.0', to: '1.0.1' })
+    ];
+
+    const markdown = renderMarkdown(buildReleaseNotesModel(results));
+
+    expect(markdown).toMatch(/^## Drupal Release Notes\n\n\| Package \| Update \| Level \| Changes \| Change records \|\n\| --- \| --- \| --- \| --- \| --- \|\n/);
+    expect(markdown).toContain('| [drupal/token](#drupaltoken) | 1.0.0 → 1.1.0 | minor | 2 Bug, 2 Task | 1 |\n');
+    expect(markdown).toContain('| [drupal/core](#drupalcore) | 10.3.1 → 11.0.0 | major | 1 Bug | 0 |\n');
+    expect(markdown).toContain('| [drupal/pathauto](#drupalpathauto) | 1.0.0 → 1.0.1 | patch | — | — |\n\n### drupal/token');
+  });
+
+  it('should not add an overview table for a single package', () => {
+    const markdown = renderMarkdown(buildReleaseNotesModel([buildResult('drupal/token', ['Bug'], 1)]));
+
+    expect(markdown).toMatch(/^## Drupal Release Notes\n\n### drupal\/token\n\n/);
+    expect(markdown).not.toContain('| Package |');
+  });
+
+  it('should only link omitted packages from the overview table when their section is kept', () => {
+    const results = [
+      buildResult('drupal/token', ['Bug'], 5),
+      buildResult('drupal/pathauto', ['Bug'], 5),
+      buildResult('drupal/redirect', ['Bug'], 5)
+    ];
+
+    const markdown = renderMarkdown(buildReleaseNotesModel(results), { maxLength: 1000 });
+
+    expect(markdown).toContain('| [drupal/token](#drupaltoken) |');
+    expect(markdown).toContain('| drupal/redirect | 1.0.0 → 1.1.0 |');
+  });
+
+  it('should stay within the default GitHub body limit for large grouped updates', () => {
+    const results = Array.from({ length: 40 }, (_, i) => buildResult(`drupal/module_${i}`, ['Bug', 'Task', 'Feature'], 60));
+
+    const markdown = renderMarkdown(buildReleaseNotesModel(results));
+
+    expect(markdown.length).toBeLessThanOrEqual(MAX_BODY_LENGTH);
+    expect(markdown).toContain('### drupal/module_39');
+  });
+
+  it('should reduce the per-type limit before omitting packages', () => {
+    const results = [buildResult('drupal/token', ['Bug'], 30), buildResult('drupal/pathauto', ['Bug'], 30)];
+    const full = renderMarkdown(buildReleaseNotesModel(results), { maxChangesPerType: 30 });
+
+    const markdown = renderMarkdown(buildReleaseNotesModel(results), { maxChangesPerType: 30, maxLength: full.length - 1 });
+
+    expect(markdown.length).toBeLessThan(full.length);
+    expect(markdown).toContain('### drupal/token');
+    expect(markdown).toContain('### drupal/pathauto');
+    expect(markdown).toContain('more changes — [see full release notes]');
+  });
+
+  it('should omit trailing packages with a notice when trimming is not enough', () => {
+    const results = [
+      buildResult('drupal/token', ['Bug'], 5),
+      buildResult('drupal/pathauto', ['Bug'], 5),
+      buildResult('drupal/redirect', ['Bug'], 5)
+    ];
+
+    const markdown = renderMarkdown(buildReleaseNotesModel(results), { maxLength: 1000 });
+
+    expect(markdown.length).toBeLessThanOrEqual(1000);
+    expect(markdown).toContain('### drupal/token');
+    expect(markdown).not.toContain('### drupal/redirect');
+    expect(markdown).toContain('were omitted to stay within GitHub\'s size limit._');
+    expect(markdown).toContain('`drupal/redirect`');
+  });
+
+  it('should render nothing rather than cut the markdown when nothing fits', () => {
+    const markdown = renderMarkdown(buildReleaseNotesModel([buildResult('drupal/token', ['Bug'], 5)]), { maxLength: 10 });
+
+    expect(markdown).toBe('');
+  });
+
+  it('should render with a custom template', () => {
+    const template = compileTemplate([
+      '{{#packages}}',
+      '- {{name}} ({{updateLevel}}): {{changeCountsByType}}',
+      '{{#types}}',
+      '{{#changes}}',
+      '  - {{summary}}',
+      '{{/changes}}',
+      '{{/types}}',
+      '{{/packages}}'
+    ].join('\n'));
+
+    const markdown = renderMarkdown(buildReleaseNotesModel([
+      buildResult('drupal/token', ['Bug'], 1),
+      buildResult('drupal/pathauto', ['Task'], 1, { to: '2.0.0' })
+    ]), { template });
+
+    expect(markdown).toBe([
+      '- drupal/token (minor): 1 Bug',
+      '  - Bug change number 0 with a reasonably long description',
+      '- drupal/pathauto (major): 1 Task',
+      '  - Task change number 0 with a reasonably long description',
+      ''
+    ].join('\n'));
+  });
+
+  it('should keep custom templates within the budget', () => {
+    const template = compileTemplate('{{#packages}}{{#included}}{{name}} ({{summary}}): {{#types}}{{#changes}}{{summary}} {{/changes}}{{/types}}\n{{/included}}{{/packages}}{{#omitted}}-{{omitted}}{{/omitted}}');
+    const results = [
+      buildResult('drupal/token', ['Bug'], 5),
+      buildResult('drupal/pathauto', ['Bug'], 5)
+    ];
+
+    const full = renderMarkdown(buildReleaseNotesModel(results), { template });
+    const trimmed = renderMarkdown(buildReleaseNotesModel(results), { template, maxLength: 300 });
+    const omitted = renderMarkdown(buildReleaseNotesModel(results), { template, maxLength: 50 });
+
+    expect(full).toContain('number 4');
+    expect(trimmed.length).toBeLessThanOrEqual(300);
+    expect(trimmed).toContain('number 0');
+    expect(trimmed).not.toContain('number 4');
+    expect(omitted).toBe('drupal/token (5 changes): \n-`drupal/pathauto`');
+  });
+
+  it('should arrange change types and summarize the ones left out', () => {
+    const markdown = renderMarkdown(buildReleaseNotesModel([
+      buildResult('drupal/token', ['Task', 'Bug', 'Misc', 'Feature'], 2),
+      buildResult('drupal/pathauto', ['Task'], 1)
+    ]), {
+      changeTypes: { order: ['Feature', '*'], exclude: ['Task', 'Misc'], names: { feature: 'New features' } }
+    });
+
+    expect(markdown).toContain('| 2 New features, 2 Bug, 4 other | 0 |');
+    expect(markdown).toContain('| 1 other | 0 |');
+    expect(markdown.indexOf('#### New features')).toBeLessThan(markdown.indexOf('#### Bug'));
+    expect(markdown).not.toContain('#### Task');
+    expect(markdown).not.toContain('#### Misc');
+    expect(markdown).toContain('<summary>8 changes</summary>');
+    expect(markdown).toContain('_4 other changes (Task, Misc) — [see full release notes](https://www.drupal.org/project/token/releases/1.1.0)_\n\n</details>');
+    expect(markdown).toContain('_1 other change (Task) — [see full release notes](https://www.drupal.org/project/pathauto/releases/1.1.0)_');
+  });
+
+  it('should credit contributors and highlight team members', () => {
+    const result = buildResult('drupal/token', ['Bug'], 0);
+    result.data.changes[0].changes = [
+      { nid: '1', link: 'https://www.drupal.org/i/1', summary: '#1 by zeta, Alice: Fix the browser' },
+      { nid: '2', link: 'https://www.drupal.org/i/2', summary: '#2 by alice: Fix the cache' }
+    ];
+
+    const markdown = renderMarkdown(buildReleaseNotesModel([result]), { teamMembers: ['ZETA'] });
+
+    expect(markdown).toContain('* [#1](https://www.drupal.org/i/1): Fix the browser\n');
+    expect(markdown).toContain('</details>\n\n**Contributors:** [Alice](https://www.drupal.org/u/alice), **[zeta](https://www.drupal.org/u/zeta)**\n\n');
+  });
+
+  it('should not add a contributors line without credits', () => {
+    expect(renderMarkdown(buildReleaseNotesModel([buildResult('drupal/token', ['Bug'], 2)]))).not.toContain('Contributors');
+  });
+
+  it('should render each branch of a major update under its own heading', () => {
+    const result = buildResult('drupal/token', [], 0, {
+      from: '1.15.0',
+      to: '2.0.0',
+      mappedFrom: '8.x-1.15',
+      mappedTo: '2.0.0',
+      segments: [{ from: '2.0.0', to: '2.0.0', branch: '2.x', newMajor: true, status: 'first-release', data: { changes: [] } }]
+    });
+
+    const markdown = renderMarkdown(buildReleaseNotesModel([result]));
+
+    expect(markdown).toContain('<summary>New major version</summary>');
+    expect(markdown).toContain('#### Upgrading to a new major version: 2.x (2.0.0)\n\n' +
+      '_Read the [2.0.0 release notes](https://www.drupal.org/project/token/releases/2.0.0) before upgrading to the new major version._\n\n</details>');
+    expect(markdown).not.toContain('#### Bug');
+  });
+
+  it('should break the notes down per release, newest first', () => {
+    const release = (from, to, data) => ({ from, to, newMajor: false, status: 'ok', data });
+    const result = buildResult('drupal/token', ['Bug'], 2, {
+      to: '1.2.0',
+      mappedTo: '1.2.0',
+      releases: [
+        release('1.0.0', '1.1.0', buildResult('drupal/token', ['Bug'], 1).data),
+        release('1.1.0', '1.2.0', {
+          changes: [],
+          changeRecords: [{ title: 'New API', url: 'https://www.drupal.org/node/1' }]
+        })
+      ]
+    });
+
+    const markdown = renderMarkdown(buildReleaseNotesModel([result]));
+
+    expect(markdown).toContain('<details>\n<summary>1.2.0: 0 changes, 1 change record</summary>\n\n' +
+      '[Release notes](https://www.drupal.org/project/token/releases/1.2.0) · [Compare](https://git.drupalcode.org/project/token/-/compare/1.1.0...1.2.0)\n\n' +
+      '##### Change Records\n\n* [New API](https://www.drupal.org/node/1)\n\n</details>');
+    expect(markdown.indexOf('<summary>1.2.0')).toBeLessThan(markdown.indexOf('<summary>1.1.0: 1 change</summary>'));
+    expect(markdown).toContain('##### Bug\n\n* [#1000](https://www.drupal.org/i/1000): Bug change number 0');
+    expect(markdown).not.toContain('\n#### Bug');
+  });
+});
+
+describe('other packages', () => {
+  const composerPackage = (overrides = {}) => ({
+    provider: 'composer',
+    name: 'drush/drush',
+    from: '13.1.0',
+    to: '13.3.0',
+    fromTag: '13.1.0',
+    toTag: '13.3.0',
+    updateLevel: 'minor',
+    dependencyType: null,
+    directory: null,
+    status: 'ok',
+    repositoryUrl: 'https://github.com/drush-ops/drush',
+    releaseNotesUrl: 'https://github.com/drush-ops/drush/releases/tag/13.3.0',
+    compareUrl: 'https://github.com/drush-ops/drush/compare/13.1.0...13.3.0',
+    releases: [
+      { tag: '13.3.0', name: 'Drush 13.3', url: 'https://github.com/drush-ops/drush/releases/tag/13.3.0', body: "## What's Changed\n* Fix C by @alice in #12" },
+      { tag: '13.2.0', name: '13.2.0', url: 'https://github.com/drush-ops/drush/releases/tag/13.2.0', body: '```sh\n# not a heading @bob #3\n```' }
+    ],
+    changelog: null,
+    ...overrides
+  });
+
+  it('should quote the releases of other packages in their own section', () => {
+    const model = assembleReleaseNotesModel(buildReleaseNotesModel([buildResult('drupal/token', ['Bug'], 1)]).packages, [composerPackage()]);
+
+    const markdown = renderMarkdown(model);
+
+    expect(markdown.indexOf('### drupal/token')).toBeLessThan(markdown.indexOf('### Other packages'));
+    expect(markdown).toContain('### Other packages\n\n#### drush/drush\n\n' +
+      '**13.1.0 → [13.3.0](https://github.com/drush-ops/drush/releases/tag/13.3.0)** ([compare](https://github.com/drush-ops/drush/compare/13.1.0...13.3.0))\n\n' +
+      '<details>\n<summary>2 releases</summary>\n\n' +
+      '##### [Drush 13.3](https://github.com/drush-ops/drush/releases/tag/13.3.0)\n\n' +
+      "**What's Changed**\n* Fix C by `@alice` in [#12](https://github.com/drush-ops/drush/issues/12)\n\n" +
+      '##### [13.2.0](https://github.com/drush-ops/drush/releases/tag/13.2.0)\n\n' +
+      '```sh\n# not a heading @bob #3\n```\n\n</details>');
+  });
+
+  it('should render packages of a custom provider with only the required fields', () => {
+    const model = assembleReleaseNotesModel([], [
+      { name: 'acme/widget', from: '1.0.0', to: '1.1.0', status: 'ok' },
+      { name: 'acme/gadget', from: '2.0.0', to: '2.1.0', status: 'empty' },
+      { name: 'acme/sprocket', from: '3.0.0', to: '3.1.0', status: 'error' }
+    ]);
+
+    const markdown = renderMarkdown(model);
+
+    expect(markdown).toContain('#### acme/widget\n\n**1.0.0 → 1.1.0**\n\n#### acme/gadget');
+    expect(markdown).toContain('**2.0.0 → 2.1.0**\n\n_No GitHub releases or changelog entries found_');
+    expect(markdown).toContain('#### acme/sprocket\n\n_Error fetching release notes_');
+    expect(markdown).not.toContain('<details>');
+    expect(markdown).not.toContain(']()');
+  });
+
+  it('should show changelog excerpts and packages without notes', () => {
+    const model = assembleReleaseNotesModel([], [
+      composerPackage({
+        name: 'symfony/console',
+        releases: [],
+        repositoryUrl: 'https://github.com/symfony/console',
+        changelog: { file: 'CHANGELOG.md', url: 'https://github.com/symfony/console/blob/v7.1.1/CHANGELOG.md', excerpt: '### 7.1\n\n * Add a feature' }
+      }),
+      composerPackage({ name: 'acme/tool', status: 'unsupported', repositoryUrl: 'https://gitlab.com/acme/tool', releases: [] }),
+      composerPackage({ name: 'acme/gone', status: 'unavailable', repositoryUrl: null, releases: [] })
+    ]);
+
+    const markdown = renderMarkdown(model);
+
+    expect(markdown).toContain('<summary>Changelog</summary>\n\nFrom [CHANGELOG.md](https://github.com/symfony/console/blob/v7.1.1/CHANGELOG.md):\n\n**7.1**\n\n * Add a feature\n\n</details>');
+    expect(markdown).toContain('#### acme/tool\n\n_Release notes are only fetched from GitHub (13.1.0 → 13.3.0); see [the source repository](https://gitlab.com/acme/tool)_');
+    expect(markdown).toContain('#### acme/gone\n\n_Could not find acme/gone on Packagist (13.1.0 → 13.3.0)_');
+  });
+
+  it('should trim quoted notes and omit other packages first', () => {
+    const body = Array.from({ length: 40 }, (_, i) => `* Change number ${i} with a reasonably long description`).join('\n');
+    const model = assembleReleaseNotesModel(buildReleaseNotesModel([buildResult('drupal/token', ['Bug'], 1)]).packages, [
+      composerPackage({ releases: [{ tag: '13.3.0', name: '13.3.0', url: 'https://github.com/drush-ops/drush/releases/tag/13.3.0', body }] })
+    ]);
+
+    const full = renderMarkdown(model, { maxChangesPerType: 50 });
+    const trimmed = renderMarkdown(model, { maxLength: full.length - 1 });
+    const omitted = renderMarkdown(model, { maxLength: renderMarkdown(assembleReleaseNotesModel(model.packages)).length + 200 });
+
+    expect(full).toContain('Change number 39');
+    expect(trimmed).toContain('Change number 19');
+    expect(trimmed).not.toContain('Change number 20');
+    expect(trimmed).toContain('_20 more lines — [see full release notes](https://github.com/drush-ops/drush/releases/tag/13.3.0)_');
+    expect(omitted).toContain('### drupal/token');
+    expect(omitted).not.toContain('### Other packages');
+    expect(omitted).toContain('_Release notes for `drush/drush` were omitted');
+  });
+});
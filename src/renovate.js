@@ -0,0 +1,97 @@
+const { stripVersionPrefix } = require('./release-history');
+
+// Branch prefix Renovate uses unless configured otherwise
+const RENOVATE_BRANCH_PREFIX = 'renovate/';
+
+/**
+ * Whether a pull request was opened by Renovate
+ * Recognized by the author (renovate[bot] or a self-hosted bot account named
+ * after Renovate) or by the default renovate/ branch prefix.
+ * @param {Object} pullRequest - Pull request from the GitHub API or event payload
+ * @returns {boolean}
+ */
+function isRenovatePullRequest(pullRequest) {
+  const login = (pullRequest.user && pullRequest.user.login) || '';
+  const branch = (pullRequest.head && pullRequest.head.ref) || '';
+  return /renovate/i.test(login) || branch.startsWith(RENOVATE_BRANCH_PREFIX);
+}
+
+/**
+ * Splits a markdown table row into trimmed cells
+ * @param {string} line - The table row
+ * @returns {Array<string>} The cell contents
+ */
+function tableCells(line) {
+  return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+}
+
+/**
+ * Extracts a version from a Renovate "Change" value such as `v1.15.0`
+ * @param {string} value - The version or constraint text
+ * @returns {string} The value without backticks or a v prefix
+ */
+function cleanVersion(value) {
+  return stripVersionPrefix(value.replace(/`/g, '').trim());
+}
+
+/**
+ * Whether a Renovate "Change" value is a constraint rather than a version
+ * Range updates such as `^1.13` -> `^1.15` bump composer.json; the bounds
+ * are not the installed versions.
+ * @param {string} value - A value cleaned by cleanVersion()
+ * @returns {boolean}
+ */
+function isConstraint(value) {
+  return /[\^~<>=*|,\s]/.test(value) || /(?:^|\.)x(?:\.|$)/i.test(value);
+}
+
+/**
+ * Parses the updated packages from the table in a Renovate PR body
+ * Renovate lists each update as a row like
+ * | [drupal/token](https://…) | require | minor | `1.13.0` -> `1.15.0` |
+ * where the change may also be wrapped in a link to the diff. Range updates
+ * keep their constraints and are flagged with `range`; their installed
+ * versions have to be read from composer.lock.
+ * @param {string|null} body - The PR body
+ * @returns {Array<{name: string, from: string, to: string, range?: boolean}>} The updated packages
+ */
+function parseRenovateUpdates(body) {
+  const updates = [];
+  const lines = (body || '').split(/\r?\n/);
+
+  for (let i = 0; i < lines.length; i++) {
+    if (!lines[i].trim().startsWith('|')) {
+      continue;
+    }
+    const headers = tableCells(lines[i]).map(header => header.toLowerCase());
+    const packageColumn = headers.indexOf('package');
+    const changeColumn = headers.indexOf('change');
+    if (packageColumn === -1 || changeColumn === -1) {
+      continue;
+    }
+
+    // Skip the header and delimiter rows, then read rows until the table ends
+    let row = i + 2;
+    for (; row < lines.length && lines[row].trim().startsWith('|'); row++) {
+      const cells = tableCells(lines[row]);
+      const nameMatch = (cells[packageColumn] || '').match(/[a-z0-9_.-]+\/[a-z0-9_.-]+/i);
+      const changeMatch = (cells[changeColumn] || '').match(/`([^`]+)`\s*(?:->|→)\s*`([^`]+)`/);
+      if (nameMatch && changeMatch) {
+        const update = {
+          name: nameMatch[0].toLowerCase(),
+          from: cleanVersion(changeMatch[1]),
+          to: cleanVersion(changeMatch[2])
+        };
+        if (isConstraint(update.from) || isConstraint(update.to)) {
+          update.range = true;
+        }
+        updates.push(update);
+      }
+    }
+    i = row;
+  }
+
+  return updates;
+}
+
+module.exports = { isRenovatePullRequest, parseRenovateUpdates };
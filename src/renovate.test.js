@@ -0,0 +1,70 @@
+const { isRenovatePullRequest, parseRenovateUpdates } = require('./renovate');
+
+describe('isRenovatePullRequest', () => {
+  it('should recognize the Renovate app and self-hosted bots', () => {
+    expect(isRenovatePullRequest({ user: { login: 'renovate[bot]' } })).toBe(true);
+    expect(isRenovatePullRequest({ user: { login: 'acme-renovate' } })).toBe(true);
+  });
+
+  it('should recognize the Renovate branch prefix', () => {
+    expect(isRenovatePullRequest({ user: { login: 'octocat' }, head: { ref: 'renovate/drupal-token-1.x' } })).toBe(true);
+  });
+
+  it('should not match other pull requests', () => {
+    expect(isRenovatePullRequest({ user: { login: 'dependabot[bot]' }, head: { ref: 'dependabot/composer/drupal/token-1.15.0' } })).toBe(false);
+    expect(isRenovatePullRequest({})).toBe(false);
+  });
+});
+
+describe('parseRenovateUpdates', () => {
+  it('should parse packages and versions from the update table', () => {
+    const body = [
+      'This PR contains the following updates:',
+      '',
+      '| Package | Type | Update | Change |',
+      '|---|---|---|---|',
+      '| [drupal/core-recommended](https://www.drupal.org/project/drupal) | require | patch | `10.2.0` -> `10.2.1` |',
+      '| [drupal/token](https://www.drupal.org/project/token) ([source](https://git.drupalcode.org/project/token)) | require | minor | [`1.13.0` -> `1.15.0`](https://renovatebot.com/diffs/packagist/drupal%2ftoken/1.13.0/1.15.0) |',
+      '',
+      'Renovate footer'
+    ].join('\n');
+
+    expect(parseRenovateUpdates(body)).toEqual([
+      { name: 'drupal/core-recommended', from: '10.2.0', to: '10.2.1' },
+      { name: 'drupal/token', from: '1.13.0', to: '1.15.0' }
+    ]);
+  });
+
+  it('should find the columns by header name', () => {
+    const body = [
+      '| Update | Change | Package |',
+      '| --- | --- | --- |',
+      '| major | `v2.4.0` → `v3.0.0` | drupal/pathauto |'
+    ].join('\r\n');
+
+    expect(parseRenovateUpdates(body)).toEqual([
+      { name: 'drupal/pathauto', from: '2.4.0', to: '3.0.0' }
+    ]);
+  });
+
+  it('should flag range updates and keep their constraints', () => {
+    const body = [
+      '| Package | Change |',
+      '|---|---|',
+      '| drupal/token | `^1.13` -> `^1.15` |',
+      '| drupal/pathauto | `1.12.x` -> `1.13.x` |',
+      '| drupal/redirect | `1.9.0` -> `1.10.0` |'
+    ].join('\n');
+
+    expect(parseRenovateUpdates(body)).toEqual([
+      { name: 'drupal/token', from: '^1.13', to: '^1.15', range: true },
+      { name: 'drupal/pathauto', from: '1.12.x', to: '1.13.x', range: true },
+      { name: 'drupal/redirect', from: '1.9.0', to: '1.10.0' }
+    ]);
+  });
+
+  it('should ignore unrelated tables and empty bodies', () => {
+    expect(parseRenovateUpdates('| Name | Value |\n|---|---|\n| a/b | c |')).toEqual([]);
+    expect(parseRenovateUpdates(null)).toEqual([]);
+  });
+});
@@ -0,0 +1,168 @@
+const fs = require('fs');
+const path = require('path');
+
+// Layout used unless a template file is configured
+const DEFAULT_TEMPLATE_FILE = path.join(__dirname, 'templates', 'default.md');
+
+// {{name}}, {{{name}}}, {{&name}}, {{#section}}, {{^inverted}}, {{/section}}
+// and {{! comment }} tags; partial and delimiter tags are matched to be rejected
+const TAG_PATTERN = /{{(?:{\s*([^}]*?)\s*}|\s*([#^/!&>=]?)\s*([^}]*?)\s*)}}/g;
+
+// Section and comment tags alone on a line take the whole line with them
+const STANDALONE_PATTERN = /^[ \t]*({{\s*[#^/!][^}]*}})[ \t]*(?:\r?\n|$)/gm;
+
+/**
+ * Parses a template into a tree of text, variable and section nodes
+ * Supports the Mustache subset of variables, dotted names, sections,
+ * inverted sections and comments. Values are inserted as-is, without HTML
+ * escaping, since the output is markdown; {{{name}}} and {{&name}} are
+ * accepted as the same variables. Partials and delimiter changes are not
+ * supported and rejected rather than rendered as text.
+ * @param {string} source - The template source
+ * @returns {Array<Object>} The parsed nodes
+ * @throws {Error} When sections are not properly closed or a tag is not supported
+ */
+function parseTemplate(source) {
+  const root = [];
+  const stack = [{ name: null, children: root }];
+  const text = source.replace(STANDALONE_PATTERN, '$1');
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(TAG_PATTERN)) {
+    const [tag, unescapedName] = match;
+    const type = unescapedName === undefined ? match[2] : '&';
+    const name = unescapedName === undefined ? match[3] : unescapedName;
+    const current = stack[stack.length - 1];
+    if (match.index > lastIndex) {
+      current.children.push({ type: 'text', value: text.slice(lastIndex, match.index) });
+    }
+    lastIndex = match.index + tag.length;
+
+    if (type === '!') {
+      continue;
+    }
+    if (type === '>') {
+      throw new Error(`Invalid template: partials such as ${tag} are not supported`);
+    }
+    if (type === '=') {
+      throw new Error(`Invalid template: changing delimiters with ${tag} is not supported`);
+    }
+    if (type === '#' || type === '^') {
+      const section = { type: 'section', name, inverted: type === '^', children: [] };
+      current.children.push(section);
+      stack.push(section);
+    } else if (type === '/') {
+      if (current.name !== name) {
+        throw new Error(`Invalid template: unexpected {{/${name}}}${current.name ? `, expected {{/${current.name}}}` : ''}`);
+      }
+      stack.pop();
+    } else {
+      current.children.push({ type: 'variable', name });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Invalid template: unclosed section {{#${stack[stack.length - 1].name}}}`);
+  }
+  if (lastIndex < text.length) {
+    root.push({ type: 'text', value: text.slice(lastIndex) });
+  }
+  return root;
+}
+
+/**
+ * Resolves a (dotted) name against the context stack, innermost first
+ * @param {string} name - The name, or "." for the current item
+ * @param {Array<*>} contexts - The context stack
+ * @returns {*} The value, or undefined if no context defines it
+ */
+function lookup(name, contexts) {
+  if (name === '.') {
+    return contexts[contexts.length - 1];
+  }
+  const [first, ...rest] = name.split('.');
+  for (let i = contexts.length - 1; i >= 0; i--) {
+    const context = contexts[i];
+    if (context !== null && typeof context === 'object' && first in context) {
+      return rest.reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), context[first]);
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Renders parsed template nodes
+ * @param {Array<Object>} nodes - Nodes from parseTemplate()
+ * @param {Array<*>} contexts - The context stack
+ * @returns {string} The rendered text
+ */
+function renderNodes(nodes, contexts) {
+  let output = '';
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      output += node.value;
+      continue;
+    }
+
+    const value = lookup(node.name, contexts);
+    if (node.type === 'variable') {
+      output += value === null || value === undefined ? '' : String(value);
+      continue;
+    }
+
+    const empty = !value || (Array.isArray(value) && value.length === 0);
+    if (node.inverted) {
+      output += empty ? renderNodes(node.children, contexts) : '';
+    } else if (!empty) {
+      const items = Array.isArray(value) ? value : [value];
+      for (const item of items) {
+        output += renderNodes(node.children, [...contexts, item]);
+      }
+    }
+  }
+  return output;
+}
+
+/**
+ * Compiles a template into a render function
+ * @param {string} source - The template source, see parseTemplate()
+ * @returns {Function} Renders the template for a view object
+ */
+function compileTemplate(source) {
+  const nodes = parseTemplate(source);
+  return view => renderNodes(nodes, [view]);
+}
+
+let defaultTemplate = null;
+
+/**
+ * Compiles the default release notes layout once
+ * @returns {Function} The compiled default template
+ */
+function getDefaultTemplate() {
+  if (!defaultTemplate) {
+    defaultTemplate = compileTemplate(fs.readFileSync(DEFAULT_TEMPLATE_FILE, 'utf8'));
+  }
+  return defaultTemplate;
+}
+
+/**
+ * Loads and compiles the release notes template
+ * @param {string} [file] - Template file; the default layout when empty
+ * @returns {Promise<Function>} The compiled template, see compileTemplate()
+ * @throws {Error} When the file cannot be read or is not a valid template
+ */
+async function loadTemplate(file) {
+  if (!file) {
+    return getDefaultTemplate();
+  }
+  let source;
+  try {
+    source = await fs.promises.readFile(file, 'utf8');
+  } catch (error) {
+    throw new Error(`Could not read template ${file}: ${error.message}`);
+  }
+  return compileTemplate(source);
+}
+
+module.exports = { compileTemplate, getDefaultTemplate, loadTemplate };
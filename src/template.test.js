@@ -0,0 +1,85 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { compileTemplate, getDefaultTemplate, loadTemplate } = require('./template');
+
+describe('compileTemplate', () => {
+  it('should insert variables without escaping', () => {
+    const template = compileTemplate('Hello {{ name }}, {{missing}}<{{html}}>');
+
+    expect(template({ name: 'drupal/token', html: '<b>&</b>' })).toBe('Hello drupal/token, <<b>&</b>>');
+  });
+
+  it('should accept triple mustaches and ampersand variables', () => {
+    const template = compileTemplate('{{{summary}}} {{{ name }}} {{& html}}');
+
+    expect(template({ summary: '3 changes', name: 'drupal/token', html: '<b>&</b>' })).toBe('3 changes drupal/token <b>&</b>');
+  });
+
+  it('should reject partials and delimiter changes', () => {
+    expect(() => compileTemplate('{{> package}}')).toThrow('Invalid template: partials such as {{> package}} are not supported');
+    expect(() => compileTemplate('{{=<% %>=}}')).toThrow('Invalid template: changing delimiters with {{=<% %>=}} is not supported');
+  });
+
+  it('should resolve dotted names and look up outer contexts', () => {
+    const template = compileTemplate('{{#packages}}{{name}}@{{security.status}} in {{repo}};{{/packages}}');
+
+    expect(template({
+      repo: 'site',
+      packages: [
+        { name: 'a', security: { status: 'ok' } },
+        { name: 'b', security: null }
+      ]
+    })).toBe('a@ok in site;b@ in site;');
+  });
+
+  it('should render sections once for truthy values and not for falsy ones', () => {
+    const template = compileTemplate('{{#flag}}yes{{/flag}}{{#count}}[{{.}}]{{/count}}{{^list}}none{{/list}}{{^flag}}no{{/flag}}');
+
+    expect(template({ flag: true, count: 3, list: [] })).toBe('yes[3]none');
+    expect(template({ flag: false, count: 0, list: [1] })).toBe('no');
+  });
+
+  it('should drop lines holding only section and comment tags', () => {
+    const template = compileTemplate('{{! list }}\n{{#items}}\n* {{.}}\n{{/items}}\nend');
+
+    expect(template({ items: ['a', 'b'] })).toBe('* a\n* b\nend');
+  });
+
+  it('should reject unbalanced sections', () => {
+    expect(() => compileTemplate('{{#a}}{{/b}}')).toThrow('Invalid template: unexpected {{/b}}, expected {{/a}}');
+    expect(() => compileTemplate('{{/a}}')).toThrow('Invalid template: unexpected {{/a}}');
+    expect(() => compileTemplate('{{#a}}text')).toThrow('Invalid template: unclosed section {{#a}}');
+  });
+});
+
+describe('loadTemplate', () => {
+  let templateDir;
+
+  beforeEach(() => {
+    templateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'drupal-mrn-template-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(templateDir, { recursive: true, force: true });
+  });
+
+  it('should use the default template when no file is configured', async () => {
+    expect(await loadTemplate('')).toBe(getDefaultTemplate());
+  });
+
+  it('should compile the configured file', async () => {
+    const file = path.join(templateDir, 'notes.md');
+    fs.writeFileSync(file, '{{#packages}}{{name}}{{/packages}}');
+
+    const template = await loadTemplate(file);
+
+    expect(template({ packages: [{ name: 'drupal/token' }] })).toBe('drupal/token');
+  });
+
+  it('should report unreadable files', async () => {
+    const file = path.join(templateDir, 'missing.md');
+
+    await expect(loadTemplate(file)).rejects.toThrow(`Could not read template ${file}: ENOENT`);
+  });
+});